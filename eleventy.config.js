@@ -4,12 +4,24 @@
  */
 
 import sitemap from "@quasibit/eleventy-plugin-sitemap";
+import { collectMixes } from "./src/_lib/mixes.js";
+import { collectTags } from "./src/_lib/tags.js";
+import { collectArtists, groupArtistsByInitial } from "./src/_lib/artists.js";
+import { buildSearchIndex } from "./src/_lib/search.js";
+import { buildCrateManifest } from "./src/_lib/crate.js";
+import { buildArchive } from "./src/_lib/archive.js";
+import { buildLibraryManifest } from "./src/_lib/pagination.js";
+import { resetRequests } from "./src/_lib/api.js";
+import { resetCovers, copyCovers } from "./src/_lib/covers.js";
+import { resetArtwork, copyArtwork } from "./src/_lib/artwork.js";
 
 export default function (eleventyConfig) {
   // Copy static assets
   eleventyConfig.addPassthroughCopy("src/assets");
   eleventyConfig.addPassthroughCopy("src/css");
   eleventyConfig.addPassthroughCopy("src/js");
+  // Shared with lazy-player.js, which imports it as an ES module
+  eleventyConfig.addPassthroughCopy({ "src/_lib/timestamps.js": "js/timestamps.js" });
   eleventyConfig.addPassthroughCopy("src/robots.txt");
   eleventyConfig.addPassthroughCopy("src/google6eb2953d13e5b8b.html");
 
@@ -17,6 +29,27 @@ export default function (eleventyConfig) {
   eleventyConfig.addWatchTarget("src/css/");
   eleventyConfig.addWatchTarget("src/js/");
 
+  // Don't rebuild when the Mixcloud API cache is written
+  eleventyConfig.watchIgnores.add(".cache/**");
+
+  // Mixcloud requests are shared within a build, not across rebuilds
+  eleventyConfig.on("eleventy.before", resetRequests);
+
+  // Publish the self-hosted cover art and generated artwork from the build
+  eleventyConfig.on("eleventy.before", () => {
+    resetCovers();
+    resetArtwork();
+  });
+  // (`directories` follows --output; `dir` is only the configured default)
+  eleventyConfig.on("eleventy.after", async ({ directories, outputMode }) => {
+    if (outputMode !== "fs") {
+      return;
+    }
+    const count = await copyCovers(directories.output);
+    console.log(`✓ Published ${count} covers to /covers/`);
+    console.log(`✓ Published ${copyArtwork(directories.output)} generated artwork files to /covers/art/`);
+  });
+
   // Add filter to format numbers with locale string
   eleventyConfig.addFilter("toLocaleString", function(value) {
     if (typeof value === 'number') {
@@ -38,6 +71,47 @@ export default function (eleventyConfig) {
       .join('\n  ');
   });
 
+  // Group every mix across libraries by tag, for the /tags/ index
+  eleventyConfig.addFilter("mixTags", function(libraries) {
+    return collectTags(collectMixes(libraries));
+  });
+
+  // Index every tracklist artist A-Z, for the /artists/ index
+  eleventyConfig.addFilter("artistIndex", function(libraries) {
+    return groupArtistsByInitial(collectArtists(collectMixes(libraries)));
+  });
+
+  // Build the site search index (/search-index.json)
+  eleventyConfig.addFilter("searchIndex", function(libraries) {
+    return buildSearchIndex(libraries);
+  });
+
+  // Build the manifest of every mix behind /crate/ (/crate/mixes.json)
+  eleventyConfig.addFilter("crateManifest", function(libraries) {
+    return buildCrateManifest(libraries);
+  });
+
+  // Build the manifest of one library's mixes (/libraries/<slug>.json)
+  eleventyConfig.addFilter("libraryManifest", function(library) {
+    return buildLibraryManifest(library);
+  });
+
+  // Group every upload on the account by year, for /archive/
+  eleventyConfig.addFilter("mixArchive", function(uploads, libraries) {
+    return buildArchive(uploads, libraries);
+  });
+
+  // Reduce collection items to the fields the sitemap plugin reads.
+  // Paginated pages (e.g. /mixes/*) are each in the collection already,
+  // and the plugin's own pagination handling reads templateContent too early.
+  eleventyConfig.addFilter("sitemapEntries", function(items) {
+    return items.map(item => ({
+      url: item.url,
+      date: item.date,
+      data: { sitemap: item.data.sitemap }
+    }));
+  });
+
   // Add sitemap plugin
   eleventyConfig.addPlugin(sitemap, {
     sitemap: {
@@ -9,12 +9,12 @@
  * 1. Prompt for a Mixcloud playlist URL
  * 2. Prompt for a custom page name/slug
  * 3. Fetch playlist data from Mixcloud API
- * 4. Generate a new page file and data file
- * 5. Update navigation config
+ * 4. Generate a new page file and its pagination data file
+ * 5. Add the playlist to the library registry (src/_lib/libraries.json)
  */
 
 import { createInterface } from 'readline';
-import { writeFileSync, readFileSync, existsSync } from 'fs';
+import { writeFileSync, readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -73,7 +73,8 @@ async function fetchPlaylistData(username, playlistSlug) {
 }
 
 /**
- * Convert slug to camelCase for use as Nunjucks variable
+ * Convert slug to camelCase for use as a library slug
+ * (so it can be used as {{ libraries.slug }} in Nunjucks)
  */
 function slugToCamelCase(slug) {
   return slug.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
@@ -155,13 +156,20 @@ playlist: "${pageSlug}"
 
       {# Mix Grid #}
       {% if ${dataVarName}.cloudcasts.length > 0 %}
+        {% set toolbarLibrary = ${dataVarName} %}
+        {% include "library-toolbar.njk" %}
+
+        {% include "continuous-play.njk" %}
+
         <div class="grid grid--2" role="list" aria-label="${playlistName} mixes">
-          {% for mix in ${dataVarName}.cloudcasts %}
+          {% for mix in pageMixes %}
             <div role="listitem">
               {% include "mix-player.njk" %}
             </div>
           {% endfor %}
         </div>
+
+        {% include "pager.njk" %}
       {% elif ${dataVarName}.error %}
         {# Error State #}
         <div class="error" role="alert">
@@ -197,136 +205,57 @@ playlist: "${pageSlug}"
 }
 
 /**
- * Create data file for playlist
+ * Create the page's template data file, which paginates the library
+ * (see src/_lib/pagination.js)
  */
-function createDataFile(dataVarName, username, mixcloudPlaylistSlug) {
+function createPageDataFile(pageSlug, librarySlug, playlistName) {
   const dataContent = `/**
- * Mixcloud Playlist Data: ${dataVarName}
- *
- * Fetches cloudcasts from the "${mixcloudPlaylistSlug}" playlist
- * at build time via Mixcloud API
+ * ${playlistName} - paginated at build time (src/_lib/pagination.js)
  */
 
-export default async function() {
-  const MIXCLOUD_USERNAME = "${username}";
-  const PLAYLIST_SLUG = "${mixcloudPlaylistSlug}";
-  const API_BASE_URL = "https://api.mixcloud.com";
-
-  /**
-   * Fetch with retry logic
-   */
-  async function fetchWithRetry(url, retries = 3, delay = 1000) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url);
-
-        if (response.status === 429) {
-          console.warn(\`Rate limited, retrying in \${delay}ms...\`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          delay *= 2; // Exponential backoff
-          continue;
-        }
-
-        if (!response.ok) {
-          throw new Error(\`HTTP \${response.status}: \${response.statusText}\`);
-        }
-
-        return await response.json();
-      } catch (error) {
-        if (i === retries - 1) throw error;
-        console.warn(\`Fetch failed, retrying... (\${i + 1}/\${retries})\`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2;
-      }
-    }
-  }
-
-  /**
-   * Fetch all cloudcasts from a playlist (with pagination)
-   */
-  async function fetchPlaylistCloudcasts(username, playlistSlug) {
-    const cloudcasts = [];
-    let url = \`\${API_BASE_URL}/\${username}/playlists/\${playlistSlug}/cloudcasts/\`;
-    let pageCount = 0;
-
-    console.log(\`Fetching cloudcasts from playlist: \${playlistSlug}...\`);
-
-    while (url && pageCount < 100) { // Safety limit
-      const data = await fetchWithRetry(url);
-
-      if (data.data) {
-        cloudcasts.push(...data.data);
-        console.log(\`Fetched \${data.data.length} cloudcasts (total: \${cloudcasts.length})\`);
-      }
-
-      url = data.paging?.next || null;
-      pageCount++;
-
-      // Rate limiting: wait between requests
-      if (url) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-    }
+import { libraryPageData } from './_lib/pagination.js';
 
-    return cloudcasts;
-  }
-
-  try {
-    const cloudcasts = await fetchPlaylistCloudcasts(MIXCLOUD_USERNAME, PLAYLIST_SLUG);
-
-    console.log(\`✓ Successfully fetched \${cloudcasts.length} cloudcasts from \${PLAYLIST_SLUG}\`);
-
-    return {
-      playlistSlug: PLAYLIST_SLUG,
-      cloudcasts,
-      count: cloudcasts.length,
-      fetchedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error(\`Error fetching playlist data for \${PLAYLIST_SLUG}:\`, error);
-    return {
-      playlistSlug: PLAYLIST_SLUG,
-      cloudcasts: [],
-      count: 0,
-      error: error.message,
-      fetchedAt: new Date().toISOString()
-    };
-  }
-}
+export default libraryPageData('${librarySlug}');
 `;
 
-  const dataPath = resolve(projectRoot, `src/_data/${dataVarName}.js`);
+  const dataPath = resolve(projectRoot, `src/${pageSlug}.11tydata.js`);
   writeFileSync(dataPath, dataContent);
-  console.log(`✓ Created data file: src/_data/${dataVarName}.js`);
+  console.log(`✓ Created page data file: src/${pageSlug}.11tydata.js`);
   return dataPath;
 }
 
 /**
- * Update navigation config
+ * Add playlist to the library registry
+ *
+ * The shared fetcher in src/_data/libraries.js picks up every registry
+ * entry, and entries with nav "main" appear in the header navigation.
  */
-function updateNavigation(pageSlug, playlistName) {
-  const navConfigPath = resolve(projectRoot, 'src/_data/navigation.json');
-
-  let navigation = { pages: [] };
-
-  if (existsSync(navConfigPath)) {
-    const content = readFileSync(navConfigPath, 'utf-8');
-    navigation = JSON.parse(content);
-  }
+function addRegistryEntry(librarySlug, username, mixcloudPlaylistSlug, playlistName, pageSlug, summary) {
+  const registryPath = resolve(projectRoot, 'src/_lib/libraries.json');
+  const libraries = JSON.parse(readFileSync(registryPath, 'utf-8'));
 
-  // Add new page to navigation if not already there
-  const exists = navigation.pages.some(page => page.url === `/${pageSlug}/`);
+  // Add new library to the registry if not already there
+  const exists = libraries.some(library =>
+    library.slug === librarySlug || library.url === `/${pageSlug}/`
+  );
 
   if (!exists) {
-    navigation.pages.push({
+    libraries.push({
+      slug: librarySlug,
       title: playlistName,
-      url: `/${pageSlug}/`
+      username,
+      playlist: mixcloudPlaylistSlug,
+      url: `/${pageSlug}/`,
+      theme: 'home',
+      icon: 'fa-record-vinyl',
+      summary,
+      nav: 'main'
     });
 
-    writeFileSync(navConfigPath, JSON.stringify(navigation, null, 2));
-    console.log(`✓ Updated navigation config: src/_data/navigation.json`);
+    writeFileSync(registryPath, JSON.stringify(libraries, null, 2) + '\n');
+    console.log(`✓ Added library to registry: src/_lib/libraries.json`);
   } else {
-    console.log(`⚠ Page already exists in navigation, skipping update`);
+    console.log(`⚠ Library already exists in registry, skipping update`);
   }
 }
 
@@ -369,14 +298,14 @@ async function main() {
 
     console.log(`\n✓ Creating page with slug: ${pageSlug}`);
 
-    // 7. Convert page slug to camelCase for data variable name
-    const dataVarName = slugToCamelCase(pageSlug);
-    console.log(`✓ Data variable name: ${dataVarName}`);
+    // 7. Convert page slug to camelCase for the library slug
+    const librarySlug = slugToCamelCase(pageSlug);
+    console.log(`✓ Library slug: ${librarySlug}`);
 
-    // 8. Create files
-    createPageFile(pageSlug, playlistData.name, dataVarName, pageDescription, heroSubtitle);
-    createDataFile(dataVarName, username, mixcloudPlaylistSlug);
-    updateNavigation(pageSlug, playlistData.name);
+    // 8. Create page and register library
+    createPageFile(pageSlug, playlistData.name, `libraries.${librarySlug}`, pageDescription, heroSubtitle);
+    addRegistryEntry(librarySlug, username, mixcloudPlaylistSlug, playlistData.name, pageSlug, heroSubtitle);
+    createPageDataFile(pageSlug, librarySlug, playlistData.name);
 
     console.log(`\n✅ Success! New playlist page created.`);
     console.log(`\nNext steps:`);
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Mixcloud API Server
+ *
+ * A local stand-in for api.mixcloud.com that serves recorded fixtures
+ * (test/fixtures/mixcloud/), for the test suite and for building the
+ * site without the live API.
+ *
+ * Usage:
+ *   node scripts/fake-mixcloud-server.js [--port 4000] [--page-size 20]
+ *     [--rate-limit-every N] [--error-every N]
+ *   MIXCLOUD_API_BASE=http://localhost:4000 npm run dev
+ *
+ * Serves:
+ * - /{user}/                              User profile
+ * - /{user}/cloudcasts/                   User uploads, newest first (paged)
+ * - /{user}/playlists/{playlist}/         Playlist
+ * - /{user}/playlists/{playlist}/cloudcasts/  Playlist cloudcasts (paged)
+ * - /{user}/{cloudcast}/                  Cloudcast detail
+ *
+ * List endpoints return summary objects (no description), like the real API.
+ * Pagination uses ?limit= and ?offset=, with absolute paging.next URLs.
+ *
+ * Failures can be simulated per request with failNext(), or periodically
+ * with the rateLimitEvery / errorEvery options:
+ * - { type: 'rate-limit', retryAfter }  429 with a RateLimited error body
+ * - { type: 'server-error', status }    5xx with an error body
+ * - { type: 'malformed' }               200 with truncated JSON
+ * - { type: 'not-found' }               404 with an error body
+ */
+
+import { createServer } from 'http';
+import { readFileSync, readdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_FIXTURES_DIR = resolve(__dirname, '../test/fixtures/mixcloud');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Read every JSON file in a directory
+ * @param {string} dir - Directory path
+ * @returns {Array<object>}
+ */
+function readJsonDir(dir) {
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(readFileSync(join(dir, file), 'utf-8')));
+}
+
+/**
+ * Load fixtures into lookup tables
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {{ users: Map, cloudcasts: Map, playlists: object }}
+ */
+export function loadFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const users = new Map(readJsonDir(join(fixturesDir, 'users')).map(user => [user.username, user]));
+  const cloudcasts = new Map(readJsonDir(join(fixturesDir, 'cloudcasts')).map(cloudcast => [
+    cloudcast.key.replace(/^\//, '').replace(/\/$/, ''),
+    cloudcast
+  ]));
+  const playlists = JSON.parse(readFileSync(join(fixturesDir, 'playlists.json'), 'utf-8'));
+
+  return { users, cloudcasts, playlists };
+}
+
+/**
+ * Strip a cloudcast down to what list endpoints return
+ * @param {object} cloudcast - Full cloudcast fixture
+ * @returns {object}
+ */
+function toSummary(cloudcast) {
+  const { description, sections, ...summary } = cloudcast;
+  return summary;
+}
+
+/**
+ * Build a paged list response
+ * @param {Array} items - All items
+ * @param {URL} url - Request URL
+ * @param {number} pageSize - Default page size
+ * @param {string} name - List name
+ * @returns {object}
+ */
+function paginate(items, url, pageSize, name) {
+  const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || pageSize, MAX_LIMIT);
+  const offset = parseInt(url.searchParams.get('offset'), 10) || 0;
+  const pageUrl = pageOffset => `${url.origin}${url.pathname}?limit=${limit}&offset=${pageOffset}`;
+  const paging = {};
+
+  if (offset + limit < items.length) {
+    paging.next = pageUrl(offset + limit);
+  }
+  if (offset > 0) {
+    paging.previous = pageUrl(Math.max(offset - limit, 0));
+  }
+
+  return {
+    data: items.slice(offset, offset + limit),
+    paging,
+    name
+  };
+}
+
+/**
+ * Create a fake Mixcloud API server
+ *
+ * @param {object} options
+ * @param {string} options.fixturesDir - Fixtures directory
+ * @param {number} options.pageSize - Default page size for list endpoints
+ * @param {number} options.rateLimitEvery - Rate limit every Nth request (0 = never)
+ * @param {number} options.errorEvery - Return a 503 every Nth request (0 = never)
+ * @returns {object} Server controls
+ */
+export function createFakeMixcloudServer(options = {}) {
+  const {
+    fixturesDir = DEFAULT_FIXTURES_DIR,
+    pageSize = 20,
+    rateLimitEvery = 0,
+    errorEvery = 0
+  } = options;
+
+  const fixtures = loadFixtures(fixturesDir);
+  const failures = [];
+  const requests = [];
+
+  /**
+   * Find and consume a queued failure for a path
+   */
+  function takeFailure(path) {
+    const index = failures.findIndex(({ match }) =>
+      match instanceof RegExp ? match.test(path) : path.includes(match)
+    );
+    if (index === -1) return null;
+
+    const failure = failures[index];
+    if (--failure.remaining === 0) {
+      failures.splice(index, 1);
+    }
+    return failure.failure;
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function sendError(res, status, type, message, extra = {}) {
+    sendJson(res, status, { error: { type, message, ...extra } });
+  }
+
+  function sendFailure(res, failure) {
+    switch (failure.type) {
+      case 'rate-limit':
+        return sendError(res, 429, 'RateLimited', 'You have made too many requests.', {
+          retry_after: failure.retryAfter ?? 1
+        });
+      case 'server-error':
+        return sendError(res, failure.status ?? 503, 'ServerError', 'Service unavailable.');
+      case 'malformed':
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end('{"data": [{"key": "/truncated');
+      case 'not-found':
+        return sendError(res, 404, 'ResourceNotFoundError', 'Not found.');
+      default:
+        throw new Error(`Unknown failure type: ${failure.type}`);
+    }
+  }
+
+  /**
+   * Route a request to its fixture response
+   */
+  function route(url, res) {
+    const parts = url.pathname.split('/').filter(Boolean);
+    const [username] = parts;
+    const user = fixtures.users.get(username);
+
+    if (!user) {
+      return sendError(res, 404, 'ResourceNotFoundError', `User ${username} not found.`);
+    }
+
+    // /{user}/
+    if (parts.length === 1) {
+      return sendJson(res, 200, user);
+    }
+
+    // /{user}/cloudcasts/
+    if (parts.length === 2 && parts[1] === 'cloudcasts') {
+      const uploads = [...fixtures.cloudcasts.values()]
+        .filter(cloudcast => cloudcast.user?.username === username)
+        .sort((a, b) => b.created_time.localeCompare(a.created_time))
+        .map(toSummary);
+      return sendJson(res, 200, paginate(uploads, url, pageSize, `Shows by ${user.name}`));
+    }
+
+    // /{user}/playlists/{playlist}/ and /{user}/playlists/{playlist}/cloudcasts/
+    if (parts[1] === 'playlists' && parts.length >= 3) {
+      const playlistKey = `${username}/${parts[2]}`;
+      const keys = fixtures.playlists[playlistKey];
+
+      if (!keys) {
+        return sendError(res, 404, 'ResourceNotFoundError', `Playlist ${playlistKey} not found.`);
+      }
+
+      const name = parts[2].replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+      if (parts.length === 3) {
+        return sendJson(res, 200, {
+          key: `/${playlistKey}/`,
+          url: `https://www.mixcloud.com/${username}/playlists/${parts[2]}/`,
+          name,
+          slug: parts[2],
+          owner: user
+        });
+      }
+
+      if (parts.length === 4 && parts[3] === 'cloudcasts') {
+        const cloudcasts = keys
+          .map(key => fixtures.cloudcasts.get(key))
+          .filter(Boolean)
+          .map(toSummary);
+        return sendJson(res, 200, paginate(cloudcasts, url, pageSize, name));
+      }
+    }
+
+    // /{user}/{cloudcast}/
+    if (parts.length === 2) {
+      const cloudcast = fixtures.cloudcasts.get(`${username}/${parts[1]}`);
+      if (cloudcast) {
+        return sendJson(res, 200, cloudcast);
+      }
+    }
+
+    return sendError(res, 404, 'ResourceNotFoundError', `No fixture for ${url.pathname}`);
+  }
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    requests.push(url.pathname + url.search);
+
+    const count = requests.length;
+    const failure = takeFailure(url.pathname + url.search)
+      || (rateLimitEvery && count % rateLimitEvery === 0 && { type: 'rate-limit', retryAfter: 1 })
+      || (errorEvery && count % errorEvery === 0 && { type: 'server-error' });
+
+    if (failure) {
+      return sendFailure(res, failure);
+    }
+
+    route(url, res);
+  });
+
+  return {
+    server,
+    requests,
+    url: null,
+
+    /**
+     * Start listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:4000
+     */
+    listen(port = 0) {
+      return new Promise((resolvePromise, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          this.url = `http://127.0.0.1:${server.address().port}`;
+          resolvePromise(this.url);
+        });
+      });
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolvePromise => {
+        server.closeAllConnections();
+        server.close(() => resolvePromise());
+      });
+    },
+
+    /**
+     * Fail the next matching request(s)
+     * @param {string|RegExp} match - Substring or pattern of path + query
+     * @param {object} failure - Failure description (see top of file)
+     * @param {number} times - Number of requests to fail
+     */
+    failNext(match, failure, times = 1) {
+      failures.push({ match, failure, remaining: times });
+    },
+
+    /**
+     * Clear recorded requests and queued failures
+     */
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+    }
+  };
+}
+
+/**
+ * Read a numeric --flag value from the command line
+ */
+function readFlag(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? Number(args[index + 1]) : fallback;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const fake = createFakeMixcloudServer({
+    pageSize: readFlag(args, 'page-size', 20),
+    rateLimitEvery: readFlag(args, 'rate-limit-every', 0),
+    errorEvery: readFlag(args, 'error-every', 0)
+  });
+
+  const url = await fake.listen(readFlag(args, 'port', 4000));
+  console.log(`Fake Mixcloud API listening on ${url}`);
+  console.log(`Build against it with: MIXCLOUD_API_BASE=${url} npm run dev`);
+}
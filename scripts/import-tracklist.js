@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Tracklist Importer
+ *
+ * Imports a tracklist for one cloudcast from a DJ software export or
+ * playlist into src/_data/tracklists.json. Supports Rekordbox XML,
+ * Traktor NML, Serato history CSV, .cue sheets, M3U/M3U8 and pasted
+ * text (see src/_lib/tracklist-import.js and tracklist-text.js). The
+ * format is detected from the file; use "-" to read text from stdin.
+ *
+ * An existing tracklist for the cloudcast is merged, never clobbered:
+ * new positions are added and missing start times filled in, but if an
+ * entry differs from what's already there nothing is written unless
+ * --replace is given. Nothing is written if the result fails validation.
+ *
+ * Usage:
+ *   npm run import:tracklist -- <export-file> <cloudcast-slug-or-url> [options]
+ *   pbpaste | npm run import:tracklist -- - <cloudcast-slug-or-url> [options]
+ *
+ * Options:
+ *   --format <name>     rekordbox, traktor, serato, cue, m3u or text (default: detect)
+ *   --playlist <name>   Playlist to import, when the export holds several
+ *   --replace           Replace the existing tracklist instead of merging
+ *   --dry-run           Show the result without writing it
+ *   --json              Print the entries as tracklists.json JSON instead of writing them
+ *   --tracklists <path> Write to another file instead of tracklists.json
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { TRACKLISTS_PATH } from '../src/_lib/playlists.js';
+import { formatTimestamp } from '../src/_lib/timestamps.js';
+import { canonicaliseTracklists, formatTracklists, validateTracklists } from '../src/_lib/tracklists.js';
+import { IMPORT_FORMATS, detectFormat, importTracklist, mergeTracklist } from '../src/_lib/tracklist-import.js';
+
+const OPTIONS_WITH_VALUES = ['--format', '--playlist', '--tracklists'];
+
+/**
+ * Split argv into positional arguments and options
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+
+    if (OPTIONS_WITH_VALUES.includes(arg)) {
+      options[arg.slice(2)] = argv[++index];
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Accept a cloudcast slug or its Mixcloud URL
+ * @param {string} input - "user/mix-name" or "https://www.mixcloud.com/user/mix-name/"
+ * @returns {string}
+ */
+function toCloudcastSlug(input) {
+  return input
+    .replace(/^https?:\/\/(www\.)?mixcloud\.com\//, '')
+    .replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Print one tracklist entry
+ */
+function formatEntry(entry) {
+  const time = typeof entry.start_time === 'number' ? `[${formatTimestamp(entry.start_time)}] ` : '';
+  return `${String(entry.position).padStart(3)}. ${time}${entry.artist} - ${entry.track}`;
+}
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [file, slugInput] = positional;
+
+  if (!file || !slugInput) {
+    console.error('Usage: npm run import:tracklist -- <export-file|-> <cloudcast-slug-or-url> [--format name] [--playlist name] [--replace] [--dry-run] [--json]');
+    process.exit(1);
+  }
+
+  const slug = toCloudcastSlug(slugInput);
+  const tracklistsPath = options.tracklists ? resolve(options.tracklists) : TRACKLISTS_PATH;
+  const fromStdin = file === '-';
+  // With --json, stdout is only the JSON; progress goes to stderr
+  const log = options.json ? console.error : console.log;
+
+  log(`\n🎼 Importing ${fromStdin ? 'stdin' : file} into ${slug}\n`);
+
+  let text;
+  try {
+    text = readFileSync(fromStdin ? 0 : resolve(file), 'utf-8');
+  } catch (error) {
+    console.error(`✗ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const format = options.format || detectFormat(fromStdin ? '' : file, text);
+  if (!format) {
+    console.error(`✗ Could not tell what kind of file this is. Pass --format (${IMPORT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  let imported;
+  try {
+    imported = importTracklist(text, format, { playlist: options.playlist });
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { tracklist, warnings } = imported;
+  log(`Read ${tracklist.length} tracks (${format})`);
+  warnings.forEach(warning => console.warn(`! ${warning}`));
+
+  if (tracklist.length === 0) {
+    console.error('✗ Nothing to import');
+    process.exit(1);
+  }
+
+  const data = existsSync(tracklistsPath) ? JSON.parse(readFileSync(tracklistsPath, 'utf-8')) : {};
+  const merged = mergeTracklist(data[slug], tracklist, { replace: Boolean(options.replace) });
+
+  if (merged.conflicts.length > 0) {
+    console.error(`\n✗ ${merged.conflicts.length} ${merged.conflicts.length === 1 ? 'entry differs' : 'entries differ'} from the existing tracklist:`);
+    for (const { existing, imported: entry } of merged.conflicts) {
+      console.error(`  had:    ${formatEntry(existing)}`);
+      console.error(`  import: ${formatEntry(entry)}`);
+    }
+    console.error('\nNothing was written. Fix the export, or use --replace to overwrite the existing tracklist.\n');
+    process.exit(1);
+  }
+
+  // Keep the file's own order of slugs, but tidy this tracklist
+  const updated = { ...data, [slug]: canonicaliseTracklists({ [slug]: merged.tracklist })[slug] };
+  const errors = validateTracklists({ [slug]: updated[slug] }).filter(found => found.level === 'error');
+
+  if (errors.length > 0) {
+    console.error('\n✗ The result would not be a valid tracklist:');
+    errors.forEach(({ position, message }) => console.error(`  ${position !== null ? `#${position}: ` : ''}${message}`));
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(formatTracklists({ [slug]: updated[slug] }).trimEnd());
+    return;
+  }
+
+  console.log('');
+  updated[slug].forEach(entry => console.log(formatEntry(entry)));
+
+  const summary = data[slug] && !options.replace
+    ? `${merged.added} added, ${merged.updated} ${merged.updated === 1 ? 'start time' : 'start times'} filled in`
+    : `${updated[slug].length} tracks`;
+
+  if (options['dry-run']) {
+    console.log(`\n✓ Dry run: ${summary} (nothing written)\n`);
+    return;
+  }
+
+  writeFileSync(tracklistsPath, formatTracklists(updated));
+  console.log(`\n✓ ${data[slug] && options.replace ? 'Replaced' : 'Saved'} ${slug}: ${summary}`);
+  console.log('  Check it with: npm run lint:tracklists\n');
+}
+
+main();
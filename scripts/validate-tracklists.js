@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Tracklist Validator
+ *
+ * Lints src/_data/tracklists.json:
+ * - Schema: positions, artist/track, numeric start_time, timing order
+ * - Slugs: every tracklist must match a cloudcast in the fetched
+ *   playlists (orphans are errors, with "did you mean" suggestions)
+ * - Coverage: lists the mixes that still have no tracklist
+ *
+ * Exits with code 1 when there are errors, so the build can run it.
+ * Only the playlist pages are fetched (the slug check needs nothing
+ * more), through the API cache, so MIXCLOUD_OFFLINE and the other cache
+ * settings apply (see src/_lib/cache.js).
+ *
+ * Usage:
+ *   npm run lint:tracklists
+ *   node scripts/validate-tracklists.js [--write] [--no-fetch] [--file path]
+ *
+ * Options:
+ *   --write     Rewrite the file in canonical form (sorted slugs and
+ *               positions, fields in a fixed order). Refused when there
+ *               are schema errors.
+ *   --no-fetch  Skip the playlist checks (schema only)
+ *   --file      Validate another file instead of tracklists.json
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { TRACKLISTS_PATH, fetchPlaylistCloudcasts } from '../src/_lib/playlists.js';
+import { loadLibraryRegistry } from '../src/_lib/libraries.js';
+import {
+  validateTracklists,
+  checkTracklistSlugs,
+  canonicaliseTracklists,
+  formatTracklists
+} from '../src/_lib/tracklists.js';
+
+/**
+ * Print issues grouped by tracklist
+ * @param {Array<object>} issues
+ */
+function printIssues(issues) {
+  const bySlug = new Map();
+
+  for (const found of issues) {
+    const key = found.slug ?? '(file)';
+    if (!bySlug.has(key)) bySlug.set(key, []);
+    bySlug.get(key).push(found);
+  }
+
+  for (const [slug, found] of bySlug) {
+    console.log(`\n${slug}`);
+    for (const { level, position, message } of found) {
+      const mark = level === 'error' ? '✗' : '!';
+      console.log(`  ${mark} ${position !== null ? `#${position}: ` : ''}${message}`);
+    }
+  }
+}
+
+/**
+ * Fetch the cloudcasts in every registered library's playlist
+ *
+ * Playlist membership is all the slug check needs, so this skips the
+ * per-cloudcast detail requests, tracklists and snapshots of fetchLibrary().
+ *
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchLibraries() {
+  const registry = loadLibraryRegistry();
+
+  return Promise.all(registry.map(async library => {
+    try {
+      return { ...library, cloudcasts: await fetchPlaylistCloudcasts(library.username, library.playlist) };
+    } catch (error) {
+      return { ...library, cloudcasts: [], error: error.message };
+    }
+  }));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fileIndex = args.indexOf('--file');
+  const path = fileIndex !== -1 ? resolve(args[fileIndex + 1]) : TRACKLISTS_PATH;
+  const write = args.includes('--write');
+  const fetchPlaylists = !args.includes('--no-fetch');
+
+  console.log(`\n🎼 Validating ${path}\n`);
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    console.error(`✗ Could not read tracklists: ${error.message}`);
+    process.exit(1);
+  }
+
+  const schemaIssues = validateTracklists(data);
+  const issues = [...schemaIssues];
+  let missing = [];
+
+  if (fetchPlaylists && schemaIssues.every(found => found.slug !== null)) {
+    const libraries = await fetchLibraries();
+    const failed = libraries.filter(library => library.error);
+
+    for (const library of failed) {
+      console.warn(`! Could not fetch ${library.title}: ${library.error}`);
+    }
+    if (failed.length > 0) {
+      console.warn('! Orphaned tracklists are reported as warnings until every library can be fetched');
+    }
+
+    const slugCheck = checkTracklistSlugs(data, libraries);
+    issues.push(...slugCheck.issues);
+    missing = slugCheck.missing;
+  }
+
+  printIssues(issues);
+
+  if (missing.length > 0) {
+    console.log(`\nMixes without a tracklist (${missing.length}):`);
+    for (const { slug, name, libraries } of missing) {
+      console.log(`  - ${slug} (${name}; ${libraries.join(', ')})`);
+    }
+  }
+
+  const errors = issues.filter(found => found.level === 'error').length;
+  const warnings = issues.length - errors;
+  const tracklists = data && typeof data === 'object' ? Object.keys(data).length : 0;
+
+  console.log(`\n${errors === 0 ? '✓' : '✗'} ${tracklists} tracklists: ${errors} errors, ${warnings} warnings\n`);
+
+  if (write) {
+    if (schemaIssues.some(found => found.level === 'error')) {
+      console.error('✗ Not rewriting: fix the schema errors above first\n');
+    } else {
+      const formatted = formatTracklists(canonicaliseTracklists(data));
+
+      if (formatted === readFileSync(path, 'utf-8')) {
+        console.log('✓ Already in canonical form\n');
+      } else {
+        writeFileSync(path, formatted);
+        console.log(`✓ Rewrote ${path} in canonical form\n`);
+      }
+    }
+  }
+
+  process.exit(errors > 0 ? 1 : 0);
+}
+
+main();
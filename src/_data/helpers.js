@@ -5,6 +5,14 @@
  * as {{ helpers.functionName() }}
  */
 
+import { getMixSlug, getMixUrl } from '../_lib/mixes.js';
+import { collectTags, getTagSlug, getTagUrl } from '../_lib/tags.js';
+import { getArtistUrl } from '../_lib/artists.js';
+import { getFeedUrls } from '../_lib/feeds.js';
+import { getLibraryManifestUrl } from '../_lib/pagination.js';
+import { formatLinkTime, formatTimestamp } from '../_lib/timestamps.js';
+import { formatDescription } from '../_lib/description.js';
+
 export default {
   /**
    * Get current year for copyright notices
@@ -43,6 +51,24 @@ export default {
     return `${minutes}m`;
   },
 
+  /**
+   * Format a track start time as h:mm:ss (or m:ss), e.g. 245 -> "4:05"
+   * @param {number} seconds
+   * @returns {string}
+   */
+  formatTimestamp(seconds) {
+    return formatTimestamp(seconds);
+  },
+
+  /**
+   * Format a Mixcloud description as safe HTML, with links and paragraphs
+   * @param {string} text
+   * @returns {string} HTML, or "" when there is no description
+   */
+  formatDescription(text) {
+    return formatDescription(text);
+  },
+
   /**
    * Truncate text to specified length
    * @param {string} text
@@ -66,6 +92,88 @@ export default {
     return `https://player-widget.mixcloud.com/?hide_cover=1&feed=${encodeURIComponent('/' + cleanKey)}`;
   },
 
+  /**
+   * Get the slug of a mix's permalink page, unique across libraries
+   * @param {object} mix - Cloudcast object
+   * @returns {string}
+   */
+  mixSlug(mix) {
+    return getMixSlug(mix);
+  },
+
+  /**
+   * Get the permalink page URL for a mix
+   * @param {object} mix - Cloudcast object
+   * @returns {string}
+   */
+  mixUrl(mix) {
+    return getMixUrl(mix);
+  },
+
+  /**
+   * Get a link to a moment in a mix, e.g. "/mixes/go-on/?t=1h02m03s"
+   * @param {object} mix - Cloudcast object
+   * @param {number} seconds - Where to start
+   * @returns {string}
+   */
+  mixTimeUrl(mix, seconds) {
+    return `${getMixUrl(mix)}?t=${formatLinkTime(seconds)}`;
+  },
+
+  /**
+   * Get the tag page URL for a Mixcloud tag
+   * @param {object} tag - Tag object ({ name })
+   * @returns {string}
+   */
+  tagUrl(tag) {
+    return getTagUrl(tag);
+  },
+
+  /**
+   * Get the slug for a Mixcloud tag
+   * @param {object} tag - Tag object
+   * @returns {string}
+   */
+  tagSlug(tag) {
+    return getTagSlug(tag);
+  },
+
+  /**
+   * Get the tags used by a list of mixes, sorted by name
+   * @param {Array<object>} mixes - Cloudcast objects
+   * @returns {Array<{ name: string, slug: string, count: number }>}
+   */
+  tagsIn(mixes) {
+    return collectTags(mixes || []);
+  },
+
+  /**
+   * Get the artist page URL for a tracklist credit
+   * @param {string} credit - Artist credit, e.g. "Kokolo feat. Jojo Kuo"
+   * @returns {string}
+   */
+  artistUrl(credit) {
+    return getArtistUrl(credit);
+  },
+
+  /**
+   * Get the RSS, Atom and JSON Feed URLs for a library
+   * @param {string} slug - Library slug, or "all" for every mix
+   * @returns {{ rss: string, atom: string, json: string }}
+   */
+  feedUrls(slug) {
+    return getFeedUrls(slug);
+  },
+
+  /**
+   * Get the URL of a library's manifest, for the filter toolbar
+   * @param {string} slug - Library slug
+   * @returns {string}
+   */
+  libraryManifestUrl(slug) {
+    return getLibraryManifestUrl(slug);
+  },
+
   /**
    * Check if array has items
    * @param {Array} arr
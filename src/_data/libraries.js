@@ -0,0 +1,32 @@
+/**
+ * Mixcloud Playlist Data: every library
+ *
+ * Fetches the cloudcasts for each library in the registry
+ * (src/_lib/libraries.json) at build time, merges them with manual
+ * tracklist data and attaches each mix's self-hosted cover (covers.js),
+ * permalink page slug (mixes.js) and generated artwork (artwork.js).
+ *
+ * Available in templates keyed by library slug, e.g.
+ * {{ libraries.afro.cloudcasts }} or {% for slug, library in libraries %}
+ */
+
+import { loadLibraryRegistry } from '../_lib/libraries.js';
+import { fetchLibrary, loadManualTracklists } from '../_lib/playlists.js';
+import { attachCovers } from '../_lib/covers.js';
+import { attachArtwork } from '../_lib/artwork.js';
+import { attachPageSlugs } from '../_lib/mixes.js';
+import { MIXCLOUD_USERNAME } from '../_lib/account.js';
+
+export default async function() {
+  const registry = loadLibraryRegistry();
+  const manualTracklists = loadManualTracklists();
+
+  const results = await Promise.all(
+    registry.map(async library => {
+      const data = await fetchLibrary(library, manualTracklists);
+      return { ...data, cloudcasts: await attachCovers(data.cloudcasts) };
+    })
+  );
+
+  return attachArtwork(attachPageSlugs(Object.fromEntries(results.map(library => [library.slug, library])), MIXCLOUD_USERNAME));
+}
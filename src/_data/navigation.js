@@ -0,0 +1,40 @@
+/**
+ * Site Navigation
+ *
+ * Header links: every library registered with `"nav": "main"`,
+ * followed by the static pages below.
+ */
+
+import { loadLibraryRegistry } from '../_lib/libraries.js';
+
+const STATIC_PAGES = [
+  {
+    title: 'The Libraries',
+    url: '/the-libraries/'
+  },
+  {
+    title: 'Archive',
+    url: '/archive/'
+  },
+  {
+    title: 'Your Crate',
+    url: '/crate/'
+  },
+  {
+    title: 'Contribute',
+    url: '/contribute/'
+  }
+];
+
+export default function() {
+  const libraryPages = loadLibraryRegistry()
+    .filter(library => library.nav === 'main')
+    .map(library => ({
+      title: library.title,
+      url: library.url
+    }));
+
+  return {
+    pages: [...libraryPages, ...STATIC_PAGES]
+  };
+}
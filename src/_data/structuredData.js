@@ -4,6 +4,10 @@
  * @see https://schema.org/
  */
 
+import { summariseDescription } from '../_lib/description.js';
+import { getMixImageUrl } from '../_lib/artwork.js';
+import { getMixUrl } from '../_lib/mixes.js';
+
 /**
  * Generate WebSite schema
  * @param {string} url - Site URL
@@ -88,6 +92,59 @@ function generateBreadcrumbSchema(breadcrumbs, baseUrl = 'https://thegroovelibra
   };
 }
 
+/**
+ * Generate MusicRecording schema for a single mix
+ * @param {object} cloudcast - Cloudcast data
+ * @param {string} pageUrl - Mix page URL (defaults to the Mixcloud URL)
+ * @returns {object} MusicRecording schema
+ */
+function generateMusicRecordingSchema(cloudcast, pageUrl) {
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': 'MusicRecording',
+    name: cloudcast.name,
+    url: pageUrl || cloudcast.url,
+    datePublished: cloudcast.created_time,
+    duration: cloudcast.audio_length ? `PT${cloudcast.audio_length}S` : undefined,
+    image: getMixImageUrl(cloudcast, 'https://thegroovelibrary.net'),
+  };
+
+  if (pageUrl) {
+    schema['@id'] = pageUrl;
+    schema.sameAs = cloudcast.url;
+
+    // The mix's own page carries its description (playlist entries stay short)
+    if (cloudcast.description) {
+      schema.description = summariseDescription(cloudcast.description);
+    }
+  }
+
+  // Add creator/artist if available
+  if (cloudcast.owner) {
+    schema.byArtist = {
+      '@type': 'MusicGroup',
+      name: cloudcast.owner.name,
+      url: cloudcast.owner.url,
+    };
+  }
+
+  // Add genre tags if available
+  if (cloudcast.tags && cloudcast.tags.length > 0) {
+    schema.genre = cloudcast.tags.map(tag => tag.name);
+  }
+
+  // Add the libraries this mix belongs to if available
+  if (cloudcast.libraries && cloudcast.libraries.length > 0) {
+    schema.inPlaylist = cloudcast.libraries.map(library => ({
+      '@type': 'MusicPlaylist',
+      name: library.title,
+      url: `https://thegroovelibrary.net${library.url}`,
+    }));
+  }
+
+  return schema;
+}
+
 /**
  * Generate MusicPlaylist schema
  * @param {object} playlist - Playlist data
@@ -108,30 +165,9 @@ function generateMusicPlaylistSchema(playlist, pageUrl) {
   // Add tracks if available
   if (playlist.cloudcasts && playlist.cloudcasts.length > 0) {
     schema.track = playlist.cloudcasts.slice(0, 20).map((cloudcast) => {
-      const trackSchema = {
-        '@type': 'MusicRecording',
-        name: cloudcast.name,
-        url: cloudcast.url,
-        datePublished: cloudcast.created_time,
-        duration: cloudcast.audio_length ? `PT${cloudcast.audio_length}S` : undefined,
-        image: cloudcast.pictures?.large || cloudcast.pictures?.['640wx640h'],
-      };
-
-      // Add creator/artist if available
-      if (cloudcast.owner) {
-        trackSchema.byArtist = {
-          '@type': 'MusicGroup',
-          name: cloudcast.owner.name,
-          url: cloudcast.owner.url,
-        };
-      }
-
-      // Add genre tags if available
-      if (cloudcast.tags && cloudcast.tags.length > 0) {
-        trackSchema.genre = cloudcast.tags.map(tag => tag.name);
-      }
-
-      return trackSchema;
+      const { '@context': context, ...trackSchema } = generateMusicRecordingSchema(cloudcast);
+      // Each track links to the mix's page here, and to Mixcloud as the same recording
+      return { ...trackSchema, url: `https://thegroovelibrary.net${getMixUrl(cloudcast)}`, sameAs: cloudcast.url };
     });
   }
 
@@ -140,7 +176,8 @@ function generateMusicPlaylistSchema(playlist, pageUrl) {
 
 /**
  * Generate CollectionPage schema for homepage
- * @param {object} data - Homepage data
+ * @param {object} data - Homepage data: { cloudcasts, name?, description?, offset? },
+ *   where offset is how many mixes came on earlier pages
  * @param {string} pageUrl - Page URL
  * @returns {object} CollectionPage schema
  */
@@ -149,16 +186,16 @@ function generateCollectionPageSchema(data, pageUrl) {
     '@context': 'https://schema.org',
     '@type': 'CollectionPage',
     '@id': pageUrl,
-    name: 'The Groove Library - Home',
-    description: 'The Groove Library exists to explore rhythm as a global language.',
+    name: data.name || 'The Groove Library - Home',
+    description: data.description || 'The Groove Library exists to explore rhythm as a global language.',
     url: pageUrl,
     mainEntity: {
       '@type': 'ItemList',
       numberOfItems: data.cloudcasts?.length || 0,
       itemListElement: (data.cloudcasts || []).slice(0, 10).map((cloudcast, index) => ({
         '@type': 'ListItem',
-        position: index + 1,
-        url: cloudcast.url,
+        position: (data.offset || 0) + index + 1,
+        url: `https://thegroovelibrary.net${getMixUrl(cloudcast)}`,
         name: cloudcast.name,
       })),
     },
@@ -178,6 +215,7 @@ function getSchemasForPage(options) {
     breadcrumbs,
     playlistData,
     collectionData,
+    mixData,
   } = options;
 
   const schemas = [];
@@ -205,6 +243,12 @@ function getSchemasForPage(options) {
       }
       break;
 
+    case 'mix':
+      if (mixData) {
+        schemas.push(generateMusicRecordingSchema(mixData, pageUrl));
+      }
+      break;
+
     default:
       // No additional schemas for default pages
       break;
@@ -235,6 +279,7 @@ export default {
   generateWebSiteSchema,
   generateOrganizationSchema,
   generateBreadcrumbSchema,
+  generateMusicRecordingSchema,
   generateMusicPlaylistSchema,
   generateCollectionPageSchema,
   getSchemasForPage,
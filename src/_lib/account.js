@@ -0,0 +1,125 @@
+/**
+ * Mixcloud Account Fetcher
+ *
+ * Fetches every cloudcast (mix/show) uploaded to a Mixcloud account,
+ * plus the account's profile.
+ *
+ * Requests go through the shared request layer (see api.js), which
+ * deduplicates, limits concurrency, retries and caches them on disk.
+ * Pagination is supported to fetch all available cloudcasts, and the
+ * last successful fetch is kept as a fallback (see snapshots.js).
+ *
+ * @see https://www.mixcloud.com/developers/
+ */
+
+import { API_BASE, fetchApi } from './api.js';
+import { saveSnapshot, loadLatestSnapshot, getSnapshotOptions, warnStale } from './snapshots.js';
+
+// The site's own Mixcloud account
+export const MIXCLOUD_USERNAME = 'legendarymusic';
+
+/**
+ * Fetch all cloudcasts with pagination support
+ *
+ * @param {string} username - Mixcloud username
+ * @returns {Promise<Array>} Array of cloudcast objects
+ */
+export async function fetchAllCloudcasts(username) {
+  const cloudcasts = [];
+  let nextUrl = `${API_BASE}/${username}/cloudcasts/?limit=100`;
+
+  console.log(`Fetching cloudcasts for ${username}...`);
+
+  while (nextUrl) {
+    const { data } = await fetchApi(nextUrl);
+
+    if (data.data && Array.isArray(data.data)) {
+      cloudcasts.push(...data.data);
+      console.log(`Fetched ${data.data.length} cloudcasts (total: ${cloudcasts.length})`);
+    }
+
+    // Check for next page
+    nextUrl = data.paging?.next || null;
+  }
+
+  return cloudcasts;
+}
+
+/**
+ * Fetch user profile information
+ *
+ * @param {string} username - Mixcloud username
+ * @returns {Promise<Object>} User profile object
+ */
+export async function fetchUserProfile(username) {
+  const { data } = await fetchApi(`${API_BASE}/${username}/`);
+  return data;
+}
+
+/**
+ * Fetch an account's profile and cloudcasts
+ *
+ * Never throws unless in strict mode (see snapshots.js): on failure it
+ * falls back to the newest snapshot, or returns empty data with an `error`.
+ *
+ * @param {string} username - Mixcloud username
+ * @returns {Promise<Object>} Mixcloud data object
+ */
+export async function fetchAccount(username) {
+  const snapshotName = `account-${username}`;
+
+  try {
+    // Fetch user profile and cloudcasts in parallel
+    const [profile, cloudcasts] = await Promise.all([
+      fetchUserProfile(username),
+      fetchAllCloudcasts(username)
+    ]);
+    const fetchedAt = new Date().toISOString();
+
+    saveSnapshot(snapshotName, { profile, cloudcasts, fetchedAt });
+
+    console.log(`✓ Successfully fetched ${cloudcasts.length} cloudcasts from ${username}`);
+
+    return {
+      username,
+      profile,
+      cloudcasts,
+      fetchedAt,
+      count: cloudcasts.length
+    };
+  } catch (error) {
+    console.error('Error fetching Mixcloud data:', error);
+
+    // Fall back to the last successful fetch
+    const snapshot = loadLatestSnapshot(snapshotName);
+
+    if (snapshot) {
+      warnStale(`Mixcloud account ${username}`, error, snapshot.savedAt);
+      const { profile, cloudcasts, fetchedAt } = snapshot.data;
+
+      return {
+        username,
+        profile,
+        cloudcasts,
+        stale: true,
+        error: error.message,
+        fetchedAt,
+        count: cloudcasts.length
+      };
+    }
+
+    if (getSnapshotOptions().strict) {
+      throw new Error(`Strict mode: could not fetch Mixcloud data for ${username} and no snapshot is available (${error.message})`);
+    }
+
+    // Return empty data structure on error to prevent build failure
+    return {
+      username,
+      profile: null,
+      cloudcasts: [],
+      error: error.message,
+      fetchedAt: new Date().toISOString(),
+      count: 0
+    };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Mixcloud API Request Layer
+ *
+ * Every request to the Mixcloud API goes through fetchApi(), whichever
+ * data file makes it (libraries.js, mixcloud.js), so during a build:
+ * - Identical URLs are requested once; later callers share the result
+ * - At most MIXCLOUD_CONCURRENCY requests (default 3) are in flight at once
+ * - Rate limits are recognised the same way everywhere (HTTP 429 or a
+ *   `RateLimited` error body) and their `retry_after` holds back every
+ *   request, not just the one that was limited
+ *
+ * Responses go through the on-disk cache (see cache.js) as before.
+ *
+ * @see https://www.mixcloud.com/developers/
+ */
+
+import { cachedFetch } from './cache.js';
+import { createLimiter } from './io.js';
+
+export const API_BASE = process.env.MIXCLOUD_API_BASE || 'https://api.mixcloud.com';
+
+const MAX_RETRIES = 3;
+const INITIAL_RETRY_DELAY = 1000; // 1 second
+const DEFAULT_CONCURRENCY = 3;
+
+// Results of this build's requests, keyed by URL (see resetRequests)
+const requests = new Map();
+
+// No request starts before this time, after a rate limit
+let resumeAt = 0;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read request settings from the environment
+ * @param {object} env - Environment variables
+ * @returns {{ concurrency: number }}
+ */
+export function getRequestOptions(env = process.env) {
+  const concurrency = Number(env.MIXCLOUD_CONCURRENCY ?? DEFAULT_CONCURRENCY);
+
+  return {
+    concurrency: Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY
+  };
+}
+
+// Runs a request once one of the shared slots is free
+const withSlot = createLimiter(() => getRequestOptions().concurrency);
+
+/**
+ * How long a failed response asks us to wait before retrying
+ *
+ * Mixcloud signals a rate limit with a `RateLimited` error body, usually
+ * on a 429; either one counts.
+ *
+ * @param {Response} response - The failed response
+ * @param {object} body - Its parsed JSON body, or {}
+ * @returns {number|null} Milliseconds to wait (NaN if unspecified), or null if not rate limited
+ */
+export function getRetryAfter(response, body) {
+  if (response.status !== 429 && body.error?.type !== 'RateLimited') {
+    return null;
+  }
+
+  // Number(null) is 0, which would retry straight away: leave it to the backoff
+  const retryAfter = body.error?.retry_after ?? response.headers.get('retry-after');
+  return retryAfter == null || retryAfter === '' ? NaN : Number(retryAfter) * 1000;
+}
+
+/**
+ * Make one request and parse its JSON
+ * @param {string} url
+ * @returns {Promise<any>}
+ */
+async function request(url) {
+  // Wait out a rate limit that any request ran into
+  while (resumeAt > Date.now()) {
+    await sleep(resumeAt - Date.now());
+  }
+
+  const response = await fetch(url);
+
+  if (response.ok) {
+    return response.json();
+  }
+
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(`HTTP ${response.status}: ${body.error?.message || response.statusText}`);
+  error.status = response.status;
+  error.retryAfter = getRetryAfter(response, body);
+  throw error;
+}
+
+/**
+ * Fetch and parse JSON, retrying failures
+ *
+ * Rate limits wait for `retry_after` (falling back to the backoff);
+ * network errors, 5xx responses and malformed JSON back off
+ * exponentially. Other 4xx responses are not retried.
+ *
+ * @param {string} url - The URL to fetch
+ * @param {object} [options]
+ * @param {number} [options.retries] - Maximum number of attempts
+ * @param {number} [options.delay] - First backoff delay in ms, doubled after each attempt
+ * @returns {Promise<any>} Parsed JSON response
+ */
+export async function fetchWithRetry(url, { retries = MAX_RETRIES, delay = INITIAL_RETRY_DELAY } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await withSlot(() => request(url));
+    } catch (error) {
+      const rateLimited = error.retryAfter != null;
+      const clientError = error.status >= 400 && error.status < 500 && !rateLimited;
+
+      if (attempt >= retries || clientError) {
+        throw error;
+      }
+
+      const backoff = delay * Math.pow(2, attempt - 1);
+
+      if (rateLimited) {
+        const wait = Number.isFinite(error.retryAfter) ? error.retryAfter : backoff;
+        resumeAt = Math.max(resumeAt, Date.now() + wait);
+        console.warn(`Rate limited. Retrying after ${wait}ms...`);
+        await sleep(wait);
+      } else {
+        console.warn(`Fetch failed (${error.message}). Retrying after ${backoff}ms... (${attempt}/${retries})`);
+        await sleep(backoff);
+      }
+    }
+  }
+}
+
+/**
+ * Fetch a Mixcloud API URL through the cache, once per build
+ *
+ * Every caller asking for the same URL during a build gets the same
+ * result (or the same error) from a single request.
+ *
+ * @param {string} url - Request URL
+ * @returns {Promise<{ data: any, fromCache: boolean }>}
+ */
+export function fetchApi(url) {
+  if (!requests.has(url)) {
+    requests.set(url, cachedFetch(url, fetchWithRetry));
+  }
+  return requests.get(url);
+}
+
+/**
+ * Forget this build's requests, so the next build fetches afresh
+ * (called before each build in eleventy.config.js)
+ */
+export function resetRequests() {
+  requests.clear();
+}
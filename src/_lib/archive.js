@@ -0,0 +1,65 @@
+/**
+ * Mix Archive
+ *
+ * Builds the /archive/ page from every upload on the Mixcloud account
+ * (src/_data/mixcloud.js), grouped by year. Each upload is matched to
+ * the libraries it appears in (src/_data/libraries.js); uploads in no
+ * library's playlist are marked `unsorted`, so curators can see what
+ * still needs filing.
+ */
+
+import { collectMixes, getMixUrl } from './mixes.js';
+import { getCloudcastSlug } from './playlists.js';
+
+export const UNDATED = 'Undated';
+
+/**
+ * Compare two uploads, newest first (undated last)
+ */
+function newestFirst(a, b) {
+  return (b.created_time || '').localeCompare(a.created_time || '');
+}
+
+/**
+ * Build the archive
+ *
+ * Filed uploads link to their /mixes/<slug>/ page and carry the
+ * `libraries` they belong to; unsorted ones link to Mixcloud, as they
+ * have no page here.
+ *
+ * @param {Array<object>} uploads - Cloudcasts from the account
+ * @param {object} libraries - Library data, keyed by slug
+ * @returns {{ count: number, unsortedCount: number, years: Array<{ year: string, count: number, mixes: Array<object> }> }}
+ */
+export function buildArchive(uploads, libraries) {
+  const filed = new Map(collectMixes(libraries).map(mix => [getCloudcastSlug(mix), mix]));
+  const years = new Map();
+  let unsortedCount = 0;
+
+  for (const upload of [...(uploads || [])].sort(newestFirst)) {
+    const mix = filed.get(getCloudcastSlug(upload));
+    const entry = {
+      ...upload,
+      url: mix ? getMixUrl(mix) : upload.url,
+      libraries: mix ? mix.libraries : [],
+      unsorted: !mix
+    };
+
+    if (entry.unsorted) {
+      unsortedCount++;
+    }
+
+    const year = upload.created_time?.slice(0, 4) || UNDATED;
+    if (!years.has(year)) {
+      years.set(year, []);
+    }
+    years.get(year).push(entry);
+  }
+
+  return {
+    count: uploads?.length || 0,
+    unsortedCount,
+    // Uploads are sorted newest first, so the years already are
+    years: [...years].map(([year, mixes]) => ({ year, count: mixes.length, mixes }))
+  };
+}
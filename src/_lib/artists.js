@@ -0,0 +1,168 @@
+/**
+ * Artist Index
+ *
+ * Indexes the artists in every mix's tracklist (manual tracklists from
+ * tracklists.json, merged in by playlists.js) for the /artists/ pages.
+ *
+ * Credits are normalised before indexing:
+ * - Whitespace is collapsed and "Ethiopian Brothers, The" becomes
+ *   "The Ethiopian Brothers"
+ * - Featured artists ("X feat. Y & Z", "X (ft. Y)") are indexed as well
+ *   as the main artist
+ * - Spellings that share a slug ("Y Bayani", "Y-Bayani") are one artist
+ *
+ * "&" and "," in the main credit are left alone: they are usually part
+ * of a band name ("Sir Shina Peters & His International Stars").
+ */
+
+import { getCloudcastSlug } from './playlists.js';
+import { slugify } from './slugify.js';
+
+const FEATURING = /\s*\(?\b(?:feat\.?|ft\.|featuring)\s+(.+?)\)?\s*$/i;
+
+/**
+ * Tidy an artist name
+ * @param {string} name - e.g. " QUALITONS,  The "
+ * @returns {string} e.g. "The QUALITONS"
+ */
+export function normaliseArtistName(name) {
+  const tidy = String(name ?? '').replace(/\s+/g, ' ').trim();
+  const trailingThe = tidy.match(/^(.+),\s*the$/i);
+
+  return trailingThe ? `The ${trailingThe[1]}` : tidy;
+}
+
+/**
+ * Split a tracklist credit into the main artist and featured artists
+ * @param {string} credit - e.g. "Kokolo feat. Jojo Kuo"
+ * @returns {{ artist: string, featuring: Array<string> }}
+ */
+export function splitArtistCredit(credit) {
+  const tidy = normaliseArtistName(credit);
+  const match = tidy.match(FEATURING);
+
+  if (!match) {
+    return { artist: tidy, featuring: [] };
+  }
+
+  return {
+    artist: normaliseArtistName(tidy.slice(0, match.index)),
+    featuring: match[1]
+      .split(/\s*[&,]\s*/)
+      .map(normaliseArtistName)
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Get the page URL for an artist
+ * @param {string} credit - Artist name or full tracklist credit
+ * @returns {string} e.g. "/artists/ebo-taylor/"
+ */
+export function getArtistUrl(credit) {
+  return `/artists/${slugify(splitArtistCredit(credit).artist)}/`;
+}
+
+/**
+ * Get the A-Z sort key for an artist name
+ * @param {string} name - Normalised artist name
+ * @returns {string}
+ */
+function getSortKey(name) {
+  return slugify(name.replace(/^the\s+/i, '')) || slugify(name);
+}
+
+/**
+ * Index every artist across mix tracklists
+ *
+ * Each artist keeps the most common spelling of its name and lists its
+ * appearances grouped by mix, newest mix first. Artists are sorted A-Z,
+ * ignoring a leading "The".
+ *
+ * @param {Array<object>} mixes - Mixes from collectMixes()
+ * @returns {Array<{ name: string, slug: string, trackCount: number, appearances: Array<{ mix: object, tracks: Array<object> }> }>}
+ */
+export function collectArtists(mixes) {
+  const artists = new Map();
+
+  function addTrack(name, mix, track) {
+    const slug = slugify(name);
+    if (!slug) return;
+
+    if (!artists.has(slug)) {
+      artists.set(slug, { slug, spellings: new Map(), appearances: new Map() });
+    }
+
+    const artist = artists.get(slug);
+    artist.spellings.set(name, (artist.spellings.get(name) || 0) + 1);
+
+    const mixKey = getCloudcastSlug(mix);
+    if (!artist.appearances.has(mixKey)) {
+      artist.appearances.set(mixKey, { mix, tracks: [] });
+    }
+    artist.appearances.get(mixKey).tracks.push(track);
+  }
+
+  for (const mix of mixes) {
+    for (const section of mix.sections || []) {
+      if (section.section_type !== 'track' || !section.track?.artist) continue;
+
+      const { artist, featuring } = splitArtistCredit(section.track.artist);
+      const track = {
+        position: section.position,
+        name: section.track.name,
+        credit: normaliseArtistName(section.track.artist),
+        start_time: section.start_time ?? null
+      };
+
+      addTrack(artist, mix, { ...track, featured: false });
+      for (const guest of featuring) {
+        addTrack(guest, mix, { ...track, featured: true });
+      }
+    }
+  }
+
+  return [...artists.values()]
+    .map(({ slug, spellings, appearances }) => {
+      // Most common spelling wins; ties go to the first one seen
+      const [name] = [...spellings].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+      const grouped = [...appearances.values()]
+        .sort((a, b) => (b.mix.created_time || '').localeCompare(a.mix.created_time || ''));
+
+      return {
+        name,
+        slug,
+        sortKey: getSortKey(name),
+        trackCount: grouped.reduce((total, appearance) => total + appearance.tracks.length, 0),
+        appearances: grouped
+      };
+    })
+    .sort((a, b) => a.sortKey.localeCompare(b.sortKey, 'en'));
+}
+
+/**
+ * Group artists by initial for the A-Z index
+ *
+ * Names starting with anything other than A-Z are grouped under "#",
+ * listed first.
+ *
+ * @param {Array<object>} artists - Artists from collectArtists()
+ * @returns {Array<{ letter: string, artists: Array<object> }>}
+ */
+export function groupArtistsByInitial(artists) {
+  const groups = new Map();
+
+  for (const artist of artists) {
+    const initial = artist.sortKey.charAt(0).toUpperCase();
+    const letter = /^[A-Z]$/.test(initial) ? initial : '#';
+
+    if (!groups.has(letter)) {
+      groups.set(letter, []);
+    }
+    groups.get(letter).push(artist);
+  }
+
+  return [...groups]
+    .map(([letter, grouped]) => ({ letter, artists: grouped }))
+    .sort((a, b) => a.letter === '#' ? -1 : b.letter === '#' ? 1 : a.letter.localeCompare(b.letter));
+}
@@ -0,0 +1,327 @@
+/**
+ * Generated Mix Artwork
+ *
+ * Builds distinctive artwork for every mix from its title, in the colours
+ * of the library it belongs to and the brand tokens in
+ * src/css/00-config.css: a gradient with a glow and a record whose
+ * placement varies with the title. Cards show it when a mix has no cover
+ * or its cover fails to load (see src/js/image-fallback.js), and mixes
+ * with no art at all use a 1200x630 JPEG of it as their OG and JSON-LD
+ * image (see getMixImageUrl).
+ *
+ * Files go into the cover cache (.cache/covers/art/, see covers.js) and
+ * are published at /covers/art/<id>.svg and .jpg after each build. The
+ * id is a hash of the artwork itself, so it changes whenever the title
+ * or colours do.
+ */
+
+import { createHash } from 'crypto';
+import { cpSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { getCoverOptions, getCoverSource, getCoverUrl } from './covers.js';
+import { getCloudcastSlug } from './playlists.js';
+import { escapeHtml } from './description.js';
+import { writeAtomic } from './io.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const CONFIG_CSS_PATH = resolve(__dirname, '../css/00-config.css');
+
+// Colour tokens for each library theme (see the .hero--<theme> gradients)
+export const ARTWORK_THEMES = {
+  home: { start: 'color-primary-400', end: 'color-secondary-700', accent: 'color-primary-200' },
+  easton: { start: 'color-hero-easton-start', end: 'color-hero-easton-end', accent: 'color-primary-200' },
+  afro: { start: 'color-hero-afro-start', end: 'color-hero-afro-end', accent: 'color-hero-afro-accent' },
+  islands: { start: 'color-hero-islands-start', end: 'color-hero-islands-end', accent: 'color-hero-islands-accent' },
+  japan: { start: 'color-hero-japan-start', end: 'color-hero-japan-end', accent: 'color-hero-japan-accent' }
+};
+
+export const CARD_SIZE = { width: 640, height: 640 };
+export const OG_SIZE = { width: 1200, height: 630 };
+
+// Artwork generated this build, keyed by file name (see resetArtwork)
+const generated = new Set();
+
+let brandTokens = null;
+
+/**
+ * Read the custom properties defined in a CSS file
+ *
+ * `var()` references to other properties in the file are resolved, so
+ * `--color-surface: var(--color-surface-card)` gives the card colour.
+ *
+ * @param {string} css - Stylesheet source
+ * @returns {Object<string, string>} Values keyed by property name, without the "--"
+ */
+export function parseTokens(css) {
+  const tokens = {};
+  for (const [, name, value] of css.matchAll(/--([\w-]+)\s*:\s*([^;]+);/g)) {
+    tokens[name] = value.trim();
+  }
+
+  const resolveValue = (value, depth = 0) => value.replace(/var\(--([\w-]+)\)/g, (reference, name) =>
+    tokens[name] && depth < 10 ? resolveValue(tokens[name], depth + 1) : reference
+  );
+
+  return Object.fromEntries(Object.entries(tokens).map(([name, value]) => [name, resolveValue(value)]));
+}
+
+/**
+ * Load the brand tokens from 00-config.css (read once per process)
+ * @returns {Object<string, string>}
+ */
+export function loadBrandTokens() {
+  if (!brandTokens) {
+    brandTokens = parseTokens(readFileSync(CONFIG_CSS_PATH, 'utf-8'));
+  }
+  return brandTokens;
+}
+
+/**
+ * Choose the theme a mix's artwork is drawn in
+ *
+ * The first library with a theme of its own wins over the home library,
+ * which holds a bit of everything.
+ *
+ * @param {Array<string>} themes - Themes of the libraries the mix is in, in registry order
+ * @returns {string}
+ */
+export function getArtworkTheme(themes) {
+  const known = themes.filter(theme => ARTWORK_THEMES[theme]);
+  return known.find(theme => theme !== 'home') || known[0] || 'home';
+}
+
+/**
+ * A small, stable number from a string, for varying the layout per title
+ * @param {string} text
+ * @returns {number} 32-bit unsigned integer
+ */
+function seedFrom(text) {
+  return createHash('sha256').update(text).digest().readUInt32BE(0);
+}
+
+/**
+ * Break a title into lines of at most `maxChars`, ending with "…" if cut short
+ * @param {string} title
+ * @param {number} maxChars - Longest line
+ * @param {number} maxLines - Most lines
+ * @returns {Array<string>}
+ */
+export function wrapTitle(title, maxChars, maxLines) {
+  const lines = [];
+
+  for (const word of String(title).trim().split(/\s+/).filter(Boolean)) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word);
+    }
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).replace(/[\s.,;:–-]+$/, '')}…`;
+    return kept;
+  }
+
+  return lines;
+}
+
+/**
+ * Render a mix's artwork as SVG
+ * @param {string} title - Mix title
+ * @param {string} theme - Library theme (see ARTWORK_THEMES)
+ * @param {{ width: number, height: number }} size - CARD_SIZE or OG_SIZE
+ * @param {Object<string, string>} tokens - Brand tokens (see loadBrandTokens)
+ * @returns {string}
+ */
+export function renderArtwork(title, theme, { width, height } = CARD_SIZE, tokens = loadBrandTokens()) {
+  const palette = ARTWORK_THEMES[theme] || ARTWORK_THEMES.home;
+  const color = name => escapeHtml(tokens[name] || '#000');
+  const font = name => escapeHtml(tokens[name] || 'serif');
+  const seed = seedFrom(title);
+  const wide = width > height;
+
+  // Where the glow sits and how the record is turned depend on the title
+  const glowX = Math.round(width * (0.1 + (seed % 60) / 100));
+  const glowY = Math.round(height * (0.05 + ((seed >> 8) % 40) / 100));
+  const angle = (seed >> 16) % 360;
+
+  // The record sits bottom right on a card and on the right of an OG image
+  const radius = Math.round(height * (wide ? 0.4 : 0.42));
+  const recordX = Math.round(wide ? width - height * 0.5 : width * 0.74);
+  const recordY = Math.round(wide ? height * 0.5 : height * 0.74);
+  const grooves = [0.92, 0.8, 0.68, 0.56]
+    .map(scale => `<circle cx="${recordX}" cy="${recordY}" r="${Math.round(radius * scale)}" fill="none" stroke="${color('color-neutral-700')}" stroke-width="2" opacity="0.6"/>`)
+    .join('');
+
+  const fontSize = Math.round((wide ? height : width) * 0.085);
+  const lines = wrapTitle(title, wide ? 18 : 16, wide ? 4 : 3);
+  const textX = Math.round(width * (wide ? 0.06 : 0.08));
+  const textY = Math.round(height * (wide ? 0.2 : 0.16)) + fontSize;
+  const tspans = lines
+    .map((line, index) => `<tspan x="${textX}" dy="${index === 0 ? 0 : Math.round(fontSize * 1.15)}">${escapeHtml(line)}</tspan>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">
+<defs>
+<linearGradient id="background" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${color(palette.start)}"/><stop offset="1" stop-color="${color(palette.end)}"/></linearGradient>
+<radialGradient id="glow"><stop offset="0" stop-color="${color(palette.accent)}" stop-opacity="0.7"/><stop offset="1" stop-color="${color(palette.accent)}" stop-opacity="0"/></radialGradient>
+</defs>
+<rect width="${width}" height="${height}" fill="url(#background)"/>
+<circle cx="${glowX}" cy="${glowY}" r="${Math.round(Math.max(width, height) * 0.55)}" fill="url(#glow)"/>
+<g transform="rotate(${angle} ${recordX} ${recordY})">
+<circle cx="${recordX}" cy="${recordY}" r="${radius}" fill="${color('color-neutral-900')}" opacity="0.9"/>
+${grooves}
+<circle cx="${recordX}" cy="${recordY}" r="${Math.round(radius * 0.32)}" fill="${color('color-primary-500')}"/>
+<rect x="${recordX - Math.round(radius * 0.2)}" y="${recordY - Math.round(radius * 0.12)}" width="${Math.round(radius * 0.4)}" height="${Math.max(2, Math.round(radius * 0.04))}" fill="${color('color-neutral-50')}" opacity="0.8"/>
+<circle cx="${recordX}" cy="${recordY}" r="${Math.max(3, Math.round(radius * 0.03))}" fill="${color(palette.start)}"/>
+</g>
+<text x="${textX}" y="${textY}" font-family="${font('font-family-display')}" font-size="${fontSize}" font-weight="700" fill="${color('color-neutral-50')}">${tspans}</text>
+<text x="${textX}" y="${height - Math.round(height * 0.07)}" font-family="${font('font-family-base')}" font-size="${Math.round(fontSize * 0.32)}" font-weight="600" letter-spacing="3" fill="${color('color-neutral-50')}" opacity="0.85">THE GROOVE LIBRARY</text>
+</svg>
+`;
+}
+
+/**
+ * Get the id an artwork file is stored and published under
+ * @param {string} content - SVG source
+ * @returns {string}
+ */
+export function getArtworkId(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Write a file (atomically, see io.js) unless an earlier build already did
+ * @param {string} path
+ * @param {() => Promise<Buffer|string>|Buffer|string} create
+ */
+async function writeOnce(path, create) {
+  if (existsSync(path)) {
+    return;
+  }
+  writeAtomic(path, await create());
+}
+
+/**
+ * Generate a mix's artwork files
+ * @param {object} cloudcast
+ * @param {string} theme
+ * @param {string} dir - Artwork cache directory
+ * @returns {Promise<{ theme: string, src: string, og?: string }>}
+ */
+async function generateArtwork(cloudcast, theme, dir) {
+  const card = renderArtwork(cloudcast.name, theme, CARD_SIZE);
+  const cardFile = `${getArtworkId(card)}.svg`;
+  await writeOnce(join(dir, cardFile), () => card);
+  generated.add(cardFile);
+
+  const artwork = { theme, src: `/covers/art/${cardFile}` };
+
+  // Social previews need a raster image; mixes with art of their own use that instead
+  if (!cloudcast.cover && !getCoverSource(cloudcast.pictures)) {
+    const og = renderArtwork(cloudcast.name, theme, OG_SIZE);
+    const ogFile = `${getArtworkId(og)}.jpg`;
+    await writeOnce(join(dir, ogFile), () => sharp(Buffer.from(og)).jpeg({ quality: 85, mozjpeg: true }).toBuffer());
+    generated.add(ogFile);
+    artwork.og = `/covers/art/${ogFile}`;
+  }
+
+  return artwork;
+}
+
+/**
+ * Add generated `artwork` to every cloudcast in every library
+ *
+ * A mix is drawn in the same theme wherever it appears (see getArtworkTheme).
+ * Artwork that can't be generated is left out, with a warning.
+ *
+ * @param {object} libraries - Library data, keyed by slug, in registry order
+ * @param {object} options - Overrides for getCoverOptions()
+ * @returns {Promise<object>} The libraries, with `artwork` on each cloudcast
+ */
+export async function attachArtwork(libraries, options = {}) {
+  const dir = join({ ...getCoverOptions(), ...options }.dir, 'art');
+  const themes = new Map();
+
+  for (const library of Object.values(libraries)) {
+    for (const cloudcast of library.cloudcasts || []) {
+      const key = getCloudcastSlug(cloudcast);
+      themes.set(key, [...(themes.get(key) || []), library.theme]);
+    }
+  }
+
+  try {
+    mkdirSync(dir, { recursive: true });
+  } catch (error) {
+    console.warn(`Could not create the artwork directory (${error.message}); mixes have no generated artwork`);
+    return libraries;
+  }
+
+  const entries = [];
+  for (const [slug, library] of Object.entries(libraries)) {
+    const cloudcasts = [];
+
+    // One at a time: sharp already spreads each render across threads
+    for (const cloudcast of library.cloudcasts || []) {
+      try {
+        const theme = getArtworkTheme(themes.get(getCloudcastSlug(cloudcast)));
+        cloudcasts.push({ ...cloudcast, artwork: await generateArtwork(cloudcast, theme, dir) });
+      } catch (error) {
+        console.warn(`Could not generate artwork for ${cloudcast.name} (${error.message})`);
+        cloudcasts.push(cloudcast);
+      }
+    }
+
+    entries.push([slug, { ...library, cloudcasts }]);
+  }
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Get the absolute URL of the image that represents a mix elsewhere
+ * (its OG image and JSON-LD `image`)
+ *
+ * The self-hosted cover comes first, then Mixcloud's own picture; the
+ * generated artwork is only for mixes with neither.
+ *
+ * @param {object} mix - Cloudcast
+ * @param {string} siteUrl - e.g. "https://thegroovelibrary.net"
+ * @returns {string|undefined}
+ */
+export function getMixImageUrl(mix, siteUrl) {
+  return getCoverUrl(mix, siteUrl)
+    || getCoverSource(mix.pictures)
+    || (mix.artwork?.og ? `${siteUrl}${mix.artwork.og}` : undefined);
+}
+
+/**
+ * Publish this build's artwork into the output directory
+ * (called after each build in eleventy.config.js)
+ * @param {string} outputDir - e.g. "_site"
+ * @param {object} options - Overrides for getCoverOptions()
+ * @returns {number} Number of files copied
+ */
+export function copyArtwork(outputDir, options = {}) {
+  const dir = join({ ...getCoverOptions(), ...options }.dir, 'art');
+
+  for (const file of generated) {
+    cpSync(join(dir, file), join(outputDir, 'covers', 'art', file));
+  }
+
+  return generated.size;
+}
+
+/**
+ * Forget this build's artwork, so the next build attaches it afresh
+ * (called before each build in eleventy.config.js)
+ */
+export function resetArtwork() {
+  generated.clear();
+}
@@ -0,0 +1,116 @@
+/**
+ * Mixcloud API Response Cache
+ *
+ * Persists API responses on disk (.cache/mixcloud/), keyed by request URL,
+ * so rebuilds and --serve reloads don't page through the API again.
+ *
+ * Configuration (environment variables or npm flags):
+ * - MIXCLOUD_CACHE_TTL: Seconds a cached response stays fresh (default 3600)
+ * - MIXCLOUD_OFFLINE=1 or `npm run build --offline`: Build purely from the
+ *   cache, whatever its age. Uncached URLs fail without touching the network.
+ * - MIXCLOUD_REFRESH=1 or `npm run build --refresh`: Ignore cached responses
+ *   and fetch everything again (the cache is still updated)
+ * - MIXCLOUD_CACHE_DIR: Override the cache directory
+ */
+
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { writeAtomic } from './io.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_TTL = 60 * 60; // 1 hour, in seconds
+
+/**
+ * Read cache settings from the environment
+ * @param {object} env - Environment variables
+ * @returns {{ dir: string, ttl: number, offline: boolean, refresh: boolean }}
+ */
+export function getCacheOptions(env = process.env) {
+  const ttl = Number(env.MIXCLOUD_CACHE_TTL ?? DEFAULT_TTL);
+
+  return {
+    dir: env.MIXCLOUD_CACHE_DIR || resolve(__dirname, '../../.cache/mixcloud'),
+    ttl: Number.isFinite(ttl) && ttl >= 0 ? ttl * 1000 : DEFAULT_TTL * 1000,
+    offline: env.MIXCLOUD_OFFLINE === '1' || env.npm_config_offline === 'true',
+    refresh: env.MIXCLOUD_REFRESH === '1' || env.npm_config_refresh === 'true'
+  };
+}
+
+/**
+ * Get the cache file path for a URL
+ * @param {string} url - Request URL
+ * @param {string} dir - Cache directory
+ * @returns {string}
+ */
+export function getCachePath(url, dir = getCacheOptions().dir) {
+  const hash = createHash('sha256').update(url).digest('hex').slice(0, 32);
+  return join(dir, `${hash}.json`);
+}
+
+/**
+ * Read a cached response
+ * @param {string} url - Request URL
+ * @param {string} dir - Cache directory
+ * @returns {{ url: string, cachedAt: string, data: any } | null}
+ */
+export function readCache(url, dir = getCacheOptions().dir) {
+  try {
+    const entry = JSON.parse(readFileSync(getCachePath(url, dir), 'utf-8'));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a response to the cache
+ * @param {string} url - Request URL
+ * @param {any} data - Parsed JSON response
+ * @param {string} dir - Cache directory
+ */
+export function writeCache(url, data, dir = getCacheOptions().dir) {
+  const path = getCachePath(url, dir);
+  const entry = { url, cachedAt: new Date().toISOString(), data };
+
+  try {
+    mkdirSync(dir, { recursive: true });
+    writeAtomic(path, JSON.stringify(entry));
+  } catch (error) {
+    console.warn(`Could not write Mixcloud cache for ${url}:`, error.message);
+  }
+}
+
+/**
+ * Fetch JSON through the cache
+ *
+ * @param {string} url - Request URL (the cache key)
+ * @param {(url: string) => Promise<any>} fetchJson - Fetches and parses the URL
+ * @param {object} options - Overrides for getCacheOptions()
+ * @returns {Promise<{ data: any, fromCache: boolean }>}
+ */
+export async function cachedFetch(url, fetchJson, options = {}) {
+  const { dir, ttl, offline, refresh } = { ...getCacheOptions(), ...options };
+
+  // Offline wins over refresh: there is nothing to refresh from
+  if (!refresh || offline) {
+    const entry = readCache(url, dir);
+    const age = entry ? Date.now() - new Date(entry.cachedAt).getTime() : Infinity;
+
+    if (entry && (offline || age < ttl)) {
+      return { data: entry.data, fromCache: true };
+    }
+  }
+
+  if (offline) {
+    throw new Error(`Offline mode: no cached response for ${url}`);
+  }
+
+  const data = await fetchJson(url);
+  writeCache(url, data, dir);
+
+  return { data, fromCache: false };
+}
@@ -0,0 +1,283 @@
+/**
+ * Self-hosted Cover Art
+ *
+ * Downloads each mix's cover from Mixcloud once into .cache/covers/<id>/
+ * and uses sharp to generate AVIF, WebP and JPEG copies at several widths,
+ * plus a tiny blurred placeholder. The copies are published at
+ * /covers/<id>/ after each build (see copyCovers), so cards load their
+ * art from our own domain with a srcset instead of hotlinking Mixcloud.
+ *
+ * A cover's id is a hash of its Mixcloud image URL, which changes when
+ * the art does, so /covers/ can be cached forever.
+ *
+ * Configuration (environment variables):
+ * - MIXCLOUD_COVERS=0: Skip the pipeline; cards hotlink Mixcloud as before
+ * - MIXCLOUD_COVERS_DIR: Override the cover cache directory
+ * - MIXCLOUD_OFFLINE=1 (see cache.js): Use downloaded covers only
+ */
+
+import { createHash } from 'crypto';
+import { cpSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { getCacheOptions } from './cache.js';
+import { createLimiter, writeAtomic } from './io.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Widths generated for each cover, never larger than the original
+export const COVER_WIDTHS = [160, 320, 640, 1024];
+
+// Formats in order of preference; JPEG is the <img> fallback
+export const COVER_FORMATS = [
+  { extension: 'avif', type: 'image/avif', options: { quality: 50 } },
+  { extension: 'webp', type: 'image/webp', options: { quality: 75 } },
+  { extension: 'jpg', type: 'image/jpeg', options: { quality: 80, mozjpeg: true } }
+];
+
+const PLACEHOLDER_WIDTH = 16;
+const MAX_CONCURRENT = 4;
+const DOWNLOAD_TIMEOUT = 30 * 1000;
+
+// Covers processed this build, keyed by source URL (see resetCovers)
+const covers = new Map();
+
+// Runs a download and resize once one of the cover slots is free
+const withSlot = createLimiter(() => MAX_CONCURRENT);
+
+/**
+ * Read cover settings from the environment
+ * @param {object} env - Environment variables
+ * @returns {{ enabled: boolean, dir: string, offline: boolean }}
+ */
+export function getCoverOptions(env = process.env) {
+  return {
+    enabled: env.MIXCLOUD_COVERS !== '0',
+    dir: env.MIXCLOUD_COVERS_DIR || resolve(__dirname, '../../.cache/covers'),
+    offline: getCacheOptions(env).offline
+  };
+}
+
+/**
+ * Get the largest cover image Mixcloud offers
+ * @param {object} pictures - Cloudcast `pictures`
+ * @returns {string|undefined}
+ */
+export function getCoverSource(pictures = {}) {
+  return pictures['1024wx1024h'] || pictures['768wx768h'] || pictures['640wx640h'] || pictures.extra_large || pictures.large;
+}
+
+/**
+ * Get the id a cover is stored and published under
+ * @param {string} url - Mixcloud image URL
+ * @returns {string}
+ */
+export function getCoverId(url) {
+  return createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+/**
+ * Get the widths to generate for an original image
+ * @param {number} width - Width of the original
+ * @returns {Array<number>}
+ */
+export function getCoverWidths(width) {
+  const widths = COVER_WIDTHS.filter(size => size <= width);
+  return widths.length > 0 ? widths : [width];
+}
+
+/**
+ * Describe a processed cover for templates
+ * @param {string} id - Cover id
+ * @param {{ width: number, height: number, widths: Array<number>, placeholder: string }} manifest
+ * @returns {object} `src`, `srcset`, `width` and `height` for the <img>, `sources`
+ *   for each modern format, the smallest (`thumbnail`) and largest (`large`) JPEG,
+ *   and the `placeholder` data URI
+ */
+export function describeCover(id, { width, height, widths, placeholder }) {
+  const url = (size, extension) => `/covers/${id}/${size}.${extension}`;
+  const srcset = extension => widths.map(size => `${url(size, extension)} ${size}w`).join(', ');
+
+  // The <img> defaults to a card-sized copy
+  const defaultWidth = [...widths].reverse().find(size => size <= 640) || widths[0];
+
+  return {
+    id,
+    src: url(defaultWidth, 'jpg'),
+    srcset: srcset('jpg'),
+    width: defaultWidth,
+    height: Math.round(defaultWidth * height / width),
+    sources: COVER_FORMATS
+      .filter(format => format.extension !== 'jpg')
+      .map(format => ({ type: format.type, srcset: srcset(format.extension) })),
+    thumbnail: url(widths[0], 'jpg'),
+    large: url(widths[widths.length - 1], 'jpg'),
+    placeholder
+  };
+}
+
+/**
+ * Get a cover's original image, downloading it the first time
+ * @param {string} url - Mixcloud image URL
+ * @param {string} coverDir - The cover's cache directory
+ * @param {boolean} offline - Only use a downloaded original
+ * @returns {Promise<Buffer>}
+ */
+async function loadOriginal(url, coverDir, offline) {
+  const path = join(coverDir, 'original');
+
+  if (existsSync(path)) {
+    return readFileSync(path);
+  }
+
+  if (offline) {
+    throw new Error('Offline mode: cover not downloaded');
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const original = Buffer.from(await response.arrayBuffer());
+  mkdirSync(coverDir, { recursive: true });
+  writeAtomic(path, original);
+
+  return original;
+}
+
+/**
+ * Generate every copy of a cover from its original
+ * @param {Buffer} original
+ * @param {string} coverDir - The cover's cache directory
+ * @returns {Promise<{ width: number, height: number, widths: Array<number>, placeholder: string }>}
+ */
+async function generateCopies(original, coverDir) {
+  const { width, height } = await sharp(original).metadata();
+  const widths = getCoverWidths(width);
+
+  for (const size of widths) {
+    for (const format of COVER_FORMATS) {
+      const data = await sharp(original)
+        .resize(size)
+        .toFormat(format.extension === 'jpg' ? 'jpeg' : format.extension, format.options)
+        .toBuffer();
+      writeAtomic(join(coverDir, `${size}.${format.extension}`), data);
+    }
+  }
+
+  const placeholder = await sharp(original)
+    .resize(PLACEHOLDER_WIDTH)
+    .blur(1)
+    .jpeg({ quality: 50 })
+    .toBuffer();
+
+  return { width, height, widths, placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}` };
+}
+
+/**
+ * Download and process a cover, reusing earlier builds' work
+ * @param {string} url - Mixcloud image URL
+ * @param {object} options - Overrides for getCoverOptions()
+ * @returns {Promise<object|null>} describeCover() result, or null if the cover is unavailable
+ */
+export async function processCover(url, options = {}) {
+  const { dir, offline } = { ...getCoverOptions(), ...options };
+  const id = getCoverId(url);
+  const coverDir = join(dir, id);
+  const manifestPath = join(coverDir, 'cover.json');
+
+  try {
+    if (existsSync(manifestPath)) {
+      return describeCover(id, JSON.parse(readFileSync(manifestPath, 'utf-8')));
+    }
+
+    const manifest = await withSlot(async () => {
+      const original = await loadOriginal(url, coverDir, offline);
+      return generateCopies(original, coverDir);
+    });
+
+    // Written last: its presence means every copy exists
+    writeAtomic(manifestPath, JSON.stringify(manifest));
+
+    return describeCover(id, manifest);
+  } catch (error) {
+    console.warn(`Could not process cover ${url} (${error.message}); hotlinking Mixcloud instead`);
+    return null;
+  }
+}
+
+/**
+ * Get a cover, processing each source URL once per build
+ * @param {string} url - Mixcloud image URL
+ * @returns {Promise<object|null>}
+ */
+function getCover(url) {
+  if (!covers.has(url)) {
+    covers.set(url, processCover(url));
+  }
+  return covers.get(url);
+}
+
+/**
+ * Add a self-hosted `cover` to each cloudcast that has art
+ *
+ * Cloudcasts keep their Mixcloud `pictures`, which templates fall back
+ * to when there is no `cover`.
+ *
+ * @param {Array<object>} cloudcasts
+ * @returns {Promise<Array<object>>}
+ */
+export async function attachCovers(cloudcasts) {
+  if (!getCoverOptions().enabled) {
+    return cloudcasts;
+  }
+
+  return Promise.all(cloudcasts.map(async cloudcast => {
+    const source = getCoverSource(cloudcast.pictures);
+    const cover = source ? await getCover(source) : null;
+    return cover ? { ...cloudcast, cover } : cloudcast;
+  }));
+}
+
+/**
+ * Get the absolute URL of a mix's largest self-hosted cover
+ * @param {object} mix - Cloudcast
+ * @param {string} siteUrl - e.g. "https://thegroovelibrary.net"
+ * @returns {string|undefined}
+ */
+export function getCoverUrl(mix, siteUrl) {
+  return mix.cover ? `${siteUrl}${mix.cover.large}` : undefined;
+}
+
+/**
+ * Publish this build's covers into the output directory
+ * (called after each build in eleventy.config.js)
+ * @param {string} outputDir - e.g. "_site"
+ * @param {object} options - Overrides for getCoverOptions()
+ * @returns {Promise<number>} Number of covers copied
+ */
+export async function copyCovers(outputDir, options = {}) {
+  const { dir } = { ...getCoverOptions(), ...options };
+  const processed = (await Promise.all(covers.values())).filter(Boolean);
+
+  for (const { id } of processed) {
+    cpSync(join(dir, id), join(outputDir, 'covers', id), {
+      recursive: true,
+      // Only the generated copies are published
+      filter: source => !/(original|cover\.json|\.tmp)$/.test(source)
+    });
+  }
+
+  return processed.length;
+}
+
+/**
+ * Forget this build's covers, so the next build attaches them afresh
+ * (called before each build in eleventy.config.js)
+ */
+export function resetCovers() {
+  covers.clear();
+}
@@ -0,0 +1,43 @@
+/**
+ * Crate Manifest
+ *
+ * Builds the JSON manifest of every mix (/crate/mixes.json) that the
+ * /crate/ page renders a listener's saved mixes from (src/js/crate.js).
+ * The crate itself lives in the browser as a list of mix slugs, and a
+ * shared crate is a link carrying those slugs, so each entry is keyed by
+ * the mix's slug: the same slug as its /mixes/<slug>/ page.
+ */
+
+import { collectMixes, getMixSlug, getMixUrl } from './mixes.js';
+
+/**
+ * Build the crate entry for a mix
+ * @param {object} mix - Mix from collectMixes()
+ * @returns {object}
+ */
+function toCrateEntry(mix) {
+  const entry = {
+    slug: getMixSlug(mix),
+    url: getMixUrl(mix),
+    title: mix.name,
+    date: mix.created_time?.slice(0, 10),
+    duration: mix.audio_length,
+    image: mix.cover?.thumbnail || mix.pictures?.medium || mix.pictures?.small,
+    libraries: mix.libraries.map(library => library.title)
+  };
+
+  // Leave out what the mix doesn't have, to keep the file small
+  return Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Build the crate manifest for the whole site
+ * @param {object} libraries - Library data, keyed by slug
+ * @returns {{ generatedAt: string, mixes: Array<object> }}
+ */
+export function buildCrateManifest(libraries) {
+  return {
+    generatedAt: new Date().toISOString(),
+    mixes: collectMixes(libraries).map(toCrateEntry)
+  };
+}
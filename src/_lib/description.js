@@ -0,0 +1,114 @@
+/**
+ * Mix Descriptions
+ *
+ * Mixcloud descriptions are plain text written on Mixcloud. These turn
+ * one into safe HTML for the cards - escaped, with web addresses linked
+ * and blank lines as paragraphs - and into a short plain-text summary
+ * for meta and JSON-LD descriptions.
+ */
+
+// http(s) URLs and bare www. addresses, up to whitespace or a tag bracket
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+// Punctuation that ends a sentence rather than the URL
+const TRAILING_PUNCTUATION = /[.,!?;:'"]+$/;
+
+// Control characters other than tab and newline
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F]/g;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, character => ESCAPES[character]);
+}
+
+/**
+ * Normalise a description's line endings and drop control characters
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARACTERS, '')
+    .trim();
+}
+
+/**
+ * Split a URL match from the punctuation after it
+ * @param {string} match - e.g. "https://example.com)."
+ * @returns {[string, string]} The URL and the text that follows it
+ */
+function splitTrailing(match) {
+  let url = match.replace(TRAILING_PUNCTUATION, '');
+
+  // A closing bracket belongs to the URL only if it opens one too
+  while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+  }
+
+  return [url, match.slice(url.length)];
+}
+
+/**
+ * Escape a line of text, linking any web addresses in it
+ * @param {string} line
+ * @returns {string} HTML
+ */
+export function linkify(line) {
+  let html = '';
+  let index = 0;
+
+  for (const match of line.matchAll(URL_PATTERN)) {
+    const [url, trailing] = splitTrailing(match[0]);
+    const href = /^www\./i.test(url) ? `https://${url}` : url;
+
+    html += escapeHtml(line.slice(index, match.index));
+    html += `<a href="${escapeHtml(href)}" rel="nofollow noopener noreferrer">${escapeHtml(url)}</a>`;
+    html += escapeHtml(trailing);
+    index = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(line.slice(index));
+}
+
+/**
+ * Format a description as HTML
+ *
+ * Any markup in the text is escaped, never rendered. Blank lines start
+ * a new paragraph and single line breaks are kept.
+ *
+ * @param {string} text - Description from Mixcloud
+ * @returns {string} HTML paragraphs, or "" when there is no description
+ */
+export function formatDescription(text) {
+  return cleanText(text)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${paragraph.split('\n').map(linkify).join('<br>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Summarise a description as one line of plain text
+ * @param {string} text - Description from Mixcloud
+ * @param {number} [maxLength] - Longest summary, ending with "…" when cut
+ * @returns {string} "" when there is no description
+ */
+export function summariseDescription(text, maxLength = Infinity) {
+  const summary = cleanText(text).replace(/\s+/g, ' ');
+  if (summary.length <= maxLength) {
+    return summary;
+  }
+
+  // Cut at the last word that fits, leaving room for the ellipsis
+  const cut = summary.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:–-]+$/, '')}…`;
+}
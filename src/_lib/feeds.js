@@ -0,0 +1,303 @@
+/**
+ * Library Feeds
+ *
+ * RSS 2.0, Atom and JSON Feed output for every library plus one combined
+ * feed of all mixes, so listeners can follow new uploads without going
+ * through Mixcloud. Entries link to the mix pages on this site and carry
+ * cover art, duration, tags and tracklist.
+ *
+ * Files (see getFeedUrls):
+ * - /feeds/<library-slug>.xml, .atom and .json
+ * - /feeds/all.xml, .atom and .json
+ */
+
+import { collectMixes, getMixUrl } from './mixes.js';
+import { formatTimestamp } from './timestamps.js';
+import { formatDescription, summariseDescription } from './description.js';
+import { getMixImageUrl } from './artwork.js';
+import { ALL_MIXES_FEED } from './libraries.js';
+
+const SITE_URL = 'https://thegroovelibrary.net';
+const SITE_TITLE = 'The Groove Library';
+const MAX_ITEMS = 50;
+
+export { ALL_MIXES_FEED };
+
+/**
+ * Get the feed URLs for a library (or ALL_MIXES_FEED)
+ * @param {string} slug - Library slug
+ * @returns {{ rss: string, atom: string, json: string }}
+ */
+export function getFeedUrls(slug) {
+  return {
+    rss: `/feeds/${slug}.xml`,
+    atom: `/feeds/${slug}.atom`,
+    json: `/feeds/${slug}.json`
+  };
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the HTML body of a feed entry
+ * @param {object} item - Feed item
+ * @returns {string}
+ */
+function renderItemHtml(item) {
+  const parts = [];
+
+  if (item.image) {
+    parts.push(`<p><img src="${escapeXml(item.image)}" alt="Cover art for ${escapeXml(item.title)}" width="640" height="640"></p>`);
+  }
+
+  // Already escaped and linked by formatDescription()
+  if (item.descriptionHtml) {
+    parts.push(item.descriptionHtml);
+  }
+
+  const details = [
+    item.duration && `Duration: ${formatTimestamp(item.duration)}`,
+    item.libraries.length > 0 && `From ${item.libraries.join(' and ')}`
+  ].filter(Boolean);
+  if (details.length > 0) {
+    parts.push(`<p>${escapeXml(details.join(' · '))}</p>`);
+  }
+
+  if (item.tags.length > 0) {
+    parts.push(`<p>Tags: ${escapeXml(item.tags.join(', '))}</p>`);
+  }
+
+  if (item.tracklist.length > 0) {
+    const tracks = item.tracklist.map(track => {
+      const time = typeof track.start_time === 'number' ? ` (${formatTimestamp(track.start_time)})` : '';
+      return `<li>${escapeXml(`${track.artist || 'Unknown Artist'} - ${track.name || 'Unknown Track'}${time}`)}</li>`;
+    });
+    parts.push(`<h3>Tracklist</h3>\n<ol>\n${tracks.join('\n')}\n</ol>`);
+  }
+
+  parts.push(`<p><a href="${escapeXml(item.url)}">Listen on ${SITE_TITLE}</a></p>`);
+
+  return parts.join('\n');
+}
+
+/**
+ * Pick the first of several dates that parses
+ * @param {...string} candidates - Date strings, most wanted first
+ * @returns {string|undefined} ISO 8601 date
+ */
+function firstValidDate(...candidates) {
+  for (const candidate of candidates) {
+    const date = new Date(candidate ?? '');
+    if (!Number.isNaN(date.getTime())) return date.toISOString();
+  }
+  return undefined;
+}
+
+/**
+ * Build a feed entry for a mix
+ * @param {object} mix - Mix from collectMixes()
+ * @param {string} fallbackDate - Date for mixes Mixcloud gave no dates for
+ * @returns {object}
+ */
+function toFeedItem(mix, fallbackDate) {
+  const url = `${SITE_URL}${getMixUrl(mix)}`;
+  const item = {
+    id: url,
+    url,
+    title: mix.name,
+    published: firstValidDate(mix.created_time, mix.updated_time, fallbackDate),
+    updated: firstValidDate(mix.updated_time, mix.created_time, fallbackDate),
+    image: getMixImageUrl(mix, SITE_URL),
+    duration: mix.audio_length || null,
+    tags: (mix.tags || []).map(tag => tag.name),
+    libraries: mix.libraries.map(library => library.title),
+    mixcloudUrl: mix.url,
+    descriptionHtml: formatDescription(mix.description),
+    tracklist: (mix.sections || [])
+      .filter(section => section.section_type === 'track' && section.track)
+      .map(section => ({
+        position: section.position,
+        artist: section.track.artist,
+        name: section.track.name,
+        start_time: section.start_time ?? null
+      }))
+  };
+
+  const duration = item.duration ? ` (${formatTimestamp(item.duration)})` : '';
+  const from = item.libraries.length > 0 ? ` from ${item.libraries.join(' and ')}` : '';
+  // The mix's own description when it has one; don't double up on punctuation: "from Easton Chop Up!."
+  item.summary = summariseDescription(mix.description)
+    || `${mix.name}${duration}${from}.`.replace(/([.!?])\.$/, '$1');
+  item.contentHtml = renderItemHtml(item);
+
+  return item;
+}
+
+/**
+ * Build the feed model for one library or for every mix
+ *
+ * @param {object} libraries - Library data, keyed by slug
+ * @param {string} slug - Library slug, or ALL_MIXES_FEED
+ * @returns {object} Feed with `items`, newest first
+ */
+export function buildFeed(libraries, slug) {
+  const library = slug === ALL_MIXES_FEED ? null : libraries[slug];
+  if (slug !== ALL_MIXES_FEED && !library) {
+    throw new Error(`Unknown library for feed: ${slug}`);
+  }
+
+  // When the library was fetched – the renderers need a date on every entry
+  const fallbackDate = firstValidDate(library?.fetchedAt, new Date().toISOString());
+
+  // Mixes from every library, so entries list all their libraries
+  const mixes = collectMixes(libraries);
+  const included = library
+    ? new Set((library.cloudcasts || []).map(cloudcast => getMixUrl(cloudcast)))
+    : null;
+
+  const items = mixes
+    .filter(mix => !included || included.has(getMixUrl(mix)))
+    .sort((a, b) => (b.created_time || '').localeCompare(a.created_time || ''))
+    .slice(0, MAX_ITEMS)
+    .map(mix => toFeedItem(mix, fallbackDate));
+
+  const urls = getFeedUrls(slug);
+
+  return {
+    slug,
+    title: library ? `${library.title} | ${SITE_TITLE}` : `${SITE_TITLE} - All Mixes`,
+    description: library?.summary || 'New mixes from every collection in The Groove Library.',
+    homeUrl: `${SITE_URL}${library ? library.url : '/'}`,
+    urls: Object.fromEntries(Object.entries(urls).map(([format, url]) => [format, `${SITE_URL}${url}`])),
+    updated: items[0]?.updated || fallbackDate,
+    items
+  };
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {object} feed - Feed from buildFeed()
+ * @returns {string}
+ */
+export function renderRss(feed) {
+  const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}${item.image ? `      <media:thumbnail url="${escapeXml(item.image)}"/>\n` : ''}    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render a feed as Atom
+ * @param {object} feed - Feed from buildFeed()
+ * @returns {string}
+ */
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}${item.image ? `    <media:thumbnail url="${escapeXml(item.image)}"/>\n` : ''}  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.urls.atom)}"/>
+  <id>${escapeXml(feed.urls.atom)}</id>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <author><name>${SITE_TITLE}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render a feed as JSON Feed 1.1
+ *
+ * Duration and tracklist go in a `_groove_library` extension object.
+ *
+ * @param {object} feed - Feed from buildFeed()
+ * @returns {string}
+ * @see https://www.jsonfeed.org/version/1.1/
+ */
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    language: 'en-US',
+    authors: [{ name: SITE_TITLE, url: SITE_URL }],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      external_url: item.mixcloudUrl,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      image: item.image,
+      date_published: new Date(item.published).toISOString(),
+      date_modified: new Date(item.updated).toISOString(),
+      tags: item.tags,
+      _groove_library: {
+        duration: item.duration,
+        libraries: item.libraries,
+        tracklist: item.tracklist
+      }
+    }))
+  }, null, 2);
+}
+
+/**
+ * Build every feed file: three formats for each library and for all mixes
+ * @param {object} libraries - Library data, keyed by slug
+ * @returns {Array<{ url: string, body: string }>}
+ */
+export function buildFeedFiles(libraries) {
+  return [...Object.keys(libraries), ALL_MIXES_FEED].flatMap(slug => {
+    const feed = buildFeed(libraries, slug);
+    const urls = getFeedUrls(slug);
+
+    return [
+      { url: urls.rss, body: renderRss(feed) },
+      { url: urls.atom, body: renderAtom(feed) },
+      { url: urls.json, body: renderJsonFeed(feed) }
+    ];
+  });
+}
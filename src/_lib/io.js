@@ -0,0 +1,54 @@
+/**
+ * Shared I/O Helpers
+ *
+ * Used by the build-time modules that write to .cache/ (cache.js,
+ * snapshots.js, covers.js, artwork.js) or limit how much work runs at
+ * once (api.js, covers.js).
+ */
+
+import { writeFileSync, renameSync } from 'fs';
+
+/**
+ * Write a file via a temporary file, so an interrupted build never leaves half of one
+ * @param {string} path
+ * @param {Buffer|string} data
+ */
+export function writeAtomic(path, data) {
+  writeFileSync(`${path}.tmp`, data);
+  renameSync(`${path}.tmp`, path);
+}
+
+/**
+ * Create a limiter that runs at most `getLimit()` tasks at once
+ *
+ * The limit is read each time a task starts, so it can follow the
+ * environment (e.g. MIXCLOUD_CONCURRENCY in api.js).
+ *
+ * @param {() => number} getLimit
+ * @returns {(task: () => Promise<any>) => Promise<any>} Runs a task once a slot is free
+ */
+export function createLimiter(getLimit) {
+  // Tasks waiting for a free slot, and the number of slots in use
+  const waiting = [];
+  let active = 0;
+
+  return async function withSlot(task) {
+    if (active < getLimit()) {
+      active++;
+    } else {
+      // The slot is handed over by the task that frees it
+      await new Promise(resolve => waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = waiting.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    }
+  };
+}
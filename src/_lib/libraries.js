@@ -0,0 +1,67 @@
+/**
+ * Library Registry
+ *
+ * Reads the list of libraries (Mixcloud playlists with their own page)
+ * from libraries.json. Adding a library means adding an entry there –
+ * the shared fetcher in src/_data/libraries.js picks it up automatically.
+ *
+ * Entry fields:
+ * - slug: Short identifier, used as the key in {{ libraries }}
+ * - title: Display name
+ * - username: Mixcloud account that owns the playlist
+ * - playlist: Mixcloud playlist slug
+ * - url: Page URL on this site
+ * - theme: Colour theme modifier (e.g. "afro" → hero--afro)
+ * - icon: Font Awesome icon class
+ * - summary: One-line description for cards and listings
+ * - nav: "main" (header navigation) or "libraries" (The Libraries page)
+ * - pageSize: Optional mixes per page (default 24, see pagination.js)
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const REGISTRY_PATH = resolve(__dirname, 'libraries.json');
+
+/**
+ * Feed slug of the combined feed of every mix (/feeds/all.xml) –
+ * a library can't have it, or its feed would overwrite that one
+ */
+export const ALL_MIXES_FEED = 'all';
+
+/**
+ * Check registry entries for missing fields and clashing slugs
+ * @param {Array<object>} libraries - Registry entries
+ * @returns {Array<object>} The same entries
+ * @throws {Error} On the first invalid entry
+ */
+export function validateLibraryRegistry(libraries) {
+  const seen = new Set();
+
+  for (const library of libraries) {
+    if (!library.slug || !library.username || !library.playlist) {
+      throw new Error(`Library registry entry is missing slug, username or playlist: ${JSON.stringify(library)}`);
+    }
+    if (seen.has(library.slug)) {
+      throw new Error(`Duplicate library slug in registry: ${library.slug}`);
+    }
+    if (library.slug === ALL_MIXES_FEED) {
+      throw new Error(`Library slug "${ALL_MIXES_FEED}" is reserved for the feed of all mixes`);
+    }
+    seen.add(library.slug);
+  }
+
+  return libraries;
+}
+
+/**
+ * Load the library registry
+ * @returns {Array<object>} Registry entries in display order
+ */
+export function loadLibraryRegistry() {
+  return validateLibraryRegistry(JSON.parse(readFileSync(REGISTRY_PATH, 'utf-8')));
+}
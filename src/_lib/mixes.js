@@ -0,0 +1,89 @@
+/**
+ * Mix Collection Helpers
+ *
+ * Flattens the per-library data from src/_data/libraries.js into one
+ * list of mixes, so a mix that appears in several libraries gets a
+ * single permalink page listing every library it belongs to.
+ */
+
+import { getCloudcastSlug } from './playlists.js';
+
+/**
+ * Get the slug of a mix's permalink page
+ * @param {object} mix - Cloudcast object
+ * @returns {string} `pageSlug` from attachPageSlugs(), or the Mixcloud slug
+ */
+export function getMixSlug(mix) {
+  return mix.pageSlug || mix.slug;
+}
+
+/**
+ * Get the permalink for a mix
+ * @param {object} mix - Cloudcast object
+ * @returns {string} e.g. "/mixes/go-on/"
+ */
+export function getMixUrl(mix) {
+  return `/mixes/${getMixSlug(mix)}/`;
+}
+
+/**
+ * Get the slug of a cloudcast's permalink page
+ *
+ * Mixcloud slugs are only unique per user, so two libraries' users can
+ * each have a "go-on". The site's own account keeps the bare slug and
+ * every other user's mix gets the username in front ("otheruser-go-on"),
+ * so a page's slug never depends on which libraries or mixes exist.
+ *
+ * @param {object} cloudcast - Cloudcast object
+ * @param {string} account - The site's Mixcloud username
+ * @returns {string}
+ */
+export function getPageSlug(cloudcast, account) {
+  const [username] = getCloudcastSlug(cloudcast).split('/');
+  return username === account ? cloudcast.slug : `${username}-${cloudcast.slug}`;
+}
+
+/**
+ * Give every cloudcast the `pageSlug` of its permalink page (see getPageSlug)
+ * @param {object} libraries - Library data, keyed by slug
+ * @param {string} account - The site's Mixcloud username
+ * @returns {object} Library data whose cloudcasts have a `pageSlug`
+ */
+export function attachPageSlugs(libraries, account) {
+  return Object.fromEntries(Object.entries(libraries).map(([slug, library]) => [slug, {
+    ...library,
+    cloudcasts: (library.cloudcasts || []).map(cloudcast => ({ ...cloudcast, pageSlug: getPageSlug(cloudcast, account) }))
+  }]));
+}
+
+/**
+ * Collect every mix across libraries, without duplicates
+ *
+ * Each mix keeps the cloudcast fields from the first library it appears
+ * in and gains a `libraries` array of { slug, title, url, theme }.
+ *
+ * @param {Array<object>|object} libraries - Library data (array or keyed by slug)
+ * @returns {Array<object>} Mixes in library order
+ */
+export function collectMixes(libraries) {
+  const mixes = new Map();
+
+  for (const library of Object.values(libraries)) {
+    for (const cloudcast of library.cloudcasts || []) {
+      const key = getCloudcastSlug(cloudcast);
+
+      if (!mixes.has(key)) {
+        mixes.set(key, { ...cloudcast, libraries: [] });
+      }
+
+      mixes.get(key).libraries.push({
+        slug: library.slug,
+        title: library.title,
+        url: library.url,
+        theme: library.theme
+      });
+    }
+  }
+
+  return [...mixes.values()];
+}
@@ -0,0 +1,154 @@
+/**
+ * Library Pagination
+ *
+ * Splits each library's mixes across pages at build time: the first
+ * page at the library's own URL, the rest at <url>page/2/, page/3/ and
+ * so on. Page size comes from the library's `pageSize` in the registry
+ * (src/_lib/libraries.json), or DEFAULT_PAGE_SIZE.
+ *
+ * Each library page has a template data file that calls
+ * libraryPageData() for its pagination settings, permalink and pager.
+ * Each library also gets a manifest of all its mixes
+ * (/libraries/<slug>.json), so the filter toolbar on one page can
+ * filter and sort the whole library (src/js/library-filter.js).
+ */
+
+import { loadLibraryRegistry } from './libraries.js';
+import { getMixSlug, getMixUrl } from './mixes.js';
+import { getTagSlug } from './tags.js';
+
+export const DEFAULT_PAGE_SIZE = 24;
+
+// Page links either side of the current page before the pager elides
+const PAGER_WINDOW = 1;
+
+/**
+ * Get the URL of one page of a library
+ * @param {string} baseUrl - Library URL, e.g. "/the-libraries/afro/"
+ * @param {number} pageNumber - 1-based page number
+ * @returns {string} e.g. "/the-libraries/afro/page/2/"
+ */
+export function getPageUrl(baseUrl, pageNumber) {
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  return pageNumber > 1 ? `${base}page/${pageNumber}/` : base;
+}
+
+/**
+ * Build the pager for one page
+ *
+ * `pages` lists the page links to show: always the first and last page
+ * and those next to the current one, with `{ gap: true }` where pages
+ * are left out.
+ *
+ * @param {string} baseUrl - Library URL
+ * @param {number} current - 1-based page number
+ * @param {number} total - Number of pages
+ * @param {object} [counts] - { pageSize, itemCount } to describe the range shown
+ * @returns {{ current: number, total: number, previous: string|null, next: string|null, first: number, last: number, itemCount: number, pages: Array<object> }}
+ */
+export function buildPager(baseUrl, current, total, { pageSize = DEFAULT_PAGE_SIZE, itemCount = 0 } = {}) {
+  const pageCount = Math.max(1, total);
+  const pages = [];
+
+  for (let number = 1; number <= pageCount; number++) {
+    const shown = number === 1 || number === pageCount || Math.abs(number - current) <= PAGER_WINDOW
+      // Show a lone skipped page rather than a gap in its place
+      || (Math.abs(number - current) === PAGER_WINDOW + 1 && (number === 2 || number === pageCount - 1));
+
+    if (shown) {
+      pages.push({ number, url: getPageUrl(baseUrl, number), current: number === current });
+    } else if (!pages.at(-1)?.gap) {
+      pages.push({ gap: true });
+    }
+  }
+
+  return {
+    current,
+    total: pageCount,
+    previous: current > 1 ? getPageUrl(baseUrl, current - 1) : null,
+    next: current < pageCount ? getPageUrl(baseUrl, current + 1) : null,
+    // 1-based positions of the first and last item on this page
+    first: Math.min(itemCount, (current - 1) * pageSize + 1),
+    last: Math.min(itemCount, current * pageSize),
+    itemCount,
+    pages
+  };
+}
+
+/**
+ * Template data for a paginated library page
+ *
+ * Paginates `libraries.<slug>.cloudcasts` into `pageMixes`, puts pages
+ * after the first at <url>page/<n>/ (all of them in collections, so the
+ * sitemap lists them) and computes `pager` for the pager include and the
+ * rel="prev"/"next" links in base.njk. `librarySlug` names the library on
+ * each of its pages.
+ *
+ * @param {string} slug - Library slug in the registry
+ * @param {object} [computed] - Further eleventyComputed entries
+ * @returns {object} Eleventy template data
+ */
+export function libraryPageData(slug, computed = {}) {
+  const library = loadLibraryRegistry().find(entry => entry.slug === slug);
+  if (!library) {
+    throw new Error(`No library "${slug}" in the registry`);
+  }
+
+  const pageSize = library.pageSize || DEFAULT_PAGE_SIZE;
+
+  return {
+    pagination: {
+      data: `libraries.${slug}.cloudcasts`,
+      size: pageSize,
+      addAllPagesToCollections: true,
+      // Keep the page (with its error or empty state) when there are no mixes
+      generatePageOnEmptyData: true
+    },
+    permalink: data => getPageUrl(library.url, data.pagination.pageNumber + 1),
+    // Every page of the library advertises its feed in base.njk
+    librarySlug: slug,
+    eleventyComputed: {
+      // Not a pagination alias: with a page size of 1 that would be the mix, not a list
+      pageMixes: data => data.pagination.items,
+      pager: data => buildPager(library.url, data.pagination.pageNumber + 1, data.pagination.pages.length, {
+        pageSize,
+        itemCount: data.libraries[slug]?.cloudcasts?.length || 0
+      }),
+      ...computed
+    }
+  };
+}
+
+/**
+ * Get the URL of a library's manifest
+ * @param {string} slug - Library slug
+ * @returns {string} e.g. "/libraries/afro.json"
+ */
+export function getLibraryManifestUrl(slug) {
+  return `/libraries/${slug}.json`;
+}
+
+/**
+ * Build the manifest of a library's mixes
+ *
+ * Lists every mix in library order with the fields the toolbar filters
+ * and sorts on: the same values as the data attributes on its card.
+ *
+ * @param {object} library - Library data (slug and cloudcasts)
+ * @returns {{ slug: string, count: number, mixes: Array<object> }}
+ */
+export function buildLibraryManifest(library) {
+  const mixes = (library.cloudcasts || []).map(mix => ({
+    slug: getMixSlug(mix),
+    url: getMixUrl(mix),
+    title: mix.name,
+    date: mix.created_time || '',
+    duration: mix.audio_length || 0,
+    plays: mix.play_count || 0,
+    tags: (mix.tags || []).map(getTagSlug),
+    tracklist: Boolean(mix.sections?.length),
+    image: mix.cover?.thumbnail || mix.pictures?.medium || mix.pictures?.large
+  }));
+
+  return { slug: library.slug, count: mixes.length, mixes };
+}
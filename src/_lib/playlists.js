@@ -0,0 +1,231 @@
+/**
+ * Mixcloud Playlist Fetcher
+ *
+ * Shared by every library in the registry: fetches the cloudcasts in a
+ * Mixcloud playlist (with pagination, through the shared request layer
+ * in api.js), optionally each cloudcast's full details, and merges in
+ * the manual tracklist data from src/_data/tracklists.json.
+ *
+ * @see https://www.mixcloud.com/developers/
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { API_BASE, fetchApi } from './api.js';
+import { saveSnapshot, loadLatestSnapshot, getSnapshotOptions, warnStale } from './snapshots.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const TRACKLISTS_PATH = resolve(__dirname, '../_data/tracklists.json');
+
+/**
+ * Fetch all cloudcasts from a playlist (with pagination)
+ * @param {string} username - Mixcloud username
+ * @param {string} playlistSlug - Mixcloud playlist slug
+ * @param {number} maxPages - Safety limit on the number of pages fetched
+ * @returns {Promise<Array>} Array of cloudcast objects
+ */
+export async function fetchPlaylistCloudcasts(username, playlistSlug, maxPages = 100) {
+  const cloudcasts = [];
+  let url = `${API_BASE}/${username}/playlists/${playlistSlug}/cloudcasts/`;
+  let pageCount = 0;
+
+  console.log(`Fetching cloudcasts from playlist: ${playlistSlug}...`);
+
+  while (url && pageCount < maxPages) {
+    const { data } = await fetchApi(url);
+
+    if (data.data) {
+      cloudcasts.push(...data.data);
+      console.log(`Fetched ${data.data.length} cloudcasts (total: ${cloudcasts.length})`);
+    }
+
+    url = data.paging?.next || null;
+    pageCount++;
+  }
+
+  return cloudcasts;
+}
+
+/**
+ * Read detail fetch settings from the environment
+ *
+ * Each cloudcast's full details (description, every tag) are fetched
+ * only with MIXCLOUD_DETAILS=1: it costs one more API request per mix
+ * (through the cache, and once per mix however many libraries list it),
+ * so an uncached build makes far more requests and is likelier to be
+ * rate limited. The Netlify build turns it on (netlify.toml).
+ *
+ * @param {object} env - Environment variables
+ * @returns {{ enabled: boolean }}
+ */
+export function getDetailOptions(env = process.env) {
+  return { enabled: env.MIXCLOUD_DETAILS === '1' };
+}
+
+/**
+ * Merge a cloudcast's full details into its playlist summary
+ *
+ * The details' `sections` (Mixcloud's own tracklist) are dropped, so
+ * a mix only ever has the tracklist merged from tracklists.json.
+ *
+ * @param {object} cloudcast - Summary from the playlist endpoint
+ * @param {object} details - Full cloudcast from /{user}/{cloudcast}/
+ * @returns {object} Cloudcast with the description, every tag and other detail fields
+ */
+export function mergeDetails(cloudcast, details) {
+  // Mixcloud's own tracklist has a different shape
+  const { sections, ...extra } = details;
+  return { ...cloudcast, ...extra };
+}
+
+/**
+ * Fetch the full details of each cloudcast
+ *
+ * The playlist endpoint only returns summaries, without descriptions.
+ * A cloudcast whose details can't be fetched keeps its summary.
+ *
+ * @param {Array} cloudcasts - Cloudcast summaries
+ * @returns {Promise<Array>} Cloudcasts with their details merged in
+ */
+export async function fetchCloudcastDetails(cloudcasts) {
+  return Promise.all(cloudcasts.map(async cloudcast => {
+    try {
+      const { data } = await fetchApi(`${API_BASE}${cloudcast.key}`);
+      return mergeDetails(cloudcast, data);
+    } catch (error) {
+      console.warn(`Could not fetch details for ${cloudcast.key}: ${error.message}`);
+      return cloudcast;
+    }
+  }));
+}
+
+/**
+ * Load manual tracklists keyed by cloudcast slug
+ * @returns {object} Tracklists, or an empty object if the file is missing
+ */
+export function loadManualTracklists() {
+  try {
+    return JSON.parse(readFileSync(TRACKLISTS_PATH, 'utf-8'));
+  } catch (error) {
+    console.warn('No manual tracklists file found or error reading it:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Get the tracklist slug for a cloudcast
+ * e.g. "/username/slug/" -> "username/slug"
+ * @param {object} cloudcast - Cloudcast object
+ * @returns {string}
+ */
+export function getCloudcastSlug(cloudcast) {
+  return cloudcast.key.replace(/^\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Merge manual tracklist data with cloudcasts
+ * @param {Array} cloudcasts - Cloudcast objects
+ * @param {object} manualTracklists - Tracklists keyed by cloudcast slug
+ * @returns {Array} Cloudcasts with a `sections` array where a tracklist exists
+ */
+export function mergeTracklists(cloudcasts, manualTracklists) {
+  return cloudcasts.map(cloudcast => {
+    const slug = getCloudcastSlug(cloudcast);
+
+    // Check if we have manual tracklist data for this cloudcast
+    if (manualTracklists[slug]) {
+      console.log(`  ✓ Adding manual tracklist for: ${cloudcast.name} (${manualTracklists[slug].length} tracks)`);
+
+      // Convert manual format to API format
+      const sections = manualTracklists[slug].map(track => ({
+        section_type: 'track',
+        position: track.position,
+        track: {
+          artist: track.artist,
+          name: track.track
+        },
+        start_time: track.start_time ?? null
+      }));
+
+      return {
+        ...cloudcast,
+        sections
+      };
+    }
+
+    return cloudcast;
+  });
+}
+
+/**
+ * Fetch a library's playlist and merge its tracklists
+ *
+ * If the fetch fails, falls back to the newest snapshot of the playlist
+ * and marks the data `stale`. Without a snapshot it returns an empty
+ * `cloudcasts` array and an `error` message for the template - or, in
+ * strict mode, throws so the build fails instead.
+ *
+ * @param {object} library - Library registry entry
+ * @param {object} manualTracklists - Tracklists keyed by cloudcast slug
+ * @returns {Promise<object>} Library data
+ */
+export async function fetchLibrary(library, manualTracklists = loadManualTracklists()) {
+  const { username, playlist } = library;
+  const snapshotName = `playlist-${username}-${playlist}`;
+
+  try {
+    let cloudcasts = await fetchPlaylistCloudcasts(username, playlist);
+    if (getDetailOptions().enabled) {
+      cloudcasts = await fetchCloudcastDetails(cloudcasts);
+    }
+    const fetchedAt = new Date().toISOString();
+
+    // Save the raw API data, so current tracklists are merged on fallback
+    saveSnapshot(snapshotName, { cloudcasts, fetchedAt });
+
+    console.log(`✓ Successfully fetched ${cloudcasts.length} cloudcasts from ${playlist}`);
+
+    return {
+      ...library,
+      playlistSlug: playlist,
+      cloudcasts: mergeTracklists(cloudcasts, manualTracklists),
+      count: cloudcasts.length,
+      fetchedAt
+    };
+  } catch (error) {
+    console.error(`Error fetching playlist data for ${playlist}:`, error);
+
+    const snapshot = loadLatestSnapshot(snapshotName);
+
+    if (snapshot) {
+      warnStale(`${library.title} (${playlist})`, error, snapshot.savedAt);
+      const { cloudcasts, fetchedAt } = snapshot.data;
+
+      return {
+        ...library,
+        playlistSlug: playlist,
+        cloudcasts: mergeTracklists(cloudcasts, manualTracklists),
+        count: cloudcasts.length,
+        stale: true,
+        error: error.message,
+        fetchedAt
+      };
+    }
+
+    if (getSnapshotOptions().strict) {
+      throw new Error(`Strict mode: could not fetch ${playlist} and no snapshot is available (${error.message})`);
+    }
+
+    return {
+      ...library,
+      playlistSlug: playlist,
+      cloudcasts: [],
+      count: 0,
+      error: error.message,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+}
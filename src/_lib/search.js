@@ -0,0 +1,107 @@
+/**
+ * Search Index
+ *
+ * Builds the compact JSON index behind site search (/search-index.json,
+ * searched in the browser by src/js/search.js). No external service.
+ *
+ * Each document has a `type` ("mix", "artist", "tag" or "library"), a
+ * `url` and a `title`. Mix documents also carry the fields search looks
+ * in: description, tags, libraries, artists and tracks. Empty fields are
+ * left out to keep the file small.
+ */
+
+import { collectMixes, getMixUrl } from './mixes.js';
+import { collectTags, getTagUrl } from './tags.js';
+import { collectArtists, getArtistUrl, splitArtistCredit } from './artists.js';
+
+const DESCRIPTION_LENGTH = 300;
+
+/**
+ * Drop empty strings and arrays from a document
+ * @param {object} doc - Search document
+ * @returns {object}
+ */
+function compact(doc) {
+  return Object.fromEntries(
+    Object.entries(doc).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+/**
+ * Reduce a (possibly HTML) description to plain text
+ * @param {string} text - Description
+ * @returns {string}
+ */
+function toPlainText(text) {
+  const plain = String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/ ([.,;:!?])/g, '$1')
+    .trim();
+  return plain.length > DESCRIPTION_LENGTH ? `${plain.slice(0, DESCRIPTION_LENGTH).trim()}...` : plain;
+}
+
+/**
+ * Build the search document for a mix
+ * @param {object} mix - Mix from collectMixes()
+ * @returns {object}
+ */
+function toMixDocument(mix) {
+  const tracks = (mix.sections || []).filter(section => section.section_type === 'track' && section.track);
+  const artists = new Set();
+
+  for (const { track } of tracks) {
+    if (!track.artist) continue;
+    const { artist, featuring } = splitArtistCredit(track.artist);
+    [artist, ...featuring].forEach(name => artists.add(name));
+  }
+
+  return compact({
+    type: 'mix',
+    url: getMixUrl(mix),
+    title: mix.name,
+    date: mix.created_time?.slice(0, 10),
+    image: mix.cover?.thumbnail || mix.pictures?.medium || mix.pictures?.small,
+    description: toPlainText(mix.description),
+    tags: (mix.tags || []).map(tag => tag.name),
+    libraries: mix.libraries.map(library => library.title),
+    artists: [...artists],
+    tracks: tracks.map(({ track }) => [track.artist, track.name].filter(Boolean).join(' - '))
+  });
+}
+
+/**
+ * Build the search index for the whole site
+ * @param {object} libraries - Library data, keyed by slug
+ * @returns {{ generatedAt: string, docs: Array<object> }}
+ */
+export function buildSearchIndex(libraries) {
+  const mixes = collectMixes(libraries);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    docs: [
+      ...mixes.map(toMixDocument),
+      ...Object.values(libraries).map(library => compact({
+        type: 'library',
+        url: library.url,
+        title: library.title,
+        description: library.summary
+      })),
+      ...collectTags(mixes).map(tag => ({
+        type: 'tag',
+        url: getTagUrl(tag),
+        title: tag.name,
+        count: tag.count
+      })),
+      ...collectArtists(mixes).map(artist => ({
+        type: 'artist',
+        url: getArtistUrl(artist.name),
+        title: artist.name,
+        count: artist.trackCount
+      }))
+    ]
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * URL Slugs
+ *
+ * Turns Mixcloud tag names (and other free text) into URL path segments.
+ * Letters outside Latin (e.g. Japanese) are kept as they are, so every
+ * name gets a non-empty slug.
+ */
+
+/**
+ * Convert text to a URL slug
+ * @param {string} text - e.g. "Afro-Funk & Soul"
+ * @returns {string} e.g. "afro-funk-and-soul"
+ */
+export function slugify(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
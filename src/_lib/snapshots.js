@@ -0,0 +1,121 @@
+/**
+ * Last-known-good Snapshots
+ *
+ * Every successful fetch is saved as a timestamped snapshot in
+ * .cache/snapshots/<name>/. When a later fetch fails, the data fetchers
+ * fall back to the newest snapshot and mark the data as stale, so one
+ * flaky API call can't blank a library on the live site.
+ *
+ * Configuration (environment variables or npm flags):
+ * - MIXCLOUD_STRICT=1 or `npm run build --strict`: Fail the build when a
+ *   fetch fails and there is no snapshot, instead of publishing empty pages
+ * - MIXCLOUD_SNAPSHOT_DIR: Override the snapshot directory
+ * - MIXCLOUD_SNAPSHOT_KEEP: Snapshots kept per fetcher (default 5)
+ */
+
+import { mkdirSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { writeAtomic } from './io.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_KEEP = 5;
+
+/**
+ * Read snapshot settings from the environment
+ * @param {object} env - Environment variables
+ * @returns {{ dir: string, keep: number, strict: boolean }}
+ */
+export function getSnapshotOptions(env = process.env) {
+  const keep = parseInt(env.MIXCLOUD_SNAPSHOT_KEEP ?? DEFAULT_KEEP, 10);
+
+  return {
+    dir: env.MIXCLOUD_SNAPSHOT_DIR || resolve(__dirname, '../../.cache/snapshots'),
+    keep: keep > 0 ? keep : DEFAULT_KEEP,
+    strict: env.MIXCLOUD_STRICT === '1' || env.npm_config_strict === 'true'
+  };
+}
+
+/**
+ * List snapshot files for a fetcher, newest first
+ * @param {string} name - Snapshot name (e.g. "playlist-easton-chop-up")
+ * @param {string} dir - Snapshot directory
+ * @returns {Array<string>} File paths
+ */
+function listSnapshots(name, dir) {
+  const snapshotDir = join(dir, name);
+
+  try {
+    return readdirSync(snapshotDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(file => join(snapshotDir, file));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save a snapshot and prune old ones
+ * @param {string} name - Snapshot name
+ * @param {any} data - Data to save
+ * @param {object} options - Overrides for getSnapshotOptions()
+ */
+export function saveSnapshot(name, data, options = {}) {
+  const { dir, keep } = { ...getSnapshotOptions(), ...options };
+  const savedAt = new Date().toISOString();
+  const snapshotDir = join(dir, name);
+  // Colons aren't allowed in Windows file names
+  const path = join(snapshotDir, `${savedAt.replace(/:/g, '-')}.json`);
+
+  try {
+    mkdirSync(snapshotDir, { recursive: true });
+    writeAtomic(path, JSON.stringify({ name, savedAt, data }));
+
+    listSnapshots(name, dir)
+      .slice(keep)
+      .forEach(file => rmSync(file, { force: true }));
+  } catch (error) {
+    console.warn(`Could not save snapshot ${name}:`, error.message);
+  }
+}
+
+/**
+ * Load the newest readable snapshot
+ * @param {string} name - Snapshot name
+ * @param {object} options - Overrides for getSnapshotOptions()
+ * @returns {{ name: string, savedAt: string, data: any } | null}
+ */
+export function loadLatestSnapshot(name, options = {}) {
+  const { dir } = { ...getSnapshotOptions(), ...options };
+
+  for (const file of listSnapshots(name, dir)) {
+    try {
+      return JSON.parse(readFileSync(file, 'utf-8'));
+    } catch {
+      // Corrupt snapshot - try the next newest
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Log a prominent warning about stale data
+ * @param {string} label - What failed to fetch
+ * @param {Error} error - The fetch error
+ * @param {string} savedAt - When the snapshot being used was saved
+ */
+export function warnStale(label, error, savedAt) {
+  const lines = [
+    `STALE DATA: ${label}`,
+    `Fetch failed: ${error.message}`,
+    `Using last-known-good snapshot from ${savedAt}`
+  ];
+  const rule = '!'.repeat(Math.max(...lines.map(line => line.length)) + 4);
+
+  console.warn(['', rule, ...lines.map(line => `! ${line}`), rule, ''].join('\n'));
+}
@@ -0,0 +1,63 @@
+/**
+ * Tag Taxonomy
+ *
+ * Groups mixes by their Mixcloud tags for the /tags/ pages. Tags are
+ * matched by slug, so "Afro Funk" and "afro-funk" share one page.
+ */
+
+import { slugify } from './slugify.js';
+
+/**
+ * Get the slug for a Mixcloud tag
+ * @param {object} tag - Tag object ({ name, key, url })
+ * @returns {string}
+ */
+export function getTagSlug(tag) {
+  return slugify(tag.name);
+}
+
+/**
+ * Get the page URL for a Mixcloud tag
+ * @param {object} tag - Tag object
+ * @returns {string} e.g. "/tags/afrobeat/"
+ */
+export function getTagUrl(tag) {
+  return `/tags/${getTagSlug(tag)}/`;
+}
+
+/**
+ * Group mixes by tag
+ *
+ * Each tag keeps the spelling of its first occurrence. Mixes are listed
+ * newest first; tags are sorted by name.
+ *
+ * @param {Array<object>} mixes - Mixes from collectMixes()
+ * @returns {Array<{ name: string, slug: string, count: number, mixes: Array<object> }>}
+ */
+export function collectTags(mixes) {
+  const tags = new Map();
+
+  for (const mix of mixes) {
+    for (const tag of mix.tags || []) {
+      const slug = getTagSlug(tag);
+      if (!slug) continue;
+
+      if (!tags.has(slug)) {
+        tags.set(slug, { name: tag.name, slug, mixes: [] });
+      }
+
+      const { mixes: tagged } = tags.get(slug);
+      if (!tagged.includes(mix)) {
+        tagged.push(mix);
+      }
+    }
+  }
+
+  return [...tags.values()]
+    .map(tag => ({
+      ...tag,
+      count: tag.mixes.length,
+      mixes: tag.mixes.sort((a, b) => (b.created_time || '').localeCompare(a.created_time || ''))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }));
+}
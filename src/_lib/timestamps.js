@@ -0,0 +1,75 @@
+/**
+ * Timestamps
+ *
+ * Tracklist start times are stored as whole seconds; people read and
+ * write them as h:mm:ss (or m:ss). Links into a mix carry them as
+ * `?t=1h02m03s` (or `#t=3723`), like other players' share links.
+ */
+
+/**
+ * Format seconds as h:mm:ss (or m:ss)
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  const pad = value => String(value).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+/**
+ * Parse h:mm:ss or m:ss into seconds
+ * @param {string} text - e.g. "1:02:03", "62:03" or "4:05"
+ * @returns {number|null} Seconds, or null if the text isn't a timestamp
+ */
+export function parseTimestamp(text) {
+  const match = String(text ?? '').trim().match(/^(?:(\d+):)?(\d{1,3}):(\d{2})$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds] = match;
+  if (Number(seconds) > 59 || (match[1] !== undefined && Number(minutes) > 59)) return null;
+
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Format seconds for a link into a mix, e.g. 3723 -> "1h02m03s"
+ * @param {number} seconds
+ * @returns {string} "45s", "4m05s" or "1h02m03s"
+ */
+export function formatLinkTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  const pad = value => String(value).padStart(2, '0');
+
+  if (hours > 0) return `${hours}h${pad(minutes)}m${pad(secs)}s`;
+  if (minutes > 0) return `${minutes}m${pad(secs)}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Parse the time in a link into a mix
+ *
+ * Accepts plain seconds ("3723"), units ("1h02m", "62m3s", "90s") and
+ * timestamps ("1:02:03").
+ *
+ * @param {string} text - `t` value from the query string or hash
+ * @returns {number|null} Seconds, or null if the text isn't a time
+ */
+export function parseLinkTime(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const units = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (units && value !== '') {
+    const [, hours = '0', minutes = '0', seconds = '0'] = units;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  return parseTimestamp(value);
+}
@@ -0,0 +1,628 @@
+/**
+ * Tracklist Import
+ *
+ * Turns DJ software exports and playlists into tracklists.json entries:
+ * - Rekordbox XML (File > Export Collection in xml format)
+ * - Traktor NML (history playlists carry each track's start time)
+ * - Serato history CSV (start times from the "start time" column)
+ * - .cue sheets (INDEX 01 times)
+ * - M3U / M3U8 playlists (order only)
+ * - Pasted text, one "Artist - Title" per line (see tracklist-text.js)
+ *
+ * Each parser returns { tracks: [{ artist, track, start_time? }], warnings }.
+ * importTracklist() numbers the tracks and mergeTracklist() folds them into
+ * an existing tracklist without overwriting what's already there. Used by
+ * scripts/import-tracklist.js (`npm run import:tracklist`).
+ */
+
+import { basename, extname } from 'path';
+import { parseTracklistText, splitArtistTitle } from './tracklist-text.js';
+
+export const IMPORT_FORMATS = ['rekordbox', 'traktor', 'serato', 'cue', 'm3u', 'text'];
+
+const SECONDS_PER_DAY = 86400;
+// Cue sheet INDEX times count frames, 75 to the second
+const CUE_FRAMES_PER_SECOND = 75;
+
+/**
+ * Decode the five XML entities plus numeric references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} source - Everything between the tag name and ">"
+ * @returns {object} Attribute values, decoded
+ */
+function parseAttributes(source) {
+  const attributes = {};
+
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+  }
+
+  return attributes;
+}
+
+/**
+ * Find elements by tag name
+ *
+ * Enough XML for DJ software exports: attributes plus the raw inner
+ * markup. Elements of the same name must not nest.
+ *
+ * @param {string} xml - Markup to search
+ * @param {string} tag - Element name
+ * @returns {Array<{ attributes: object, inner: string }>}
+ */
+function findElements(xml, tag) {
+  const elements = [];
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(/?)>`, 'g');
+
+  for (const match of xml.matchAll(pattern)) {
+    const attributes = parseAttributes(match[1]);
+
+    if (match[2]) {
+      elements.push({ attributes, inner: '' });
+      continue;
+    }
+
+    const start = match.index + match[0].length;
+    const end = xml.indexOf(`</${tag}>`, start);
+    elements.push({ attributes, inner: end === -1 ? '' : xml.slice(start, end) });
+  }
+
+  return elements;
+}
+
+/**
+ * Pick the playlist to import from an export that may hold several
+ * @param {Array<{ name: string }>} playlists - Playlists in the file
+ * @param {string} [name] - Requested playlist name
+ * @returns {object|null} The playlist, or null when the file has none
+ */
+function choosePlaylist(playlists, name) {
+  if (name) {
+    const match = playlists.find(playlist => playlist.name === name)
+      || playlists.find(playlist => playlist.name.toLowerCase() === name.toLowerCase());
+    if (!match) {
+      throw new Error(`No playlist called "${name}". Playlists in this file: ${playlists.map(playlist => `"${playlist.name}"`).join(', ') || 'none'}`);
+    }
+    return match;
+  }
+
+  if (playlists.length > 1) {
+    throw new Error(`This file has ${playlists.length} playlists, choose one with --playlist: ${playlists.map(playlist => `"${playlist.name}"`).join(', ')}`);
+  }
+
+  return playlists[0] || null;
+}
+
+/**
+ * Parse a Rekordbox XML export
+ *
+ * Playlists reference tracks in the COLLECTION by TrackID (KeyType 0) or
+ * by location (KeyType 1). Rekordbox doesn't export play times.
+ *
+ * @param {string} text - File contents
+ * @param {{ playlist?: string }} [options]
+ * @returns {{ tracks: Array<object>, warnings: Array<string> }}
+ */
+export function parseRekordbox(text, { playlist: playlistName } = {}) {
+  if (!/<DJ_PLAYLISTS\b/.test(text)) {
+    throw new Error('Not a Rekordbox XML export (no DJ_PLAYLISTS element)');
+  }
+
+  const [collection = { inner: '' }] = findElements(text, 'COLLECTION');
+  const collectionTracks = findElements(collection.inner, 'TRACK').map(({ attributes }) => attributes);
+  const byId = new Map(collectionTracks.map(track => [track.TrackID, track]));
+  const byLocation = new Map(collectionTracks.map(track => [track.Location, track]));
+
+  const [playlistsElement = { inner: '' }] = findElements(text, 'PLAYLISTS');
+  // Type 1 nodes are playlists, type 0 are folders
+  const playlists = findElements(playlistsElement.inner, 'NODE')
+    .filter(({ attributes }) => attributes.Type === '1')
+    .map(({ attributes, inner }) => ({
+      name: attributes.Name,
+      byLocation: attributes.KeyType === '1',
+      keys: findElements(inner, 'TRACK').map(track => track.attributes.Key)
+    }));
+
+  const warnings = [];
+  const playlist = choosePlaylist(playlists, playlistName);
+  let source = collectionTracks;
+
+  if (playlist) {
+    source = playlist.keys.map(key => (playlist.byLocation ? byLocation : byId).get(key));
+    const unresolved = source.filter(track => !track).length;
+    if (unresolved > 0) {
+      warnings.push(`${unresolved} playlist ${unresolved === 1 ? 'entry is' : 'entries are'} not in the collection and ${unresolved === 1 ? 'was' : 'were'} skipped`);
+    }
+  } else {
+    warnings.push('No playlists in this file, so the whole collection was imported in file order');
+  }
+
+  return {
+    tracks: source.filter(Boolean).map(track => ({ artist: track.Artist || '', track: track.Name || '' })),
+    warnings
+  };
+}
+
+/**
+ * Get the collection key Traktor uses for a track: volume + dir + file
+ * @param {string} entry - Inner markup of a COLLECTION ENTRY
+ * @returns {string|null}
+ */
+function getTraktorKey(entry) {
+  const [location] = findElements(entry, 'LOCATION');
+  if (!location) return null;
+
+  const { VOLUME = '', DIR = '', FILE = '' } = location.attributes;
+  return `${VOLUME}${DIR}${FILE}`;
+}
+
+/**
+ * Seconds since the epoch for a Traktor history entry
+ *
+ * STARTDATE packs the date as (year << 16) | (month << 8) | day and
+ * STARTTIME is seconds since midnight.
+ *
+ * @param {object} data - EXTENDEDDATA attributes
+ * @returns {number|null}
+ */
+function getTraktorStartTime(data) {
+  if (!data || data.STARTTIME === undefined) return null;
+
+  const time = Number(data.STARTTIME);
+  const date = Number(data.STARTDATE);
+  if (!Number.isFinite(time)) return null;
+  if (!Number.isFinite(date) || date === 0) return time;
+
+  return Date.UTC(date >> 16, ((date >> 8) & 0xff) - 1, date & 0xff) / 1000 + time;
+}
+
+/**
+ * Parse a Traktor NML file
+ *
+ * Use a history playlist (or a playlist exported from one): its entries
+ * record when each track started, which become start times relative to
+ * the first track. Tracks that were only previewed are skipped.
+ *
+ * @param {string} text - File contents
+ * @param {{ playlist?: string }} [options]
+ * @returns {{ tracks: Array<object>, warnings: Array<string> }}
+ */
+export function parseTraktor(text, { playlist: playlistName } = {}) {
+  if (!/<NML\b/.test(text)) {
+    throw new Error('Not a Traktor NML file (no NML element)');
+  }
+
+  const [collection = { inner: '' }] = findElements(text, 'COLLECTION');
+  const collectionEntries = findElements(collection.inner, 'ENTRY').map(({ attributes, inner }) => ({
+    key: getTraktorKey(inner),
+    artist: attributes.ARTIST || '',
+    track: attributes.TITLE || ''
+  }));
+  const byKey = new Map(collectionEntries.map(entry => [entry.key, entry]));
+
+  const [playlistsElement = { inner: '' }] = findElements(text, 'PLAYLISTS');
+  const playlists = findElements(playlistsElement.inner, 'NODE')
+    .filter(({ attributes }) => attributes.TYPE === 'PLAYLIST')
+    .map(({ attributes, inner }) => ({
+      name: attributes.NAME,
+      entries: findElements(inner, 'ENTRY').map(entry => ({
+        key: findElements(entry.inner, 'PRIMARYKEY')[0]?.attributes.KEY,
+        data: findElements(entry.inner, 'EXTENDEDDATA')[0]?.attributes
+      }))
+    }));
+
+  const warnings = [];
+  const playlist = choosePlaylist(playlists, playlistName);
+
+  if (!playlist) {
+    warnings.push('No playlists in this file, so the whole collection was imported in file order');
+    return { tracks: collectionEntries.map(({ artist, track }) => ({ artist, track })), warnings };
+  }
+
+  const previewed = playlist.entries.filter(entry => entry.data?.PLAYEDPUBLIC === '0').length;
+  if (previewed > 0) {
+    warnings.push(`Skipped ${previewed} ${previewed === 1 ? 'track' : 'tracks'} that ${previewed === 1 ? 'was' : 'were'} only previewed`);
+  }
+
+  const played = playlist.entries.filter(entry => entry.data?.PLAYEDPUBLIC !== '0');
+  const unresolved = played.filter(entry => !byKey.has(entry.key)).length;
+  if (unresolved > 0) {
+    warnings.push(`${unresolved} playlist ${unresolved === 1 ? 'entry is' : 'entries are'} not in the collection and ${unresolved === 1 ? 'was' : 'were'} skipped`);
+  }
+
+  const resolved = played.filter(entry => byKey.has(entry.key));
+  const startTimes = resolved.map(entry => getTraktorStartTime(entry.data));
+  const timed = startTimes.every(time => time !== null);
+  const first = startTimes[0];
+
+  if (!timed && resolved.length > 0) {
+    warnings.push('This playlist has no play times (not a history playlist), so there are no start times');
+  }
+
+  return {
+    tracks: resolved.map((entry, index) => {
+      const { artist, track } = byKey.get(entry.key);
+      return timed ? { artist, track, start_time: startTimes[index] - first } : { artist, track };
+    }),
+    warnings
+  };
+}
+
+/**
+ * Split CSV text into rows (RFC 4180 quoting)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse a clock time from a Serato history ("9:41:07 PM" or "21:41:07")
+ * @param {string} text
+ * @returns {number|null} Seconds since midnight
+ */
+function parseClockTime(text) {
+  const match = String(text ?? '').match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?\s*$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const meridiem = match[4]?.[0].toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+
+  return hours * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+}
+
+/**
+ * Parse a Serato history CSV export
+ *
+ * The first row after the header describes the session itself and is
+ * skipped. Start times come from the "start time" column, relative to
+ * the first track, allowing for sets that run past midnight.
+ *
+ * @param {string} text - File contents
+ * @returns {{ tracks: Array<object>, warnings: Array<string> }}
+ */
+export function parseSerato(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (...names) => columns.findIndex(name => names.includes(name));
+  const titleColumn = column('name', 'title', 'song');
+  const artistColumn = column('artist');
+  const startColumn = column('start time', 'start');
+  const deckColumn = column('deck');
+
+  if (titleColumn === -1 || artistColumn === -1) {
+    throw new Error('Not a Serato history CSV: expected "name" and "artist" columns');
+  }
+
+  const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+  const isSession = row => !cell(row, artistColumn) && (deckColumn === -1 || !cell(row, deckColumn));
+  const played = rows.length > 0 && isSession(rows[0]) ? rows.slice(1) : rows;
+
+  const warnings = [];
+  const clockTimes = played.map(row => parseClockTime(cell(row, startColumn)));
+  const timed = startColumn !== -1 && clockTimes.every(time => time !== null);
+
+  if (!timed && played.length > 0) {
+    warnings.push('Some rows have no start time, so there are no start times');
+  }
+
+  // Running clock, so a set that crosses midnight keeps counting up
+  let offset = 0;
+  const startTimes = timed
+    ? clockTimes.map((time, index) => {
+      if (index > 0 && time < clockTimes[index - 1]) offset += SECONDS_PER_DAY;
+      return time + offset;
+    })
+    : [];
+
+  return {
+    tracks: played.map((row, index) => {
+      const entry = { artist: cell(row, artistColumn), track: cell(row, titleColumn) };
+      return timed ? { ...entry, start_time: startTimes[index] - startTimes[0] } : entry;
+    }),
+    warnings
+  };
+}
+
+/**
+ * Read a cue sheet value, quoted or not
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  return trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1
+    ? trimmed.slice(1, -1)
+    : trimmed;
+}
+
+/**
+ * Parse a .cue sheet
+ *
+ * TRACK blocks give the title and performer (falling back to the
+ * sheet's PERFORMER); INDEX 01 (mm:ss:ff) gives the start time.
+ *
+ * @param {string} text - File contents
+ * @returns {{ tracks: Array<object>, warnings: Array<string> }}
+ */
+export function parseCue(text) {
+  const warnings = [];
+  const tracks = [];
+  let sheetPerformer = '';
+  let files = 0;
+  let current = null;
+
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const match = line.trim().match(/^(\w+)\s*(.*)$/);
+    if (!match) continue;
+
+    const [, command, rest] = match;
+
+    switch (command.toUpperCase()) {
+      case 'FILE':
+        files++;
+        break;
+      case 'TRACK':
+        current = { artist: '', track: '', start_time: null };
+        tracks.push(current);
+        break;
+      case 'PERFORMER':
+        if (current) current.artist = unquote(rest);
+        else sheetPerformer = unquote(rest);
+        break;
+      case 'TITLE':
+        if (current) current.track = unquote(rest);
+        break;
+      case 'INDEX': {
+        const index = rest.match(/^0*1\s+(\d+):(\d{2}):(\d{2})$/);
+        if (current && index) {
+          current.start_time = Number(index[1]) * 60 + Number(index[2]) + Math.floor(Number(index[3]) / CUE_FRAMES_PER_SECOND);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (tracks.length === 0) {
+    throw new Error('No TRACK entries in the cue sheet');
+  }
+
+  // INDEX times restart with every FILE, so they only line up with one
+  const timed = files <= 1 && tracks.every(track => track.start_time !== null);
+  if (files > 1) {
+    warnings.push(`The cue sheet spans ${files} files, so its INDEX times were ignored`);
+  }
+
+  return {
+    tracks: tracks.map(({ artist, track, start_time: startTime }) => {
+      const entry = { artist: artist || sheetPerformer, track };
+      return timed ? { ...entry, start_time: startTime } : entry;
+    }),
+    warnings
+  };
+}
+
+/**
+ * Parse an M3U / M3U8 playlist
+ *
+ * Titles come from #EXTINF ("Artist - Title"), or failing that from the
+ * file name. M3U durations are track lengths, not mix positions, so
+ * there are no start times.
+ *
+ * @param {string} text - File contents
+ * @returns {{ tracks: Array<object>, warnings: Array<string> }}
+ */
+export function parseM3u(text) {
+  const tracks = [];
+  let title = null;
+
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:[^,]*,(.*)$/i);
+      if (extinf) title = extinf[1].trim();
+      continue;
+    }
+
+    // Fall back to the file name, minus any leading track number
+    const name = title || basename(decodeURIComponent(line.replace(/\\/g, '/')), extname(line))
+      .replace(/^\d{1,3}(?:\s*[-.]\s*|\s+)/, '');
+    tracks.push(splitArtistTitle(name));
+    title = null;
+  }
+
+  return { tracks, warnings: [] };
+}
+
+/**
+ * Work out the format of an export from its name and contents
+ *
+ * Plain text files (and stdin, which has no name) are read as a pasted
+ * tracklist.
+ *
+ * @param {string} filename
+ * @param {string} text - File contents
+ * @returns {string|null} One of IMPORT_FORMATS, or null
+ */
+export function detectFormat(filename, text) {
+  const extension = extname(filename).toLowerCase();
+
+  if (extension === '.nml' || /<NML\b/.test(text)) return 'traktor';
+  if (/<DJ_PLAYLISTS\b/.test(text)) return 'rekordbox';
+  if (extension === '.cue') return 'cue';
+  if (extension === '.m3u' || extension === '.m3u8' || /^\uFEFF?#EXTM3U/.test(text)) return 'm3u';
+  if (extension === '.csv') return 'serato';
+  if (['', '.txt', '.md'].includes(extension)) return 'text';
+
+  return null;
+}
+
+const PARSERS = {
+  rekordbox: parseRekordbox,
+  traktor: parseTraktor,
+  serato: parseSerato,
+  cue: parseCue,
+  m3u: parseM3u,
+  text: parseTracklistText
+};
+
+/**
+ * Import a tracklist from an export
+ *
+ * Tracks without an artist or a title can't go in tracklists.json, so
+ * they're dropped with a warning. The rest are numbered from 1, unless
+ * the source numbered them itself (pasted text), in which case those
+ * numbers are kept so a skipped line leaves a gap rather than shifting
+ * every track after it.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {{ playlist?: string }} [options] - Playlist to use (Rekordbox, Traktor)
+ * @returns {{ tracklist: Array<object>, warnings: Array<string> }}
+ */
+export function importTracklist(text, format, options = {}) {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error(`Unknown format "${format}" (expected one of: ${IMPORT_FORMATS.join(', ')})`);
+  }
+
+  const { tracks, warnings } = parse(text, options);
+  const complete = tracks.filter(track => track.artist && track.track);
+  const incomplete = tracks.length - complete.length;
+
+  if (incomplete > 0) {
+    warnings.push(`Skipped ${incomplete} ${incomplete === 1 ? 'track' : 'tracks'} without an artist or title`);
+  }
+
+  const numbered = complete.every((track, index) => Number.isInteger(track.position)
+    && track.position > 0 && (index === 0 || track.position > complete[index - 1].position));
+
+  return {
+    tracklist: complete.map((track, index) => ({
+      position: numbered ? track.position : index + 1,
+      artist: track.artist,
+      track: track.track,
+      ...(Number.isFinite(track.start_time) ? { start_time: Math.max(0, Math.floor(track.start_time)) } : {})
+    })),
+    warnings
+  };
+}
+
+/**
+ * Normalise a credit or title for comparison
+ */
+function comparable(text) {
+  return String(text ?? '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Merge an imported tracklist into an existing one
+ *
+ * Entries are matched by position. New positions are added and missing
+ * start times filled in; an entry that differs from what's there (another
+ * track, or another start time) is a conflict and is left alone unless
+ * `replace` is set, which swaps in the import wholesale.
+ *
+ * @param {Array<object>|undefined} existing - Current tracklist, if any
+ * @param {Array<object>} imported - Tracklist from importTracklist()
+ * @param {{ replace?: boolean }} [options]
+ * @returns {{ tracklist: Array<object>, added: number, updated: number, conflicts: Array<{ position: number, existing: object, imported: object }> }}
+ */
+export function mergeTracklist(existing, imported, { replace = false } = {}) {
+  if (!existing || existing.length === 0 || replace) {
+    return { tracklist: imported, added: imported.length, updated: 0, conflicts: [] };
+  }
+
+  const tracklist = existing.map(entry => ({ ...entry }));
+  const byPosition = new Map(tracklist.map(entry => [entry.position, entry]));
+  const conflicts = [];
+  let added = 0;
+  let updated = 0;
+
+  for (const entry of imported) {
+    const current = byPosition.get(entry.position);
+
+    if (!current) {
+      tracklist.push({ ...entry });
+      added++;
+      continue;
+    }
+
+    const sameTrack = comparable(current.artist) === comparable(entry.artist)
+      && comparable(current.track) === comparable(entry.track);
+    const hasTime = typeof current.start_time === 'number';
+
+    if (!sameTrack || (hasTime && entry.start_time !== undefined && current.start_time !== entry.start_time)) {
+      conflicts.push({ position: entry.position, existing: current, imported: entry });
+    } else if (!hasTime && entry.start_time !== undefined) {
+      current.start_time = entry.start_time;
+      updated++;
+    }
+  }
+
+  return { tracklist, added, updated, conflicts };
+}
@@ -0,0 +1,195 @@
+/**
+ * Free-text Tracklists
+ *
+ * Parses tracklists pasted as text, one track per line, in the styles
+ * they usually arrive in:
+ *
+ *   01. Fela Kuti – Zombie [12:34]
+ *   0:00 Ebo Taylor - Ohiani Sua Efir (Essiebons)
+ *   [1:02:03] 3) Pat Thomas — "Yesu San Bra"
+ *
+ * Numbering (01. / 1) / [01] / #1 / 01 -), timestamps (m:ss, mm:ss or
+ * h:mm:ss, at the start or end of the line, bracketed or not) and a
+ * trailing label in brackets are recognised and stripped; what's left is
+ * split into artist and title at the first dash. Lines that can't be
+ * split are reported rather than guessed at.
+ */
+
+import { parseTimestamp } from './timestamps.js';
+
+const TIME = '\\d{1,2}(?::\\d{2}){1,2}';
+const DASH = '[-–—]';
+
+const LEADING_TIME = [
+  new RegExp(`^[[(](${TIME})[\\])]\\s*(?:[-–—|]\\s*)?`),
+  new RegExp(`^(${TIME})(?:\\s*[-–—|]\\s+|\\s+)`)
+];
+const TRAILING_TIME = [
+  new RegExp(`\\s*[[(](${TIME})[\\])]$`),
+  new RegExp(`\\s+(?:[-–—|@]\\s*)?(${TIME})$`)
+];
+
+// "01." "1)" "[01]" "#1" "01:" and "01 -" (but not "01:23")
+const LEADING_NUMBER = /^(?:#\s*(\d{1,3})[.):]?|\[(\d{1,3})\]|(\d{1,3})[.):](?!\d)|(\d{1,3})\s+[-–—|](?=\s))\s*/;
+// "01 Artist - Title", only trusted when it's the next number in sequence
+const BARE_NUMBER = /^(\d{1,3})\s+/;
+const BULLET = /^[*•·▶►]\s*|^-\s+/;
+
+// A parenthesised group at the end is a label unless it looks like part of the title
+const TITLE_PARENTHESES = /\b(?:mix|remix|edit|re-?edit|refix|rework|version|dub|instrumental|vocal|live|demo|reprise|cover|bootleg|vip|feat\.?|ft\.?|featuring|with|part|pt\.?|take)\b/i;
+const QUOTED = /^["“”'‘’](.+)["“”'‘’]$/;
+
+/**
+ * Split "Artist - Title" at the first spaced dash
+ * @param {string} text
+ * @returns {{ artist: string, track: string }}
+ */
+export function splitArtistTitle(text) {
+  const match = String(text).match(new RegExp(`^(.+?)\\s+${DASH}\\s+(.+)$`));
+  return match
+    ? { artist: match[1].trim(), track: match[2].trim() }
+    : { artist: '', track: String(text).trim() };
+}
+
+/**
+ * Take a timestamp off the start or end of a line
+ * @param {string} text
+ * @param {Array<RegExp>} patterns
+ * @returns {{ rest: string, seconds: number }|null}
+ */
+function takeTimestamp(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    const seconds = match ? parseTimestamp(match[1]) : null;
+
+    if (seconds !== null) {
+      return { rest: text.replace(pattern, '').trim(), seconds };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Take the track number off the start of a line
+ * @param {string} text
+ * @param {{ from: number, to: number }} expected - Positions the line could have in sequence
+ * @returns {{ rest: string, position: number }|null}
+ */
+function takeNumber(text, expected) {
+  const match = text.match(LEADING_NUMBER);
+  if (match) {
+    const position = Number(match.slice(1).find(Boolean));
+    return { rest: text.slice(match[0].length).trim(), position };
+  }
+
+  const bare = text.match(BARE_NUMBER);
+  if (bare && Number(bare[1]) >= expected.from && Number(bare[1]) <= expected.to) {
+    return { rest: text.slice(bare[0].length).trim(), position: Number(bare[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Strip a trailing record label: "[Label]" always, "(Label)" unless it
+ * looks like part of the title, e.g. "(Dub Mix)"
+ * @param {string} text
+ * @returns {string}
+ */
+function stripLabel(text) {
+  const square = text.match(/\s*\[[^\]]*\]$/);
+  if (square) return text.slice(0, square.index).trim();
+
+  const round = text.match(/\s*\(([^()]*)\)$/);
+  if (round && !TITLE_PARENTHESES.test(round[1])) return text.slice(0, round.index).trim();
+
+  return text;
+}
+
+/**
+ * Parse one line of a pasted tracklist
+ *
+ * @param {string} line - Line of text
+ * @param {{ from: number, to: number }} [expected] - Positions the line could
+ *   have in sequence; a bare leading number ("01 Artist - Title") is only
+ *   taken as the position when it's in this range
+ * @returns {{ position?: number, artist: string, track: string, start_time?: number }|null}
+ *   The track, or null when there's no "Artist - Title" to be found
+ */
+export function parseTracklistLine(line, expected = { from: 1, to: 1 }) {
+  let rest = line.trim().replace(BULLET, '');
+  let position;
+  let startTime;
+
+  // Number and timestamp can come in either order
+  for (let pass = 0; pass < 2; pass++) {
+    const time = startTime === undefined ? takeTimestamp(rest, LEADING_TIME) : null;
+    if (time) {
+      ({ rest, seconds: startTime } = time);
+      continue;
+    }
+
+    const number = position === undefined ? takeNumber(rest, expected) : null;
+    if (number) {
+      ({ rest, position } = number);
+      continue;
+    }
+
+    break;
+  }
+
+  if (startTime === undefined) {
+    const time = takeTimestamp(rest, TRAILING_TIME);
+    if (time) ({ rest, seconds: startTime } = time);
+  }
+
+  const { artist, track } = splitArtistTitle(stripLabel(rest));
+  const title = track.replace(QUOTED, '$1').trim();
+  if (!artist || !title) return null;
+
+  return {
+    ...(position !== undefined ? { position } : {}),
+    artist,
+    track: title,
+    ...(startTime !== undefined ? { start_time: startTime } : {})
+  };
+}
+
+/**
+ * Parse a pasted tracklist
+ *
+ * Blank lines are ignored; any other line that can't be parsed is
+ * returned in `unparsed` (with its 1-based line number) and flagged in
+ * `warnings`.
+ *
+ * @param {string} text - Pasted tracklist
+ * @returns {{ tracks: Array<object>, unparsed: Array<{ line: number, text: string }>, warnings: Array<string> }}
+ */
+export function parseTracklistText(text) {
+  const tracks = [];
+  const unparsed = [];
+  // Unparsed lines since the last track, which may have been numbered
+  let skipped = 0;
+
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const next = (tracks.at(-1)?.position ?? tracks.length) + 1;
+    const track = parseTracklistLine(line, { from: next, to: next + skipped });
+
+    if (track) {
+      tracks.push(track);
+      skipped = 0;
+    } else {
+      unparsed.push({ line: index + 1, text: line.trim() });
+      skipped++;
+    }
+  });
+
+  return {
+    tracks,
+    unparsed,
+    warnings: unparsed.map(({ line, text: source }) => `Line ${line}: no "Artist - Title" in "${source}"`)
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * Manual Tracklist Validation
+ *
+ * Checks src/_data/tracklists.json before mergeTracklists() trusts it:
+ * the shape of every entry, positions and timings, and whether each
+ * slug matches a cloudcast in the fetched playlists. Used by
+ * scripts/validate-tracklists.js (`npm run lint:tracklists`).
+ *
+ * Issues are { level: 'error' | 'warning', slug, position, message }.
+ * Errors fail the command; warnings are reported only.
+ */
+
+import { getCloudcastSlug } from './playlists.js';
+
+// Canonical field order when the file is rewritten
+export const TRACKLIST_FIELDS = ['position', 'artist', 'track', 'start_time'];
+
+const SLUG_PATTERN = /^[^/\s]+\/[^/\s]+$/;
+
+/**
+ * Create an issue
+ */
+function issue(level, slug, message, position = null) {
+  return { level, slug, position, message };
+}
+
+/**
+ * Check one tracklist entry's fields
+ * @param {string} slug - Tracklist key
+ * @param {any} entry - Tracklist entry
+ * @param {number} index - Index in the array
+ * @returns {Array<object>} Issues
+ */
+function validateEntry(slug, entry, index) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [issue('error', slug, `entry ${index + 1} is not an object`)];
+  }
+
+  const issues = [];
+  const { position } = entry;
+  const at = Number.isInteger(position) ? position : null;
+
+  if (!Number.isInteger(position) || position < 1) {
+    issues.push(issue('error', slug, `entry ${index + 1} has an invalid position: ${JSON.stringify(position)} (expected a whole number from 1)`));
+  }
+
+  for (const field of ['artist', 'track']) {
+    if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+      issues.push(issue('error', slug, `missing ${field}`, at));
+    }
+  }
+
+  const { start_time: startTime } = entry;
+  if (startTime !== undefined && startTime !== null
+    && (typeof startTime !== 'number' || !Number.isFinite(startTime) || startTime < 0)) {
+    issues.push(issue('error', slug, `start_time must be a number of seconds, got ${JSON.stringify(startTime)}`, at));
+  }
+
+  for (const field of Object.keys(entry)) {
+    if (!TRACKLIST_FIELDS.includes(field)) {
+      issues.push(issue('warning', slug, `unknown field "${field}"`, at));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check positions and timings across one tracklist
+ * @param {string} slug - Tracklist key
+ * @param {Array<object>} entries - Entries with valid positions
+ * @returns {Array<object>} Issues
+ */
+function validateOrder(slug, entries) {
+  const issues = [];
+  const positions = entries.map(entry => entry.position);
+  const sorted = [...entries].sort((a, b) => a.position - b.position);
+
+  const seen = new Set();
+  for (const position of positions) {
+    if (seen.has(position)) {
+      issues.push(issue('error', slug, `duplicate position ${position}`, position));
+    }
+    seen.add(position);
+  }
+
+  if (positions.some((position, index) => index > 0 && position < positions[index - 1])) {
+    issues.push(issue('warning', slug, 'entries are not in position order (--write sorts them)'));
+  }
+
+  const highest = Math.max(0, ...seen);
+  const skipped = [];
+  for (let position = 1; position <= highest; position++) {
+    if (!seen.has(position)) skipped.push(position);
+  }
+  if (skipped.length > 0) {
+    issues.push(issue('warning', slug, `positions skip ${skipped.join(', ')}`));
+  }
+
+  let previous = null;
+  for (const entry of sorted) {
+    if (typeof entry.start_time !== 'number' || !Number.isFinite(entry.start_time)) continue;
+
+    if (previous) {
+      if (entry.start_time < previous.start_time) {
+        issues.push(issue('error', slug, `start_time ${entry.start_time} is before track ${previous.position} (${previous.start_time})`, entry.position));
+      } else if (entry.start_time === previous.start_time) {
+        issues.push(issue('warning', slug, `starts at the same time as track ${previous.position} (${entry.start_time})`, entry.position));
+      }
+    }
+    previous = entry;
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the whole tracklists file against the schema
+ *
+ * @param {any} data - Parsed tracklists.json
+ * @returns {Array<object>} Issues
+ */
+export function validateTracklists(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [issue('error', null, 'tracklists.json must be an object keyed by "username/cloudcast-slug"')];
+  }
+
+  const issues = [];
+
+  for (const [slug, entries] of Object.entries(data)) {
+    if (!SLUG_PATTERN.test(slug)) {
+      issues.push(issue('error', slug, 'key should look like "username/cloudcast-slug"'));
+    }
+
+    if (!Array.isArray(entries)) {
+      issues.push(issue('error', slug, 'tracklist must be an array of tracks'));
+      continue;
+    }
+
+    if (entries.length === 0) {
+      issues.push(issue('warning', slug, 'tracklist is empty'));
+      continue;
+    }
+
+    entries.forEach((entry, index) => issues.push(...validateEntry(slug, entry, index)));
+
+    const positioned = entries.filter(entry => Number.isInteger(entry?.position) && entry.position > 0);
+    issues.push(...validateOrder(slug, positioned));
+  }
+
+  return issues;
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Find the closest known slug to a (probably typo'd) one
+ * @param {string} slug - Unknown slug
+ * @param {Array<string>} known - Known cloudcast slugs
+ * @returns {string|null}
+ */
+export function findClosestSlug(slug, known) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of known) {
+    const distance = editDistance(slug, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  // Only suggest near misses
+  return bestDistance <= Math.max(3, Math.floor(slug.length / 5)) ? best : null;
+}
+
+/**
+ * Check tracklist slugs against the fetched playlists
+ *
+ * Tracklists whose slug matches no cloudcast are orphans: errors when
+ * every library was fetched, warnings when a fetch failed or fell back
+ * to a snapshot (the mix may be in the library that failed).
+ *
+ * @param {object} data - Parsed tracklists.json
+ * @param {Array<object>} libraries - Results of fetchLibrary()
+ * @returns {{ issues: Array<object>, orphans: Array<string>, missing: Array<{ slug: string, name: string, libraries: Array<string> }> }}
+ */
+export function checkTracklistSlugs(data, libraries) {
+  const cloudcasts = new Map();
+
+  for (const library of libraries) {
+    for (const cloudcast of library.cloudcasts || []) {
+      const slug = getCloudcastSlug(cloudcast);
+      if (!cloudcasts.has(slug)) {
+        cloudcasts.set(slug, { cloudcast, libraries: [] });
+      }
+      cloudcasts.get(slug).libraries.push(library.title);
+    }
+  }
+
+  // Stale snapshots may predate a mix, so they don't count as complete either
+  const complete = libraries.every(library => !library.error);
+  // Suggest only cloudcasts that don't already have a tracklist
+  const unclaimed = [...cloudcasts.keys()].filter(slug => !data[slug]);
+  const issues = [];
+  const orphans = [];
+
+  for (const [slug, entries] of Object.entries(data)) {
+    const match = cloudcasts.get(slug);
+
+    if (!match) {
+      orphans.push(slug);
+      const suggestion = findClosestSlug(slug, unclaimed);
+      issues.push(issue(
+        complete ? 'error' : 'warning',
+        slug,
+        `matches no cloudcast in the fetched playlists${suggestion ? ` - did you mean "${suggestion}"?` : ''}`
+      ));
+      continue;
+    }
+
+    // Timings past the end of the mix
+    const length = match.cloudcast.audio_length;
+    if (length && Array.isArray(entries)) {
+      for (const entry of entries) {
+        if (typeof entry?.start_time === 'number' && entry.start_time > length) {
+          issues.push(issue('warning', slug, `start_time ${entry.start_time} is after the end of the mix (${length}s)`, entry.position));
+        }
+      }
+    }
+  }
+
+  const missing = [...cloudcasts]
+    .filter(([slug, { cloudcast }]) => !data[slug] && !(cloudcast.sections?.length > 0))
+    .map(([slug, { cloudcast, libraries: titles }]) => ({ slug, name: cloudcast.name, libraries: titles }));
+
+  return { issues, orphans, missing };
+}
+
+/**
+ * Sort tracklists into canonical form
+ *
+ * Keys sorted alphabetically, entries by position, fields in
+ * TRACKLIST_FIELDS order (unknown fields after), text trimmed and empty
+ * start times dropped.
+ *
+ * @param {object} data - Parsed tracklists.json (already validated)
+ * @returns {object}
+ */
+export function canonicaliseTracklists(data) {
+  return Object.fromEntries(
+    Object.keys(data)
+      .sort()
+      .map(slug => [slug, [...data[slug]]
+        .sort((a, b) => a.position - b.position)
+        .map(entry => {
+          const fields = [...TRACKLIST_FIELDS, ...Object.keys(entry).filter(field => !TRACKLIST_FIELDS.includes(field))];
+          return Object.fromEntries(fields
+            .filter(field => entry[field] !== undefined && entry[field] !== null)
+            .map(field => [field, typeof entry[field] === 'string' ? entry[field].trim() : entry[field]]));
+        })
+      ])
+  );
+}
+
+/**
+ * Serialise tracklists the way the file is stored
+ * @param {object} data - Tracklists
+ * @returns {string}
+ */
+export function formatTracklists(data) {
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
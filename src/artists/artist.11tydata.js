@@ -0,0 +1,43 @@
+/**
+ * Artist Pages
+ *
+ * Paginates over every artist in the mix tracklists to build
+ * /artists/<artist>/, listing each track and the mix it appears in.
+ */
+
+import { collectMixes } from '../_lib/mixes.js';
+import { collectArtists, getArtistUrl } from '../_lib/artists.js';
+import structuredData from '../_data/structuredData.js';
+
+const SITE_URL = 'https://thegroovelibrary.net';
+
+export default {
+  layout: 'base.njk',
+  pagination: {
+    data: 'libraries',
+    resolve: 'values',
+    size: 1,
+    alias: 'artist',
+    addAllPagesToCollections: true,
+    before: libraries => collectArtists(collectMixes(libraries))
+  },
+  permalink: data => getArtistUrl(data.artist.name),
+  eleventyComputed: {
+    title: data => `${data.artist.name} | The Groove Library`,
+    description: data => {
+      const { name, trackCount, appearances } = data.artist;
+      const tracks = `${trackCount} ${trackCount === 1 ? 'track' : 'tracks'}`;
+      const mixes = `${appearances.length} ${appearances.length === 1 ? 'mix' : 'mixes'}`;
+      return `${name} in The Groove Library: ${tracks} across ${mixes}.`;
+    },
+    breadcrumbs: data => [
+      { name: 'Home', url: '/' },
+      { name: 'Artists', url: '/artists/' },
+      { name: data.artist.name, url: getArtistUrl(data.artist.name) }
+    ],
+    structuredData: data => structuredData.getSchemasForPage({
+      pageUrl: `${SITE_URL}${getArtistUrl(data.artist.name)}`,
+      breadcrumbs: data.breadcrumbs
+    })
+  }
+};
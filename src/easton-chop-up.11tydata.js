@@ -0,0 +1,7 @@
+/**
+ * Easton Chop Up! - paginated at build time (src/_lib/pagination.js)
+ */
+
+import { libraryPageData } from './_lib/pagination.js';
+
+export default libraryPageData('easton');
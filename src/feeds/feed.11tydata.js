@@ -0,0 +1,22 @@
+/**
+ * Library Feeds
+ *
+ * Paginates over every feed file (RSS, Atom and JSON Feed for each
+ * library, plus all mixes) built by src/_lib/feeds.js.
+ */
+
+import { buildFeedFiles } from '../_lib/feeds.js';
+
+export default {
+  layout: null,
+  eleventyExcludeFromCollections: true,
+  pagination: {
+    data: 'libraries',
+    resolve: 'values',
+    size: 1,
+    alias: 'feedFile',
+    // Pagination resolves the values of the libraries object; key them by slug again
+    before: libraries => buildFeedFiles(Object.fromEntries(libraries.map(library => [library.slug, library])))
+  },
+  permalink: data => data.feedFile.url
+};
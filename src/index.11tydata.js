@@ -0,0 +1,22 @@
+/**
+ * Home Page - The Groove Library, paginated at build time
+ * (src/_lib/pagination.js), with JSON-LD for each page's own URL and mixes
+ */
+
+import { libraryPageData } from './_lib/pagination.js';
+import structuredData from './_data/structuredData.js';
+
+const SITE_URL = 'https://thegroovelibrary.net';
+
+export default libraryPageData('groove', {
+  structuredData: data => structuredData.getSchemasForPage({
+    pageType: 'home',
+    pageUrl: `${SITE_URL}${data.page.url}`,
+    collectionData: {
+      name: data.pager.current > 1 ? `The Groove Library - Page ${data.pager.current}` : 'The Groove Library - Home',
+      // Eleventy first calls this with stand-ins to find its dependencies
+      cloudcasts: Array.isArray(data.pageMixes) ? data.pageMixes : [],
+      offset: data.pagination.pageNumber * data.pagination.size
+    }
+  })
+});
@@ -0,0 +1,261 @@
+/**
+ * Crate - favourite mixes saved in the browser
+ *
+ * The heart on each mix card saves the mix's slug to a crate in
+ * localStorage, only with the visitor's consent to preferences storage
+ * (the consent manager in base.njk). The /crate/ page renders the saved
+ * mixes from the build-time manifest (/crate/mixes.json) and offers a
+ * share link, /crate/?mixes=<slug>,<slug>, that opens exactly that
+ * selection for someone else, who can save it to their own crate.
+ * Storage and consent are handled by preferences.js.
+ */
+
+import { SLUG_PATTERN, canRemember, readCrate, writeCrate } from './preferences.js';
+import { renderMix } from './mix-list.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const MANIFEST_URL = '/crate/mixes.json';
+  const MAX_SHARED = 100; // Slugs read from a share link
+
+  const hearts = document.querySelectorAll('[data-crate-toggle]');
+  const cratePage = document.querySelector('[data-crate]');
+  let notice = null;
+
+  /**
+   * Read the slugs from a share link's `mixes` parameter
+   * ("go-on,highlife-heat"), dropping anything that isn't a slug
+   * @returns {Array<string>|null} Slugs, or null when this isn't a share link
+   */
+  function readSharedCrate() {
+    const value = new URLSearchParams(window.location.search).get('mixes');
+    if (value === null) return null;
+
+    const slugs = value.split(',')
+      .map((slug) => slug.trim())
+      .filter((slug) => SLUG_PATTERN.test(slug));
+
+    return [...new Set(slugs)].slice(0, MAX_SHARED);
+  }
+
+  /**
+   * Link that opens a crate for someone else
+   * @param {Array<string>} slugs
+   * @returns {string}
+   */
+  function shareUrl(slugs) {
+    // Commas are left readable; slugs need no escaping
+    return `${window.location.origin}/crate/?mixes=${slugs.join(',')}`;
+  }
+
+  /**
+   * Explain why the heart did nothing, once per page
+   */
+  function showConsentNotice() {
+    // No choice made yet: the banner is the way to give consent
+    const consent = window.__cookieConsent && window.__cookieConsent.getConsent();
+    if (!consent && window.__cookieConsent && !document.getElementById('cookie-consent-banner')) {
+      window.__cookieConsent.showBanner();
+    }
+
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.className = 'crate-notice';
+      notice.setAttribute('role', 'status');
+
+      const text = document.createElement('p');
+      text.append('Your crate is stored only in this browser, so it needs your consent to preference cookies. ');
+      const link = document.createElement('a');
+      link.href = '/privacy/';
+      link.textContent = 'Privacy policy';
+      text.appendChild(link);
+
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'crate-notice__close';
+      close.setAttribute('aria-label', 'Dismiss notice');
+      close.textContent = '×';
+      close.addEventListener('click', () => {
+        notice.hidden = true;
+      });
+
+      notice.append(text, close);
+      document.body.appendChild(notice);
+    }
+
+    notice.hidden = false;
+  }
+
+  /**
+   * Show each heart as saved or not
+   * @param {Array<string>} slugs - Saved slugs
+   */
+  function updateHearts(slugs) {
+    hearts.forEach((heart) => {
+      const player = heart.closest('[data-mix-slug]');
+      const saved = slugs.includes(player.dataset.mixSlug);
+      heart.setAttribute('aria-pressed', String(saved));
+      heart.classList.toggle('mix-player__crate--saved', saved);
+    });
+  }
+
+  // Hearts on mix cards
+  if (hearts.length > 0) {
+    updateHearts(readCrate());
+
+    hearts.forEach((heart) => {
+      heart.hidden = false;
+      heart.closest('[data-listening]').hidden = false;
+
+      heart.addEventListener('click', () => {
+        if (!canRemember()) {
+          showConsentNotice();
+          return;
+        }
+
+        const slug = heart.closest('[data-mix-slug]').dataset.mixSlug;
+        const slugs = readCrate();
+        const updated = slugs.includes(slug)
+          ? slugs.filter((saved) => saved !== slug)
+          : [slug, ...slugs];
+
+        writeCrate(updated);
+        updateHearts(updated);
+      });
+    });
+  }
+
+  if (!cratePage) return;
+
+  // The /crate/ page: your own crate, or one opened from a share link
+  const shared = readSharedCrate();
+  const status = cratePage.querySelector('[data-crate-status]');
+  const list = cratePage.querySelector('[data-crate-list]');
+  const actions = cratePage.querySelector('[data-crate-actions]');
+  const shareButton = cratePage.querySelector('[data-crate-share]');
+  const saveButton = cratePage.querySelector('[data-crate-save]');
+  const shareField = cratePage.querySelector('[data-crate-share-field]');
+  const shareInput = cratePage.querySelector('[data-crate-share-url]');
+  const empty = cratePage.querySelector('[data-crate-empty]');
+  let manifest = new Map();
+
+  /**
+   * Render a list of slugs against the manifest
+   * @returns {Array<object>} The mixes found
+   */
+  function renderCrate(slugs, removable) {
+    const mixes = slugs.map((slug) => manifest.get(slug)).filter(Boolean);
+    list.replaceChildren(...mixes.map((mix) => renderMix(mix, 'crate', removable)));
+    return mixes;
+  }
+
+  function showOwnCrate() {
+    if (!canRemember()) {
+      cratePage.querySelector('[data-crate-consent]').hidden = false;
+      status.textContent = '';
+      return;
+    }
+
+    const mixes = renderCrate(readCrate(), true);
+    empty.hidden = mixes.length > 0;
+    actions.hidden = mixes.length === 0;
+    shareButton.hidden = mixes.length === 0;
+    shareField.hidden = true;
+    status.textContent = mixes.length > 0
+      ? `${mixes.length} ${mixes.length === 1 ? 'mix' : 'mixes'} saved`
+      : '';
+  }
+
+  function showSharedCrate() {
+    const mixes = renderCrate(shared, false);
+    const missing = shared.length - mixes.length;
+
+    document.querySelector('[data-crate-heading]').textContent = 'A Shared Crate';
+    actions.hidden = false;
+    saveButton.hidden = mixes.length === 0;
+    cratePage.querySelector('[data-crate-own]').hidden = false;
+
+    status.textContent = [
+      `${mixes.length} ${mixes.length === 1 ? 'mix' : 'mixes'} shared with you`,
+      missing > 0 ? `${missing} ${missing === 1 ? 'is' : 'are'} no longer in the library` : ''
+    ].filter(Boolean).join('; ');
+  }
+
+  status.textContent = 'Loading…';
+
+  fetch(MANIFEST_URL)
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then((data) => {
+      manifest = new Map(data.mixes.map((mix) => [mix.slug, mix]));
+      if (shared) {
+        showSharedCrate();
+      } else {
+        showOwnCrate();
+      }
+    })
+    .catch((error) => {
+      console.warn('Could not load the crate:', error);
+      status.textContent = 'Sorry, the crate could not be loaded. Please try again later.';
+    });
+
+  list.addEventListener('click', (event) => {
+    const remove = event.target.closest('[data-crate-remove]');
+    if (!remove) return;
+
+    const buttons = Array.from(list.querySelectorAll('[data-crate-remove]'));
+    const index = buttons.indexOf(remove);
+
+    writeCrate(readCrate().filter((slug) => slug !== remove.dataset.crateRemove));
+    showOwnCrate();
+
+    // Keep focus in the list rather than losing it with the button
+    const remaining = list.querySelectorAll('[data-crate-remove]');
+    const target = remaining[index] || remaining[index - 1];
+    if (target) {
+      target.focus();
+    } else {
+      cratePage.querySelector('[data-crate-empty] a').focus();
+    }
+  });
+
+  shareButton.addEventListener('click', () => {
+    const url = shareUrl(readCrate().filter((slug) => manifest.has(slug)).slice(0, MAX_SHARED));
+    shareInput.value = url;
+
+    const copied = navigator.clipboard
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject(new Error('Clipboard unavailable'));
+
+    copied
+      .then(() => {
+        status.textContent = 'Share link copied';
+      })
+      .catch(() => {
+        // Let the visitor copy it themselves
+        shareField.hidden = false;
+        shareInput.focus();
+        shareInput.select();
+        status.textContent = 'Copy the share link below';
+      });
+  });
+
+  saveButton.addEventListener('click', () => {
+    if (!canRemember()) {
+      cratePage.querySelector('[data-crate-consent]').hidden = false;
+      showConsentNotice();
+      return;
+    }
+
+    const slugs = readCrate();
+    const added = shared.filter((slug) => manifest.has(slug) && !slugs.includes(slug));
+    writeCrate([...added, ...slugs]);
+
+    saveButton.hidden = true;
+    cratePage.querySelector('[data-crate-own]').focus();
+    status.textContent = added.length > 0
+      ? `Saved ${added.length} ${added.length === 1 ? 'mix' : 'mixes'} to your crate`
+      : 'These mixes are already in your crate';
+  });
+});
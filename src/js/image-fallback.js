@@ -1,28 +1,53 @@
 /**
  * Image Fallback Handler
  *
- * Handles broken images by showing a placeholder with the logo
+ * Swaps a cover that fails to load for the mix's generated artwork
+ * (data-fallback-src, see src/_lib/artwork.js), or hides it when there
+ * is none
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Handle image load errors
-  const images = document.querySelectorAll('.mix-player__image');
+  /**
+   * Show the fallback for a broken cover
+   * @param {HTMLImageElement} img
+   */
+  function useFallback(img) {
+    const cover = img.closest('.mix-player__cover');
+    if (cover) {
+      cover.classList.add('mix-player__cover--fallback');
+    }
 
-  images.forEach(img => {
-    img.addEventListener('error', function() {
-      // Don't retry if already tried
-      if (this.dataset.fallback === 'true') return;
+    // Don't retry if the artwork failed too
+    if (img.dataset.fallback === 'true' || !img.dataset.fallbackSrc) {
+      img.style.display = 'none';
+      return;
+    }
 
-      this.dataset.fallback = 'true';
+    img.dataset.fallback = 'true';
 
-      // Add a class to style the broken image
-      const cover = this.closest('.mix-player__cover');
-      if (cover) {
-        cover.classList.add('mix-player__cover--fallback');
-      }
+    // <source> elements would win over the new src
+    const picture = img.closest('picture');
+    if (picture) {
+      picture.querySelectorAll('source').forEach(source => source.remove());
+    }
 
-      // Hide the broken image
-      this.style.display = 'none';
-    });
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+    img.alt = '';
+    img.src = img.dataset.fallbackSrc;
+  }
+
+  // Load errors don't bubble, so listen while they travel down to the image
+  document.addEventListener('error', event => {
+    if (event.target instanceof HTMLImageElement && event.target.matches('.mix-player__cover-image')) {
+      useFallback(event.target);
+    }
+  }, true);
+
+  // Covers that failed before this script ran
+  document.querySelectorAll('.mix-player__cover-image').forEach(img => {
+    if (img.complete && img.naturalWidth === 0 && img.getAttribute('src')) {
+      useFallback(img);
+    }
   });
 });
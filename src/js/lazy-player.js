@@ -3,68 +3,709 @@
  * Improves initial page load performance by deferring iframe loading
  * until user interaction. Converts cover image into player on click.
  * Only one player can play at a time - clicking a new one stops others.
+ *
+ * Timed tracklist entries jump to their track: clicking the row (or its
+ * time button, which works from the keyboard) loads the player if needed
+ * and seeks through the Mixcloud widget API, which drives the iframe over
+ * postMessage. While a mix with a timed tracklist plays, its progress
+ * events highlight the current track, show it on the card and announce
+ * each change through the card's polite status region.
+ *
+ * A mix page opened with a time, /mixes/<slug>/?t=1h02m or #t=3720,
+ * scrolls to the card and loads the player paused, since browsers block
+ * playback nobody asked for. A "Play from 1:02:00" button appears on the
+ * card, and the first play the listener starts (that button or the
+ * player's own) seeks to the time; each timed track has a button that
+ * copies such a link.
+ *
+ * With the visitor's consent to preferences storage (the consent manager
+ * in base.njk), each mix's position is saved in localStorage: cards offer
+ * "Resume at 1:12:05", finished mixes are marked as listened and the home
+ * page lists unfinished mixes under "Continue listening".
+ *
+ * Continuous play (the continuous-play.njk controls before a mix grid)
+ * starts another card from the grid when a mix ends: the next visible
+ * one, a random one not yet played, or the next in the listener's queue.
+ * Scroll position, and focus if it was on the finished card, follow the
+ * new card. It stays on the page: a paginated library's controls say so.
+ *
+ * The decisions behind saving positions, continuous play and linked
+ * times are in listening.js; storage and consent in preferences.js.
+ * @see https://www.mixcloud.com/developers/widget/
  */
 
+// The build's own timestamp helpers, published at /js/timestamps.js
+import { formatTimestamp, parseLinkTime } from './timestamps.js';
+import { canRemember, readListening, writeListening } from './preferences.js';
+import {
+  continueListening,
+  linkTimeParam,
+  mixPageSlug,
+  pickNext,
+  progressAction,
+  recordPosition,
+  toggleQueued as toggleQueue
+} from './listening.js';
+
 document.addEventListener('DOMContentLoaded', () => {
+  const WIDGET_API_URL = 'https://widget.mixcloud.com/media/js/widgetApi.js';
+
   const lazyPlayers = document.querySelectorAll('.mix-player__media-wrapper[data-src]');
   const activeIframes = new Map(); // Change to Map to store original HTML
+  const widgets = new Map(); // Wrapper -> Promise of its widget API
+  let widgetApi = null;
 
-  function attachClickHandler(wrapper) {
-    const playButton = wrapper.querySelector('.mix-player__play-overlay');
-    if (!playButton) return;
+  // A linked time waiting for the listener to start its player: { wrapper, seconds }
+  let linkedTime = null;
 
-    playButton.addEventListener('click', () => {
-      // Stop all other players by restoring their cover images
-      activeIframes.forEach((originalHTML, activeWrapper) => {
-        if (activeWrapper !== wrapper) {
-          // Restore original cover with play overlay
-          activeWrapper.innerHTML = originalHTML;
-          activeWrapper.classList.remove('player-loaded');
-          activeIframes.delete(activeWrapper);
-
-          // Re-attach click handler to restored button
-          attachClickHandler(activeWrapper);
+  // Continuous play, for the grid following the controls
+  const continuousPlay = document.querySelector('[data-continuous-play]');
+  const continuousGrid = continuousPlay && continuousPlay.nextElementSibling;
+  const continuous = {
+    enabled: false,
+    order: 'next', // 'next', 'shuffle' or 'queue'
+    queue: [], // .mix-player cards, in playing order
+    played: new Set() // Cards started this visit, skipped by shuffle
+  };
+
+  /**
+   * Load Mixcloud's widget API script once
+   * @returns {Promise<object>} The Mixcloud global
+   */
+  function loadWidgetApi() {
+    if (!widgetApi) {
+      widgetApi = new Promise((resolve, reject) => {
+        if (window.Mixcloud && window.Mixcloud.PlayerWidget) {
+          resolve(window.Mixcloud);
+          return;
         }
+
+        const script = document.createElement('script');
+        script.src = WIDGET_API_URL;
+        script.async = true;
+        script.addEventListener('load', () => {
+          if (window.Mixcloud && window.Mixcloud.PlayerWidget) {
+            resolve(window.Mixcloud);
+          } else {
+            reject(new Error('Mixcloud widget API did not load'));
+          }
+        });
+        script.addEventListener('error', () => {
+          widgetApi = null; // Let a later click try again
+          reject(new Error('Mixcloud widget API could not be loaded'));
+        });
+        document.head.appendChild(script);
+      });
+    }
+
+    return widgetApi;
+  }
+
+  /**
+   * Replace a cover with the Mixcloud iframe, stopping any other player
+   * @param {HTMLElement} wrapper - .mix-player__media-wrapper
+   * @param {boolean} [autoplay] - Start playing once loaded (after a click)
+   * @returns {HTMLIFrameElement}
+   */
+  function loadPlayer(wrapper, autoplay = true) {
+    // Stop all other players by restoring their cover images
+    activeIframes.forEach((originalHTML, activeWrapper) => {
+      if (activeWrapper !== wrapper) {
+        // Restore original cover with play overlay
+        activeWrapper.innerHTML = originalHTML;
+        activeWrapper.classList.remove('player-loaded');
+        activeIframes.delete(activeWrapper);
+        widgets.delete(activeWrapper);
+        showNowPlaying(activeWrapper.closest('.mix-player'), null);
+        if (linkedTime && linkedTime.wrapper === activeWrapper) clearLinkedTime();
+
+        // Re-attach click handler to restored button
+        attachClickHandler(activeWrapper);
+      }
+    });
+
+    // Store original HTML before replacing
+    const originalHTML = wrapper.innerHTML;
+
+    // A mix that has started is no longer up next
+    const player = wrapper.closest('.mix-player');
+    if (player) {
+      continuous.played.add(player);
+      if (continuous.queue.includes(player)) {
+        continuous.queue = toggleQueue(continuous.queue, player);
+        renderQueue();
+      }
+    }
+
+    // Add loading state
+    wrapper.classList.add('loading');
+
+    const iframe = document.createElement('iframe');
+    const src = wrapper.dataset.src;
+
+    // Add autoplay parameter to the URL
+    const playerSrc = autoplay ? src + (src.includes('?') ? '&' : '?') + 'autoplay=1' : src;
+
+    // Set iframe attributes
+    iframe.className = 'mix-player__iframe';
+    iframe.width = '100%';
+    iframe.height = '640';
+    iframe.src = playerSrc;
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; encrypted-media';
+    iframe.title = wrapper.dataset.title || 'Mixcloud player';
+    iframe.setAttribute('aria-label', wrapper.dataset.ariaLabel || 'Audio player');
+
+    // Remove loading state when iframe loads
+    iframe.addEventListener('load', () => {
+      wrapper.classList.remove('loading');
+    });
+
+    // Replace cover with iframe in a container
+    const widgetContainer = document.createElement('div');
+    widgetContainer.className = 'widget-container';
+    widgetContainer.appendChild(iframe);
+
+    wrapper.innerHTML = '';
+    wrapper.classList.add('player-loaded');
+    wrapper.appendChild(widgetContainer);
+
+    // Store wrapper and its original HTML in active iframes map
+    activeIframes.set(wrapper, originalHTML);
+
+    return iframe;
+  }
+
+  /**
+   * Get the widget API for a player, loading the player first if needed
+   * @param {HTMLElement} wrapper - .mix-player__media-wrapper
+   * @param {boolean} [autoplay] - Start a player loaded here (see loadPlayer)
+   * @returns {Promise<object>} Mixcloud PlayerWidget, once ready
+   */
+  function getWidget(wrapper, autoplay = true) {
+    if (!widgets.has(wrapper)) {
+      const iframe = wrapper.querySelector('iframe') || loadPlayer(wrapper, autoplay);
+      const widget = loadWidgetApi().then((Mixcloud) => {
+        const player = Mixcloud.PlayerWidget(iframe);
+        return player.ready.then(() => {
+          followProgress(wrapper, player);
+          rememberPosition(wrapper, player);
+          player.events.ended.on(() => playNext(wrapper));
+          return player;
+        });
+      });
+
+      widgets.set(wrapper, widget);
+      // Forget a widget that failed, so the next click starts afresh
+      widget.catch(() => widgets.delete(wrapper));
+    }
+
+    return widgets.get(wrapper);
+  }
+
+  /**
+   * Seek a widget and keep it playing
+   *
+   * The widget can only seek once the audio has started, so if the first
+   * attempt is refused, start playback and seek when it begins.
+   *
+   * @param {object} widget - Mixcloud PlayerWidget
+   * @param {number} seconds - Position to seek to
+   * @returns {Promise}
+   */
+  function seekTo(widget, seconds) {
+    return widget.seek(seconds).then((seeked) => {
+      if (seeked) return widget.play();
+
+      return new Promise((resolve) => {
+        const onPlay = () => {
+          widget.events.play.off(onPlay);
+          resolve(widget.seek(seconds));
+        };
+        widget.events.play.on(onPlay);
+        widget.play();
+      });
+    });
+  }
+
+  /**
+   * Timed tracks in a card's tracklist, in playing order
+   * @param {HTMLElement} player - .mix-player card
+   * @returns {Array<{ item: HTMLElement, start: number, title: string }>}
+   */
+  function getTimedTracks(player) {
+    return Array.from(player.querySelectorAll('.mix-player__tracklist-item--seekable'))
+      .map((item) => {
+        const artist = item.querySelector('.mix-player__tracklist-artist');
+        const track = item.querySelector('.mix-player__tracklist-track');
+
+        return {
+          item,
+          start: Number(item.querySelector('[data-seek]').dataset.seek),
+          title: `${artist ? artist.textContent.trim() : 'Unknown Artist'} – ${track ? track.textContent.trim() : 'Unknown Track'}`
+        };
+      })
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Scroll the tracklist (not the page) so the current track is in view
+   */
+  function scrollIntoList(item) {
+    const list = item.closest('.mix-player__tracklist-items');
+    const details = item.closest('details');
+    if (!list || (details && !details.open)) return;
+
+    const listBox = list.getBoundingClientRect();
+    const itemBox = item.getBoundingClientRect();
+
+    if (itemBox.top < listBox.top || itemBox.bottom > listBox.bottom) {
+      list.scrollTop += itemBox.top - listBox.top - (list.clientHeight - itemBox.height) / 2;
+    }
+  }
+
+  /**
+   * Highlight the playing track and show it on the card
+   * @param {HTMLElement} player - .mix-player card
+   * @param {object|null} track - From getTimedTracks(), or null to clear
+   */
+  function showNowPlaying(player, track) {
+    if (!player) return;
+
+    player.querySelectorAll('.mix-player__tracklist-item--current').forEach((item) => {
+      item.classList.remove('mix-player__tracklist-item--current');
+      item.removeAttribute('aria-current');
+    });
+
+    const nowPlaying = player.querySelector('[data-now-playing]');
+    const status = player.querySelector('[data-now-playing-status]');
+
+    if (!track) {
+      if (nowPlaying) nowPlaying.hidden = true;
+      if (status) status.textContent = '';
+      return;
+    }
+
+    track.item.classList.add('mix-player__tracklist-item--current');
+    track.item.setAttribute('aria-current', 'true');
+    scrollIntoList(track.item);
+
+    if (nowPlaying) {
+      nowPlaying.querySelector('[data-now-playing-track]').textContent = track.title;
+      nowPlaying.hidden = false;
+    }
+    if (status) status.textContent = `Now playing: ${track.title}`;
+  }
+
+  /**
+   * Keep the card's now playing state in step with the widget
+   * @param {HTMLElement} wrapper - .mix-player__media-wrapper
+   * @param {object} widget - Mixcloud PlayerWidget
+   */
+  function followProgress(wrapper, widget) {
+    const player = wrapper.closest('.mix-player');
+    const tracks = player ? getTimedTracks(player) : [];
+    if (tracks.length === 0) return;
+
+    let current = null;
+
+    widget.events.progress.on((position) => {
+      // Last track that has started by now
+      let track = null;
+      for (const candidate of tracks) {
+        if (candidate.start > position) break;
+        track = candidate;
+      }
+
+      if (track !== current) {
+        current = track;
+        showNowPlaying(player, track);
+      }
+    });
+
+    widget.events.ended.on(() => {
+      current = null;
+      showNowPlaying(player, null);
+    });
+  }
+
+  /**
+   * The time this page was linked to, from #t= or ?t=
+   * @returns {number|null}
+   */
+  function readLinkedTime() {
+    return parseLinkTime(linkTimeParam(window.location));
+  }
+
+  /**
+   * Forget the linked time and hide its "Play from" button
+   */
+  function clearLinkedTime() {
+    if (!linkedTime) return;
+
+    const button = linkedTime.wrapper.closest('.mix-player').querySelector('[data-linked-time]');
+    if (button) {
+      button.hidden = true;
+      updateListening(button.closest('[data-listening]'));
+    }
+    linkedTime = null;
+  }
+
+  /**
+   * Open the mix page's card at the linked time
+   */
+  function jumpToLinkedTime() {
+    const seconds = readLinkedTime();
+    const slug = mixPageSlug(window.location.pathname);
+    if (seconds === null || !slug) return;
+
+    const player = Array.from(document.querySelectorAll('.mix-player[data-mix-slug]'))
+      .find((card) => card.dataset.mixSlug === slug);
+    const wrapper = player && player.querySelector('.mix-player__media-wrapper[data-src]');
+    if (!wrapper) return;
+
+    player.scrollIntoView({ block: 'start' });
+
+    // Already playing: the listener is there to hear the jump
+    if (activeIframes.has(wrapper) && !(linkedTime && linkedTime.wrapper === wrapper)) {
+      getWidget(wrapper)
+        .then((widget) => seekTo(widget, seconds))
+        .catch((error) => {
+          console.warn('Could not jump to the linked time:', error);
+        });
+      return;
+    }
+
+    // Offer the time; the [data-seek] click handler below plays from it
+    linkedTime = { wrapper, seconds };
+    const button = player.querySelector('[data-linked-time]');
+    if (button) {
+      button.dataset.seek = seconds;
+      button.querySelector('[data-linked-time-label]').textContent = `Play from ${formatTimestamp(seconds)}`;
+      button.hidden = false;
+      updateListening(button.closest('[data-listening]'));
+    }
+
+    // Load paused, and seek when the listener starts the player itself
+    getWidget(wrapper, false)
+      .then((widget) => {
+        const onPlay = () => {
+          widget.events.play.off(onPlay);
+          if (linkedTime && linkedTime.wrapper === wrapper) {
+            const linked = linkedTime.seconds;
+            clearLinkedTime();
+            widget.seek(linked);
+          }
+        };
+        widget.events.play.on(onPlay);
+      })
+      .catch((error) => {
+        console.warn('Could not load the player for the linked time:', error);
+      });
+  }
+
+  /**
+   * Copy a timed track's link, falling back to a prompt to copy by hand
+   * @param {HTMLButtonElement} button - [data-copy-link] button
+   */
+  function copyTrackLink(button) {
+    const url = new URL(button.dataset.copyLink, window.location.origin).href;
+    const player = button.closest('.mix-player');
+    const status = player && player.querySelector('[data-now-playing-status]');
+
+    const copied = navigator.clipboard
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject(new Error('Clipboard unavailable'));
+
+    copied
+      .then(() => {
+        button.classList.add('mix-player__tracklist-copy--copied');
+        if (status) status.textContent = 'Link copied';
+        setTimeout(() => button.classList.remove('mix-player__tracklist-copy--copied'), 2000);
+      })
+      .catch(() => {
+        window.prompt('Copy this link to the track:', url);
+      });
+  }
+
+  /**
+   * Show a card's resume button and listened badge
+   * @param {HTMLElement} player - .mix-player card
+   * @param {object} [entry] - Saved position
+   */
+  function showListening(player, entry) {
+    const listening = player.querySelector('[data-listening]');
+    if (!listening) return;
+
+    const resume = listening.querySelector('[data-resume]');
+    const listened = listening.querySelector('[data-listened]');
+    const canResume = Boolean(entry && entry.position > 0);
+
+    resume.hidden = !canResume;
+    if (canResume) {
+      // Handled by the [data-seek] click handler below
+      resume.dataset.seek = entry.position;
+      resume.querySelector('[data-resume-label]').textContent = `Resume at ${formatTimestamp(entry.position)}`;
+    }
+    listened.hidden = !(entry && entry.listened);
+    updateListening(listening);
+  }
+
+  /**
+   * Hide a card's listening row when it has nothing to show
+   * @param {HTMLElement} listening - [data-listening] row
+   */
+  function updateListening(listening) {
+    listening.hidden = Array.from(listening.children).every((child) => child.hidden);
+  }
+
+  /**
+   * Save a mix's position as it plays (with consent)
+   * @param {HTMLElement} wrapper - .mix-player__media-wrapper
+   * @param {object} widget - Mixcloud PlayerWidget
+   */
+  function rememberPosition(wrapper, widget) {
+    const player = wrapper.closest('.mix-player');
+    if (!player || !player.dataset.mixKey) return;
+
+    const key = player.dataset.mixKey;
+    let lastSaved = null;
+
+    function save(position, duration, finished) {
+      if (!canRemember()) return;
+
+      const entries = readListening();
+      entries[key] = recordPosition(entries[key], { position, duration, finished, now: Date.now() }, {
+        title: player.dataset.mixTitle,
+        url: player.dataset.mixUrl,
+        image: player.dataset.mixImage
       });
+      writeListening(entries);
+      showListening(player, entries[key]);
+    }
+
+    widget.events.progress.on((position, duration) => {
+      const action = progressAction(position, duration, lastSaved);
 
-      // Store original HTML before replacing
-      const originalHTML = wrapper.innerHTML;
+      if (action === 'finished') {
+        lastSaved = 'finished';
+        save(position, duration, true);
+      } else if (action === 'save') {
+        lastSaved = position;
+        save(position, duration, false);
+      }
+    });
 
-      // Add loading state
-      wrapper.classList.add('loading');
+    widget.events.ended.on(() => {
+      save(0, 0, true);
+      lastSaved = 'finished';
+    });
+  }
 
-      const iframe = document.createElement('iframe');
-      const src = wrapper.dataset.src;
+  /**
+   * Fill the home page's "Continue listening" strip
+   * @param {object} entries - Saved positions
+   */
+  function renderContinueListening(entries) {
+    const section = document.querySelector('[data-continue-listening]');
+    if (!section) return;
 
-      // Add autoplay parameter to the URL
-      const autoplaySrc = src + (src.includes('?') ? '&' : '?') + 'autoplay=1';
+    const unfinished = continueListening(entries);
 
-      // Set iframe attributes
-      iframe.className = 'mix-player__iframe';
-      iframe.width = '100%';
-      iframe.height = '640';
-      iframe.src = autoplaySrc;
-      iframe.frameBorder = '0';
-      iframe.allow = 'autoplay; encrypted-media';
-      iframe.title = wrapper.dataset.title || 'Mixcloud player';
-      iframe.setAttribute('aria-label', wrapper.dataset.ariaLabel || 'Audio player');
+    section.hidden = unfinished.length === 0;
 
-      // Remove loading state when iframe loads
-      iframe.addEventListener('load', () => {
-        wrapper.classList.remove('loading');
+    section.querySelector('[data-continue-list]').replaceChildren(...unfinished.map((entry) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'continue-listening__item';
+      // The mix page picks up where the listener left off
+      link.href = `${entry.url}?t=${entry.position}`;
+
+      if (entry.image) {
+        const image = document.createElement('img');
+        image.className = 'continue-listening__image';
+        image.src = entry.image;
+        image.alt = '';
+        image.width = 56;
+        image.height = 56;
+        image.loading = 'lazy';
+        link.appendChild(image);
+      }
+
+      const body = document.createElement('span');
+      body.className = 'continue-listening__body';
+
+      const title = document.createElement('span');
+      title.className = 'continue-listening__title';
+      title.textContent = entry.title;
+
+      const meta = document.createElement('span');
+      meta.className = 'continue-listening__meta';
+      meta.textContent = entry.duration
+        ? `Resume at ${formatTimestamp(entry.position)} of ${formatTimestamp(entry.duration)}`
+        : `Resume at ${formatTimestamp(entry.position)}`;
+
+      body.append(title, meta);
+
+      if (entry.duration) {
+        const progress = document.createElement('progress');
+        progress.className = 'continue-listening__progress';
+        progress.max = entry.duration;
+        progress.value = entry.position;
+        progress.setAttribute('aria-label', `${Math.round((entry.position / entry.duration) * 100)}% listened`);
+        body.appendChild(progress);
+      }
+
+      link.appendChild(body);
+      item.appendChild(link);
+      return item;
+    }));
+  }
+
+  /**
+   * Tell screen reader users what continuous play is doing
+   */
+  function announceContinuous(message) {
+    const status = continuousPlay && continuousPlay.querySelector('[data-continuous-status]');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Whether a card is shown (a filtered-out card is skipped)
+   */
+  function isVisible(player) {
+    return player.getClientRects().length > 0;
+  }
+
+  /**
+   * Start the next card when a mix ends, if continuous play is on
+   * @param {HTMLElement} wrapper - .mix-player__media-wrapper that ended
+   */
+  function playNext(wrapper) {
+    const current = wrapper.closest('.mix-player');
+    if (!continuous.enabled || !current || !continuousGrid || !continuousGrid.contains(current)) return;
+
+    const next = pickNext({
+      order: continuous.order,
+      cards: Array.from(continuousGrid.querySelectorAll('.mix-player')),
+      current,
+      queue: continuous.queue,
+      played: continuous.played,
+      isVisible
+    });
+    const nextWrapper = next && next.querySelector('.mix-player__media-wrapper[data-src]');
+
+    if (!nextWrapper) {
+      announceContinuous(continuous.order === 'queue'
+        ? 'Your queue has finished.'
+        : `That was the last mix${'continuousPageLimited' in continuousPlay.dataset ? ' on this page' : ''}. Continuous play has stopped.`);
+      return;
+    }
+
+    // Only take focus from the card that finished, never from elsewhere
+    const followFocus = document.activeElement === document.body || current.contains(document.activeElement);
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    // Loads the player (which autoplays) and listens for its end in turn
+    getWidget(nextWrapper).catch((error) => {
+      console.warn('Could not follow the player:', error);
+    });
+
+    next.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'start' });
+    if (followFocus) {
+      const title = next.querySelector('.mix-player__title a');
+      if (title) title.focus({ preventScroll: true });
+    }
+
+    announceContinuous(`Now playing ${next.dataset.mixTitle}`);
+  }
+
+  /**
+   * Show the queue and each card's queue button state
+   */
+  function renderQueue() {
+    if (!continuousPlay) return;
+
+    const queue = continuousPlay.querySelector('[data-queue]');
+    queue.hidden = continuous.queue.length === 0;
+
+    queue.querySelector('[data-queue-list]').replaceChildren(...continuous.queue.map((player, index) => {
+      const item = document.createElement('li');
+      item.className = 'continuous-play__queue-item';
+
+      const title = document.createElement('span');
+      title.className = 'continuous-play__queue-name';
+      title.textContent = player.dataset.mixTitle;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'continuous-play__remove';
+      remove.dataset.queueRemove = index;
+      remove.setAttribute('aria-label', `Remove ${player.dataset.mixTitle} from the queue`);
+      remove.textContent = '×';
+
+      item.append(title, remove);
+      return item;
+    }));
+
+    continuousGrid.querySelectorAll('[data-queue-toggle]').forEach((button) => {
+      const queued = continuous.queue.includes(button.closest('.mix-player'));
+      button.classList.toggle('mix-player__queue--queued', queued);
+      button.querySelector('[data-queue-label]').textContent = queued ? 'Remove from queue' : 'Add to queue';
+    });
+  }
+
+  /**
+   * Add a card to the queue, or take it off
+   * @param {HTMLElement} player - .mix-player card
+   */
+  function toggleQueued(player) {
+    const queued = continuous.queue.includes(player);
+
+    continuous.queue = toggleQueue(continuous.queue, player);
+    renderQueue();
+
+    announceContinuous(queued
+      ? `Removed ${player.dataset.mixTitle} from the queue`
+      : `Added ${player.dataset.mixTitle} to the queue, position ${continuous.queue.length}`);
+  }
+
+  /**
+   * Turn continuous play on or off
+   * @param {boolean} enabled
+   */
+  function setContinuous(enabled) {
+    continuous.enabled = enabled;
+
+    const toggle = continuousPlay.querySelector('[data-continuous-toggle]');
+    toggle.setAttribute('aria-pressed', String(enabled));
+    toggle.querySelector('[data-continuous-state]').textContent = enabled ? 'On' : 'Off';
+
+    // A mix already playing needs the widget API to say when it ends
+    if (enabled) {
+      activeIframes.forEach((originalHTML, wrapper) => {
+        getWidget(wrapper).catch((error) => {
+          console.warn('Could not follow the player:', error);
+        });
       });
+    }
+  }
 
-      // Replace cover with iframe in a container
-      const widgetContainer = document.createElement('div');
-      widgetContainer.className = 'widget-container';
-      widgetContainer.appendChild(iframe);
+  function attachClickHandler(wrapper) {
+    const playButton = wrapper.querySelector('.mix-player__play-overlay');
+    if (!playButton) return;
 
-      wrapper.innerHTML = '';
-      wrapper.classList.add('player-loaded');
-      wrapper.appendChild(widgetContainer);
+    playButton.addEventListener('click', () => {
+      loadPlayer(wrapper);
 
-      // Store wrapper and its original HTML in active iframes map
-      activeIframes.set(wrapper, originalHTML);
+      // The widget API is only needed to follow a timed tracklist, to
+      // save the position or to play on when the mix ends
+      const player = wrapper.closest('.mix-player');
+      if (player && (continuous.enabled || canRemember() || player.querySelector('.mix-player__tracklist-item--seekable'))) {
+        getWidget(wrapper).catch((error) => {
+          console.warn('Could not follow the player:', error);
+        });
+      }
     });
   }
 
@@ -72,4 +713,94 @@ document.addEventListener('DOMContentLoaded', () => {
   lazyPlayers.forEach((wrapper) => {
     attachClickHandler(wrapper);
   });
+
+  // Saved positions: resume buttons on cards and the home page strip
+  const listening = readListening();
+  document.querySelectorAll('.mix-player[data-mix-key]').forEach((player) => {
+    showListening(player, listening[player.dataset.mixKey]);
+  });
+  renderContinueListening(listening);
+
+  // Continuous play controls and the cards' queue buttons
+  if (continuousPlay && continuousGrid) {
+    continuousPlay.hidden = false;
+
+    continuousPlay.querySelector('[data-continuous-toggle]').addEventListener('click', () => {
+      setContinuous(!continuous.enabled);
+    });
+
+    const order = continuousPlay.querySelector('[data-continuous-order]');
+    continuous.order = order.value; // The browser may restore a choice
+    order.addEventListener('change', () => {
+      continuous.order = order.value;
+    });
+
+    continuousPlay.querySelector('[data-queue-clear]').addEventListener('click', () => {
+      continuous.queue = [];
+      renderQueue();
+      announceContinuous('Queue cleared');
+    });
+
+    const queueList = continuousPlay.querySelector('[data-queue-list]');
+    queueList.addEventListener('click', (event) => {
+      const remove = event.target.closest('[data-queue-remove]');
+      if (!remove) return;
+
+      const index = Number(remove.dataset.queueRemove);
+      toggleQueued(continuous.queue[index]);
+
+      // Keep focus in the queue rather than losing it with the button
+      const buttons = queueList.querySelectorAll('[data-queue-remove]');
+      const target = buttons[index] || buttons[index - 1] || continuousPlay.querySelector('[data-continuous-toggle]');
+      target.focus();
+    });
+
+    continuousGrid.querySelectorAll('[data-queue-toggle]').forEach((button) => {
+      button.hidden = false;
+      updateListening(button.closest('[data-listening]'));
+      button.addEventListener('click', () => toggleQueued(button.closest('.mix-player')));
+    });
+  }
+
+  // Timed tracklist entries: the time button, or anywhere on the row
+  // except the artist link
+  document.addEventListener('click', (event) => {
+    if (event.target.closest('a')) return;
+
+    const copy = event.target.closest('[data-copy-link]');
+    if (copy) {
+      copyTrackLink(copy);
+      return;
+    }
+
+    const row = event.target.closest('.mix-player__tracklist-item--seekable');
+    const button = event.target.closest('[data-seek]') || (row && row.querySelector('[data-seek]'));
+    if (!button) return;
+
+    const player = button.closest('.mix-player');
+    const wrapper = player && player.querySelector('.mix-player__media-wrapper[data-src]');
+    if (!wrapper) return;
+
+    const seconds = Number(button.dataset.seek);
+
+    // The listener has picked where to play from, over any linked time
+    clearLinkedTime();
+
+    // A resume button has done its job once the player takes over
+    if (button.matches('[data-resume]')) {
+      button.hidden = true;
+      updateListening(button.closest('[data-listening]'));
+    }
+
+    getWidget(wrapper)
+      .then((widget) => seekTo(widget, seconds))
+      .catch((error) => {
+        // The player still loads; it just starts from the beginning
+        console.warn('Could not jump to track:', error);
+      });
+  });
+
+  // Links to a moment in a mix: on load, and when only the #t= changes
+  jumpToLinkedTime();
+  window.addEventListener('hashchange', jumpToLinkedTime);
 });
@@ -0,0 +1,270 @@
+/**
+ * Library Filter - filter and sort a library's mix grid
+ *
+ * Enhances the library-toolbar.njk form above a mix grid: filters the
+ * cards by tag, length and whether they have a tracklist, and sorts
+ * them, using the data attributes on each .mix-player card. The choices
+ * live in the query string (?tag=afrobeat&length=long&tracklist=1&sort=newest)
+ * so a filtered view can be shared; other parameters (like ?s= or ?t=)
+ * are left alone. Without JavaScript the toolbar stays hidden and the
+ * full server-rendered list is shown.
+ *
+ * A paginated library only has one page of cards, so there the toolbar
+ * filters the library's manifest (data-library-manifest, built by
+ * src/_lib/pagination.js) and lists every match in place of the grid
+ * and pager.
+ */
+
+import { renderMix } from './mix-list.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const toolbar = document.querySelector('[data-library-toolbar]');
+  if (!toolbar) return;
+
+  // The grid is the toolbar's next sibling grid (continuous play may sit between)
+  let grid = toolbar.nextElementSibling;
+  while (grid && !grid.matches('.grid')) {
+    grid = grid.nextElementSibling;
+  }
+  if (!grid) return;
+
+  const pager = grid.nextElementSibling && grid.nextElementSibling.matches('.pager')
+    ? grid.nextElementSibling
+    : null;
+  const results = document.querySelector('[data-library-results]');
+  const manifestUrl = results ? toolbar.dataset.libraryManifest : null;
+
+  const FILTERS = ['tag', 'length', 'tracklist', 'sort'];
+
+  // Length bands, in seconds
+  const LENGTHS = {
+    short: (duration) => duration > 0 && duration < 3600,
+    medium: (duration) => duration >= 3600 && duration <= 7200,
+    long: (duration) => duration > 7200
+  };
+
+  // Each compares two mixes' data; library order is the fallback
+  const SORTS = {
+    newest: (a, b) => b.date.localeCompare(a.date),
+    oldest: (a, b) => (a.date || '\uffff').localeCompare(b.date || '\uffff'),
+    longest: (a, b) => b.duration - a.duration,
+    popular: (a, b) => b.plays - a.plays
+  };
+
+  const status = toolbar.querySelector('[data-library-status]');
+
+  // The library's mixes from its manifest, loaded on first use (see loadLibrary)
+  let library = null;
+
+  // Counts calls to apply(), so a manifest that arrives late is ignored
+  let applied = 0;
+
+  // One entry per grid item, in library (server-rendered) order
+  const items = Array.from(grid.children).map((element, index) => {
+    const player = element.querySelector('.mix-player') || element;
+    return {
+      element,
+      index,
+      date: player.dataset.mixDate || '',
+      duration: Number(player.dataset.mixDuration) || 0,
+      plays: Number(player.dataset.mixPlays) || 0,
+      tags: (player.dataset.mixTags || '').split(/\s+/).filter(Boolean),
+      hasTracklist: player.dataset.mixTracklist === 'true'
+    };
+  });
+
+  /**
+   * Read the toolbar's current choices
+   * @returns {{ tag: string, length: string, tracklist: boolean, sort: string }}
+   */
+  function readForm() {
+    const data = new FormData(toolbar);
+    return {
+      tag: data.get('tag') || '',
+      length: data.get('length') || '',
+      tracklist: data.get('tracklist') === '1',
+      sort: data.get('sort') || ''
+    };
+  }
+
+  /**
+   * Set the toolbar from the query string, ignoring values it doesn't offer
+   */
+  function readQuery() {
+    const params = new URLSearchParams(window.location.search);
+
+    for (const name of ['tag', 'length', 'sort']) {
+      const select = toolbar.elements[name];
+      const value = params.get(name) || '';
+      if (select && Array.from(select.options).some((option) => option.value === value)) {
+        select.value = value;
+      }
+    }
+
+    toolbar.elements.tracklist.checked = params.get('tracklist') === '1';
+  }
+
+  /**
+   * Keep the choices in the query string, without adding history entries
+   */
+  function writeQuery(state) {
+    const url = new URL(window.location.href);
+    FILTERS.forEach((name) => url.searchParams.delete(name));
+
+    if (state.tag) url.searchParams.set('tag', state.tag);
+    if (state.length) url.searchParams.set('length', state.length);
+    if (state.tracklist) url.searchParams.set('tracklist', '1');
+    if (state.sort) url.searchParams.set('sort', state.sort);
+
+    history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * Load every mix in a paginated library from its manifest, once
+   * @returns {Promise<Array<object>>} Entries shaped like the card entries, in library order
+   */
+  function loadLibrary() {
+    if (!library) {
+      library = fetch(manifestUrl)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then((data) => data.mixes.map((mix, index) => ({
+          mix,
+          index,
+          date: mix.date || '',
+          duration: mix.duration || 0,
+          plays: mix.plays || 0,
+          tags: mix.tags || [],
+          hasTracklist: mix.tracklist === true
+        })));
+
+      // Try again next time
+      library.catch(() => {
+        library = null;
+      });
+    }
+    return library;
+  }
+
+  /**
+   * Filter and sort entries to match the toolbar
+   * @param {Array<object>} entries - Card or manifest entries
+   * @param {object} state - From readForm()
+   * @returns {{ sorted: Array<object>, matching: Array<object> }}
+   */
+  function select(entries, state) {
+    const matches = (item) =>
+      (!state.tag || item.tags.includes(state.tag))
+      && (!state.length || LENGTHS[state.length](item.duration))
+      && (!state.tracklist || item.hasTracklist);
+
+    const sorted = [...entries].sort((a, b) =>
+      (SORTS[state.sort] ? SORTS[state.sort](a, b) : 0) || a.index - b.index
+    );
+
+    return { sorted, matching: sorted.filter(matches) };
+  }
+
+  /**
+   * Describe the result in the status line
+   * @param {object} state - From readForm()
+   * @param {number} shown - Mixes matching the filters
+   * @param {number} total - Mixes filtered
+   * @param {string} [note] - Added at the end
+   */
+  function showStatus(state, shown, total, note) {
+    const messages = [];
+    if (state.tag || state.length || state.tracklist) {
+      messages.push(shown > 0
+        ? `Showing ${shown} of ${total} mixes`
+        : 'No mixes match these filters. Clear them to see every mix');
+    }
+    if (state.sort) {
+      messages.push(`Sorted by ${toolbar.elements.sort.selectedOptions[0].textContent.toLowerCase()}`);
+    }
+    if (note) {
+      messages.push(note);
+    }
+    status.textContent = messages.map((message) => `${message}.`).join(' ');
+  }
+
+  /**
+   * Filter and sort this page's cards
+   * @param {object} state - From readForm()
+   * @param {string} [note] - Added to the status line
+   */
+  function showPage(state, note) {
+    const { sorted, matching } = select(items, state);
+
+    sorted.forEach((item) => {
+      item.element.hidden = !matching.includes(item);
+    });
+
+    // Moving a card reloads a loaded player, so only move them when the order changes
+    if (sorted.some((item, index) => grid.children[index] !== item.element)) {
+      grid.append(...sorted.map((item) => item.element));
+    }
+
+    if (results) {
+      results.hidden = true;
+      results.replaceChildren();
+      grid.hidden = false;
+      if (pager) pager.hidden = false;
+    }
+
+    showStatus(state, matching.length, items.length, note);
+  }
+
+  /**
+   * List the whole library's matches in place of the grid and pager
+   * @param {Array<object>} entries - From loadLibrary()
+   * @param {object} state - From readForm()
+   */
+  function showLibrary(entries, state) {
+    const { matching } = select(entries, state);
+
+    results.replaceChildren(...matching.map((item) => renderMix(item.mix, 'library-results')));
+    results.hidden = matching.length === 0;
+    grid.hidden = true;
+    if (pager) pager.hidden = true;
+
+    showStatus(state, matching.length, entries.length);
+  }
+
+  /**
+   * Filter and sort to match the toolbar
+   */
+  function apply() {
+    const state = readForm();
+    const run = ++applied;
+
+    writeQuery(state);
+
+    if (!manifestUrl || !(state.tag || state.length || state.tracklist || state.sort)) {
+      showPage(state);
+      return;
+    }
+
+    status.textContent = 'Loading the whole library…';
+
+    loadLibrary()
+      .then((entries) => {
+        if (run === applied) showLibrary(entries, state);
+      })
+      .catch((error) => {
+        console.warn('Could not load the library:', error);
+        if (run === applied) showPage(state, 'Only this page could be filtered; please try again later');
+      });
+  }
+
+  readQuery();
+  toolbar.hidden = false;
+  apply();
+
+  toolbar.addEventListener('change', apply);
+  toolbar.addEventListener('submit', (event) => event.preventDefault());
+  // The form resets after this event, so apply once it has
+  toolbar.addEventListener('reset', () => setTimeout(apply));
+});
@@ -0,0 +1,127 @@
+/**
+ * Listening - the decisions behind lazy-player.js
+ *
+ * When a playing mix's position is worth saving, what a saved entry
+ * holds, which mixes the home page offers to continue, which card
+ * continuous play starts next, and where a link into a mix puts its
+ * time. Kept free of the DOM and the widget so test/listening.test.js
+ * can cover them; lazy-player.js wires them to both.
+ */
+
+export const MIN_POSITION = 30; // Not worth resuming before this (seconds)
+export const SAVE_EVERY = 5; // Seconds of playback between saves
+export const FINISHED_MARGIN = 60; // This close to the end counts as listened
+export const MAX_CONTINUE = 6; // Mixes in "Continue listening"
+
+/**
+ * What to do with a progress report from the widget
+ * @param {number} position - Seconds played
+ * @param {number} duration - Length of the mix, if the widget knows it
+ * @param {number|string|null} lastSaved - Position saved last, 'finished' or null
+ * @returns {'finished'|'save'|null} Save as listened, save the position, or nothing
+ */
+export function progressAction(position, duration, lastSaved) {
+  if (position < MIN_POSITION) return null;
+
+  if (duration && position >= duration - FINISHED_MARGIN) {
+    return lastSaved === 'finished' ? null : 'finished';
+  }
+
+  const due = lastSaved === null || lastSaved === 'finished' || Math.abs(position - lastSaved) >= SAVE_EVERY;
+  return due ? 'save' : null;
+}
+
+/**
+ * The saved entry for a mix after a save
+ * @param {object} [previous] - Its entry so far
+ * @param {object} progress
+ * @param {number} progress.position - Seconds played
+ * @param {number} progress.duration - Length of the mix (0 if unknown)
+ * @param {boolean} progress.finished - Whether it has been listened to the end
+ * @param {number} progress.now - Date.now()
+ * @param {object} mix - { title, url, image } from the card
+ * @returns {object} { position, duration, listened, updated, title, url, image }
+ */
+export function recordPosition(previous, { position, duration, finished, now }, mix) {
+  const before = previous || {};
+  return {
+    position: finished ? 0 : Math.floor(position),
+    duration: Math.floor(duration || before.duration || 0),
+    listened: finished || Boolean(before.listened),
+    updated: now,
+    title: mix.title,
+    url: mix.url,
+    image: mix.image
+  };
+}
+
+/**
+ * Unfinished mixes for "Continue listening", most recently played first
+ * @param {object} entries - Saved positions
+ * @param {number} [max]
+ * @returns {Array<object>}
+ */
+export function continueListening(entries, max = MAX_CONTINUE) {
+  return Object.values(entries)
+    .filter((entry) => entry.position > 0 && entry.url && entry.title)
+    .sort((a, b) => b.updated - a.updated)
+    .slice(0, max);
+}
+
+/**
+ * Choose the card continuous play starts after one has ended
+ * @param {object} options
+ * @param {string} options.order - 'next', 'shuffle' or 'queue'
+ * @param {Array} options.cards - Every card in the grid, in page order
+ * @param {*} options.current - The card that ended
+ * @param {Array} options.queue - Queued cards, in playing order
+ * @param {Set} options.played - Cards started this visit
+ * @param {Function} options.isVisible - Whether a card is shown (not filtered out)
+ * @param {Function} [options.random] - Math.random, or a stand-in
+ * @returns {*} The card, or null when there is none
+ */
+export function pickNext({ order, cards, current, queue, played, isVisible, random = Math.random }) {
+  if (order === 'queue') {
+    return queue.find(isVisible) || null;
+  }
+
+  if (order === 'shuffle') {
+    const unplayed = cards.filter((card) => isVisible(card) && !played.has(card));
+    return unplayed.length > 0 ? unplayed[Math.floor(random() * unplayed.length)] : null;
+  }
+
+  // The next card on the page, even if the one that ended has since been hidden
+  return cards.slice(cards.indexOf(current) + 1).find(isVisible) || null;
+}
+
+/**
+ * Add a card to the end of the queue, or take it off
+ * @param {Array} queue
+ * @param {*} card
+ * @returns {Array} The new queue
+ */
+export function toggleQueued(queue, card) {
+  return queue.includes(card)
+    ? queue.filter((queued) => queued !== card)
+    : [...queue, card];
+}
+
+/**
+ * The time a link into a mix carries, from #t= or else ?t=
+ * @param {{ hash: string, search: string }} location
+ * @returns {string|null} For parseLinkTime() in timestamps.js
+ */
+export function linkTimeParam(location) {
+  const hash = new URLSearchParams(location.hash.slice(1)).get('t');
+  return hash !== null ? hash : new URLSearchParams(location.search).get('t');
+}
+
+/**
+ * The slug of the mix page at a path
+ * @param {string} pathname - e.g. "/mixes/go-on/"
+ * @returns {string|null}
+ */
+export function mixPageSlug(pathname) {
+  const match = pathname.match(/^\/mixes\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
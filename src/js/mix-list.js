@@ -0,0 +1,81 @@
+/**
+ * Mix List - compact rows for mixes from a build-time manifest
+ *
+ * Shared by crate.js (the /crate/ page) and library-filter.js (the
+ * results of filtering a paginated library). Each passes the block
+ * class that styles its rows: .crate__item or .library-results__item.
+ */
+
+/**
+ * Format seconds as "1h 12m" (or "45m"), as on the mix cards
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Date, length and libraries of a mix, as shown under its title
+ * @param {object} mix - Manifest entry
+ * @returns {string} e.g. "May 1, 2023 · 1h 2m · The Afro Groove Library"
+ */
+export function describeMix(mix) {
+  return [
+    mix.date && new Date(mix.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }),
+    mix.duration && formatDuration(mix.duration),
+    (mix.libraries || []).join(', ')
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Build one list item
+ * @param {object} mix - Manifest entry
+ * @param {string} block - Block class, e.g. "crate"
+ * @param {boolean} [removable] - Whether to offer a remove button ([data-crate-remove])
+ * @returns {HTMLLIElement}
+ */
+export function renderMix(mix, block, removable = false) {
+  const item = document.createElement('li');
+  item.className = `${block}__item`;
+
+  if (mix.image) {
+    const image = document.createElement('img');
+    image.className = `${block}__image`;
+    image.src = mix.image;
+    image.alt = '';
+    image.width = 64;
+    image.height = 64;
+    image.loading = 'lazy';
+    item.appendChild(image);
+  }
+
+  const body = document.createElement('div');
+  body.className = `${block}__body`;
+
+  const title = document.createElement('a');
+  title.className = `${block}__title`;
+  title.href = mix.url;
+  title.textContent = mix.title;
+
+  const meta = document.createElement('p');
+  meta.className = `${block}__meta`;
+  meta.textContent = describeMix(mix);
+
+  body.append(title, meta);
+  item.appendChild(body);
+
+  if (removable) {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = `${block}__remove`;
+    remove.dataset.crateRemove = mix.slug;
+    remove.setAttribute('aria-label', `Remove ${mix.title} from your crate`);
+    remove.textContent = '×';
+    item.appendChild(remove);
+  }
+
+  return item;
+}
@@ -0,0 +1,135 @@
+/**
+ * Preferences Storage - what the site keeps in this browser
+ *
+ * Listening positions (lazy-player.js) and the crate (crate.js) live in
+ * localStorage, and only with the visitor's consent to preferences
+ * storage (the consent manager in base.njk). Reading never changes
+ * storage: without consent, reads just come back empty. Both are deleted
+ * when the visitor makes a choice without preferences, which the consent
+ * manager announces with a CONSENT_EVENT on window.
+ */
+
+export const LISTENING_KEY = 'groovelibrary_listening';
+export const CRATE_KEY = 'groovelibrary_crate';
+export const CONSENT_EVENT = 'groovelibrary:consent';
+
+export const SLUG_PATTERN = /^[\w-]+$/;
+const MAX_REMEMBERED = 50; // Listening positions kept, most recently played first
+
+/**
+ * Whether a consent record allows preferences storage
+ * @param {object|null} consent - From the consent manager's getConsent()
+ * @returns {boolean}
+ */
+export function allowsPreferences(consent) {
+  return Boolean(consent && consent.preferences);
+}
+
+/**
+ * Whether the visitor allows preferences storage
+ * @returns {boolean}
+ */
+export function canRemember() {
+  const manager = typeof window !== 'undefined' && window.__cookieConsent;
+  return allowsPreferences(manager && manager.getConsent());
+}
+
+function readJson(key, storage) {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (error) {
+    console.warn(`Error reading ${key}:`, error);
+    return null;
+  }
+}
+
+function writeJson(key, value, storage) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Error saving ${key}:`, error);
+  }
+}
+
+/**
+ * Saved mix slugs from stored JSON, dropping anything that isn't a slug
+ * @param {*} value - Parsed crate
+ * @returns {Array<string>} Most recently saved first
+ */
+export function parseCrate(value) {
+  return Array.isArray(value)
+    ? value.filter((slug) => typeof slug === 'string' && SLUG_PATTERN.test(slug))
+    : [];
+}
+
+/**
+ * Saved positions from stored JSON, dropping entries without a position
+ * @param {*} value - Parsed listening history
+ * @returns {object} { position, duration, listened, updated, title, url, image }, keyed by cloudcast key
+ */
+export function parseListening(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, entry]) => entry && Number.isFinite(entry.position)));
+}
+
+/**
+ * Keep the most recently played mixes
+ * @param {object} entries - Saved positions
+ * @param {number} [max]
+ * @returns {object}
+ */
+export function trimListening(entries, max = MAX_REMEMBERED) {
+  return Object.fromEntries(Object.entries(entries)
+    .sort((a, b) => (b[1].updated || 0) - (a[1].updated || 0))
+    .slice(0, max));
+}
+
+/**
+ * Saved mix slugs (nothing without consent)
+ * @param {Storage} [storage]
+ * @returns {Array<string>}
+ */
+export function readCrate(storage = localStorage) {
+  return canRemember() ? parseCrate(readJson(CRATE_KEY, storage)) : [];
+}
+
+export function writeCrate(slugs, storage = localStorage) {
+  writeJson(CRATE_KEY, slugs, storage);
+}
+
+/**
+ * Saved positions (nothing without consent)
+ * @param {Storage} [storage]
+ * @returns {object} Keyed by cloudcast key
+ */
+export function readListening(storage = localStorage) {
+  return canRemember() ? parseListening(readJson(LISTENING_KEY, storage)) : {};
+}
+
+export function writeListening(entries, storage = localStorage) {
+  writeJson(LISTENING_KEY, trimListening(entries), storage);
+}
+
+/**
+ * Delete the positions and crate if a new consent choice doesn't allow them
+ * @param {object|null} consent - The new choice (null once reset)
+ * @param {Storage} [storage]
+ * @returns {boolean} Whether anything was deleted
+ */
+export function applyConsent(consent, storage = localStorage) {
+  if (allowsPreferences(consent)) return false;
+
+  try {
+    storage.removeItem(LISTENING_KEY);
+    storage.removeItem(CRATE_KEY);
+  } catch (error) {
+    console.warn('Error clearing preferences:', error);
+  }
+  return true;
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener(CONSENT_EVENT, (event) => applyConsent(event.detail));
+}
@@ -0,0 +1,203 @@
+/**
+ * Site Search
+ *
+ * Search forms submit to /?s=<query> (the SearchAction URL in the
+ * WebSite JSON-LD). On the home page this script fetches the build-time
+ * index (/search-index.json), ranks the documents against the query and
+ * renders the results above the hero. Every term must match somewhere;
+ * matches in titles count for more than matches in tracklists.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const INDEX_URL = '/search-index.json';
+  const MAX_RESULTS = 50;
+  const MAX_TRACKS_SHOWN = 3;
+
+  // How much a match in each field counts towards a result's score
+  const FIELD_WEIGHTS = {
+    title: 10,
+    artists: 6,
+    tags: 5,
+    libraries: 3,
+    tracks: 2,
+    description: 1
+  };
+
+  const TYPE_LABELS = {
+    mix: 'Mix',
+    artist: 'Artist',
+    tag: 'Tag',
+    library: 'Library'
+  };
+
+  const query = (new URLSearchParams(window.location.search).get('s') || '').trim();
+  const section = document.querySelector('[data-search-results]');
+
+  // Keep the query in every search field so it can be refined
+  if (query) {
+    document.querySelectorAll('input[name="s"]').forEach((input) => {
+      input.value = query;
+    });
+  }
+
+  if (!section || !query) return;
+
+  const status = section.querySelector('[data-search-status]');
+  const list = section.querySelector('[data-search-list]');
+
+  /**
+   * Lowercase and strip accents so "Música" matches "musica"
+   */
+  function normalise(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Score one field value against a term (0 = no match)
+   */
+  function scoreValue(value, term, weight) {
+    const text = normalise(value);
+    const index = text.indexOf(term);
+
+    if (index === -1) return 0;
+    // Matches at the start of a word count for more
+    return index === 0 || /\W/.test(text.charAt(index - 1)) ? weight * 1.5 : weight;
+  }
+
+  /**
+   * Score a document against every term; all terms must match
+   */
+  function scoreDocument(doc, terms, phrase) {
+    let score = 0;
+
+    for (const term of terms) {
+      let best = 0;
+
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const values = Array.isArray(doc[field]) ? doc[field] : [doc[field]];
+
+        values.forEach((value) => {
+          if (value) best = Math.max(best, scoreValue(value, term, weight));
+        });
+      }
+
+      if (best === 0) return 0;
+      score += best;
+    }
+
+    // Whole query in the title
+    if (terms.length > 1 && normalise(doc.title).includes(phrase)) {
+      score += FIELD_WEIGHTS.title;
+    }
+
+    return score;
+  }
+
+  /**
+   * Tracks in a mix that match any of the terms
+   */
+  function matchingTracks(doc, terms) {
+    return (doc.tracks || [])
+      .filter((track) => terms.some((term) => normalise(track).includes(term)))
+      .slice(0, MAX_TRACKS_SHOWN);
+  }
+
+  /**
+   * Secondary line under a result title
+   */
+  function describe(doc) {
+    switch (doc.type) {
+      case 'mix':
+        return [
+          doc.date && new Date(doc.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }),
+          (doc.libraries || []).join(', ')
+        ].filter(Boolean).join(' · ');
+      case 'artist':
+        return `${doc.count} ${doc.count === 1 ? 'track' : 'tracks'} in the tracklists`;
+      case 'tag':
+        return `${doc.count} ${doc.count === 1 ? 'mix' : 'mixes'}`;
+      default:
+        return doc.description || '';
+    }
+  }
+
+  function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  function renderResult(doc, terms) {
+    const item = createElement('li', 'search-result');
+
+    if (doc.image) {
+      const image = createElement('img', 'search-result__image');
+      image.src = doc.image;
+      image.alt = '';
+      image.width = 64;
+      image.height = 64;
+      image.loading = 'lazy';
+      item.appendChild(image);
+    }
+
+    const body = createElement('div', 'search-result__body');
+    body.appendChild(createElement('span', 'search-result__type', TYPE_LABELS[doc.type] || doc.type));
+
+    const title = createElement('h3', 'search-result__title');
+    const link = createElement('a', null, doc.title);
+    link.href = doc.url;
+    title.appendChild(link);
+    body.appendChild(title);
+
+    const meta = describe(doc);
+    if (meta) {
+      body.appendChild(createElement('p', 'search-result__meta', meta));
+    }
+
+    const tracks = matchingTracks(doc, terms);
+    if (tracks.length > 0) {
+      const trackList = createElement('ul', 'search-result__tracks');
+      tracks.forEach((track) => trackList.appendChild(createElement('li', null, track)));
+      body.appendChild(trackList);
+    }
+
+    item.appendChild(body);
+    return item;
+  }
+
+  function search(index) {
+    const phrase = normalise(query);
+    const terms = phrase.split(/\s+/).filter(Boolean);
+
+    const results = index.docs
+      .map((doc) => ({ doc, score: scoreDocument(doc, terms, phrase) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS);
+
+    list.replaceChildren(...results.map((result) => renderResult(result.doc, terms)));
+
+    status.textContent = results.length === 0
+      ? `No results for “${query}”. Try an artist, a tag or a mix title.`
+      : `${results.length === MAX_RESULTS ? 'Top ' : ''}${results.length} ${results.length === 1 ? 'result' : 'results'} for “${query}”`;
+  }
+
+  section.hidden = false;
+  document.title = `Search: ${query} | The Groove Library`;
+  status.textContent = `Searching for “${query}”…`;
+
+  fetch(INDEX_URL)
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(search)
+    .catch((error) => {
+      console.warn('Search index could not be loaded:', error);
+      status.textContent = 'Search is unavailable right now. Please try again later.';
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Mix Permalink Pages
+ *
+ * Paginates over every mix in every library (deduplicated) to build
+ * /mixes/<cloudcast-slug>/, with per-mix title, description and JSON-LD.
+ */
+
+import { collectMixes, getMixUrl } from '../_lib/mixes.js';
+import structuredData from '../_data/structuredData.js';
+import helpers from '../_data/helpers.js';
+import { summariseDescription } from '../_lib/description.js';
+import { getMixImageUrl } from '../_lib/artwork.js';
+
+const SITE_URL = 'https://thegroovelibrary.net';
+
+/**
+ * Build a plain-text page description for a mix
+ * @param {object} mix - Mix with `libraries`
+ * @returns {string}
+ */
+function describeMix(mix) {
+  const parts = [`${mix.name}: a ${helpers.formatDuration(mix.audio_length || 0)} mix`];
+
+  if (mix.libraries.length > 0) {
+    parts.push(`from ${mix.libraries.map(library => library.title).join(' and ')}`);
+  }
+
+  const artists = [...new Set(
+    (mix.sections || [])
+      .map(section => section.track?.artist)
+      .filter(Boolean)
+  )];
+
+  let description = parts.join(' ');
+  if (artists.length > 0) {
+    description += `, featuring ${artists.slice(0, 4).join(', ')}${artists.length > 4 ? ' and more' : ''}`;
+  }
+
+  return `${description}.`;
+}
+
+export default {
+  layout: 'base.njk',
+  pagination: {
+    data: 'libraries',
+    resolve: 'values',
+    size: 1,
+    alias: 'mix',
+    addAllPagesToCollections: true,
+    before: libraries => collectMixes(libraries)
+  },
+  permalink: data => getMixUrl(data.mix),
+  eleventyComputed: {
+    title: data => data.mix.name,
+    // The description written on Mixcloud, when the mix has one
+    description: data => summariseDescription(data.mix.description, 160) || describeMix(data.mix),
+    ogImage: data => getMixImageUrl(data.mix, SITE_URL),
+    breadcrumbs: data => [
+      { name: 'Home', url: '/' },
+      // The Groove Library lives at the home page, so skip it as a middle crumb
+      ...data.mix.libraries
+        .filter(library => library.url !== '/')
+        .slice(0, 1)
+        .map(library => ({ name: library.title, url: library.url })),
+      { name: data.mix.name, url: getMixUrl(data.mix) }
+    ],
+    structuredData: data => structuredData.getSchemasForPage({
+      pageType: 'mix',
+      pageUrl: `${SITE_URL}${getMixUrl(data.mix)}`,
+      breadcrumbs: data.breadcrumbs,
+      mixData: data.mix
+    })
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Tag Pages
+ *
+ * Paginates over every Mixcloud tag used across the libraries to build
+ * /tags/<tag>/, listing every mix with that tag.
+ */
+
+import { collectMixes } from '../_lib/mixes.js';
+import { collectTags, getTagUrl } from '../_lib/tags.js';
+import structuredData from '../_data/structuredData.js';
+
+const SITE_URL = 'https://thegroovelibrary.net';
+
+export default {
+  layout: 'base.njk',
+  pagination: {
+    data: 'libraries',
+    resolve: 'values',
+    size: 1,
+    alias: 'tag',
+    addAllPagesToCollections: true,
+    before: libraries => collectTags(collectMixes(libraries))
+  },
+  permalink: data => getTagUrl(data.tag),
+  eleventyComputed: {
+    title: data => `${data.tag.name} Mixes | The Groove Library`,
+    description: data => `${data.tag.count} ${data.tag.count === 1 ? 'mix' : 'mixes'} tagged ${data.tag.name} across The Groove Library collections.`,
+    breadcrumbs: data => [
+      { name: 'Home', url: '/' },
+      { name: 'Tags', url: '/tags/' },
+      { name: data.tag.name, url: getTagUrl(data.tag) }
+    ],
+    structuredData: data => structuredData.getSchemasForPage({
+      pageType: 'playlist',
+      pageUrl: `${SITE_URL}${getTagUrl(data.tag)}`,
+      breadcrumbs: data.breadcrumbs,
+      playlistData: {
+        name: `${data.tag.name} Mixes`,
+        description: data.description,
+        cloudcasts: data.tag.mixes
+      }
+    })
+  }
+};
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import { startFakeApi, silenceConsole } from './setup.js';
+
+const fake = await startFakeApi({ pageSize: 2 });
+silenceConsole();
+
+const {
+  fetchAllCloudcasts,
+  fetchUserProfile,
+  fetchAccount
+} = await import('../src/_lib/account.js');
+const { resetRequests } = await import('../src/_lib/api.js');
+
+beforeEach(() => {
+  fake.reset();
+  resetRequests();
+});
+
+describe('fetchAllCloudcasts', () => {
+  it('fetches every upload, 100 per page', async () => {
+    const cloudcasts = await fetchAllCloudcasts('legendarymusic');
+
+    assert.equal(cloudcasts.length, 7);
+    assert.equal(cloudcasts[0].slug, 'sunday-session-test-upload', 'newest first');
+    assert.deepEqual(fake.requests, ['/legendarymusic/cloudcasts/?limit=100']);
+  });
+});
+
+describe('fetchUserProfile', () => {
+  it('returns the profile', async () => {
+    const profile = await fetchUserProfile('legendarymusic');
+    assert.equal(profile.name, 'Legendary Music');
+  });
+});
+
+describe('fetchAccount', () => {
+  it('returns the profile and every cloudcast', async () => {
+    const account = await fetchAccount('legendarymusic');
+
+    assert.equal(account.username, 'legendarymusic');
+    assert.equal(account.profile.city, 'Bristol');
+    assert.equal(account.count, 7);
+    assert.equal(account.error, undefined);
+  });
+
+  it('returns an error-shaped result for malformed JSON', async () => {
+    rmSync(process.env.MIXCLOUD_SNAPSHOT_DIR, { recursive: true, force: true });
+    // Malformed on every attempt, so the retries give up
+    fake.failNext('/legendarymusic/cloudcasts/', { type: 'malformed' }, 3);
+
+    const account = await fetchAccount('legendarymusic');
+
+    assert.equal(account.profile, null);
+    assert.deepEqual(account.cloudcasts, []);
+    assert.equal(account.count, 0);
+    assert.match(account.error, /JSON/);
+  });
+
+  it('falls back to the snapshot from the last successful fetch', async () => {
+    await fetchAccount('legendarymusic');
+    resetRequests();
+    fake.failNext('/legendarymusic/cloudcasts/', { type: 'malformed' }, 3);
+
+    const account = await fetchAccount('legendarymusic');
+
+    assert.equal(account.stale, true);
+    assert.equal(account.count, 7);
+    assert.match(account.error, /JSON/);
+  });
+});
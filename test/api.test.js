@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeApi, silenceConsole } from './setup.js';
+
+const fake = await startFakeApi();
+silenceConsole();
+
+const {
+  fetchWithRetry,
+  fetchApi,
+  getRequestOptions,
+  getRetryAfter,
+  resetRequests
+} = await import('../src/_lib/api.js');
+
+beforeEach(() => {
+  fake.reset();
+  resetRequests();
+});
+
+describe('getRequestOptions', () => {
+  it('allows 3 concurrent requests by default', () => {
+    assert.equal(getRequestOptions({}).concurrency, 3);
+  });
+
+  it('reads MIXCLOUD_CONCURRENCY, ignoring nonsense', () => {
+    assert.equal(getRequestOptions({ MIXCLOUD_CONCURRENCY: '1' }).concurrency, 1);
+    assert.equal(getRequestOptions({ MIXCLOUD_CONCURRENCY: '0' }).concurrency, 3);
+    assert.equal(getRequestOptions({ MIXCLOUD_CONCURRENCY: 'lots' }).concurrency, 3);
+  });
+});
+
+describe('getRetryAfter', () => {
+  const response = (status, headers = {}) => new Response('', { status, headers });
+
+  it('reads retry_after from the body, then the Retry-After header', () => {
+    assert.equal(getRetryAfter(response(429), { error: { type: 'RateLimited', retry_after: 2 } }), 2000);
+    assert.equal(getRetryAfter(response(429, { 'Retry-After': '3' }), {}), 3000);
+  });
+
+  it('leaves the wait unspecified for a bare 429', () => {
+    assert.ok(Number.isNaN(getRetryAfter(response(429), {})));
+  });
+
+  it('returns null when not rate limited', () => {
+    assert.equal(getRetryAfter(response(500), {}), null);
+  });
+});
+
+describe('fetchWithRetry', () => {
+  const url = () => `${fake.url}/legendarymusic/`;
+
+  it('returns parsed JSON', async () => {
+    const data = await fetchWithRetry(url(), { delay: 1 });
+    assert.equal(data.username, 'legendarymusic');
+  });
+
+  it('waits for retry_after on a rate limit', async () => {
+    fake.failNext('/legendarymusic/', { type: 'rate-limit', retryAfter: 0.05 });
+
+    const started = Date.now();
+    const data = await fetchWithRetry(url(), { delay: 1 });
+
+    assert.equal(data.username, 'legendarymusic');
+    assert.equal(fake.requests.length, 2);
+    assert.ok(Date.now() - started >= 50);
+  });
+
+  it('holds back other requests until retry_after has passed', async () => {
+    fake.failNext('/legendarymusic/', { type: 'rate-limit', retryAfter: 0.2 });
+
+    const limited = fetchWithRetry(url(), { delay: 1 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const started = Date.now();
+    await fetchWithRetry(`${fake.url}/legendarymusic/cloudcasts/`, { delay: 1 });
+
+    assert.ok(Date.now() - started >= 100, 'waits out the rate limit');
+    await limited;
+  });
+
+  it('backs off on a 429 without Retry-After', async () => {
+    const realFetch = globalThis.fetch;
+    let calls = 0;
+    mock.method(globalThis, 'fetch', async (...args) => (
+      ++calls === 1 ? new Response('Too Many Requests', { status: 429 }) : realFetch(...args)
+    ));
+
+    try {
+      const started = Date.now();
+      const data = await fetchWithRetry(url(), { delay: 50 });
+
+      assert.equal(data.username, 'legendarymusic');
+      assert.equal(calls, 2);
+      assert.ok(Date.now() - started >= 50, 'waits for the backoff');
+    } finally {
+      globalThis.fetch.mock.restore();
+    }
+  });
+
+  it('retries a 5xx error with exponential backoff', async () => {
+    fake.failNext('/legendarymusic/', { type: 'server-error', status: 502 }, 2);
+
+    const started = Date.now();
+    const data = await fetchWithRetry(url(), { delay: 20 });
+
+    assert.equal(data.username, 'legendarymusic');
+    assert.equal(fake.requests.length, 3);
+    assert.ok(Date.now() - started >= 20 + 40, 'waits 20ms then 40ms');
+  });
+
+  it('retries malformed JSON', async () => {
+    fake.failNext('/legendarymusic/', { type: 'malformed' });
+
+    const data = await fetchWithRetry(url(), { delay: 1 });
+    assert.equal(data.username, 'legendarymusic');
+  });
+
+  it('does not retry other client errors', async () => {
+    await assert.rejects(fetchWithRetry(`${fake.url}/nobody/`, { delay: 1 }), /HTTP 404/);
+    assert.equal(fake.requests.length, 1);
+  });
+
+  it('throws the last error once retries are exhausted', async () => {
+    fake.failNext('/legendarymusic/', { type: 'server-error', status: 500 }, 3);
+
+    await assert.rejects(fetchWithRetry(url(), { retries: 3, delay: 1 }), /HTTP 500/);
+    assert.equal(fake.requests.length, 3);
+  });
+
+  describe('with a concurrency limit', () => {
+    let active = 0;
+    let peak = 0;
+
+    beforeEach(() => {
+      process.env.MIXCLOUD_CONCURRENCY = '2';
+      const realFetch = globalThis.fetch;
+      mock.method(globalThis, 'fetch', async (...args) => {
+        peak = Math.max(peak, ++active);
+        try {
+          return await realFetch(...args);
+        } finally {
+          active--;
+        }
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.MIXCLOUD_CONCURRENCY;
+      globalThis.fetch.mock.restore();
+    });
+
+    it('never has more requests in flight than allowed', async () => {
+      const paths = ['/legendarymusic/', '/legendarymusic/cloudcasts/', '/legendarymusic/go-on/', '/legendarymusic/island-hopping/', '/legendarymusic/tokyo-202021/'];
+      await Promise.all(paths.map(path => fetchWithRetry(`${fake.url}${path}`, { delay: 1 })));
+
+      assert.equal(fake.requests.length, paths.length);
+      assert.equal(peak, 2);
+    });
+  });
+});
+
+describe('fetchApi', () => {
+  it('requests each URL once per build', async () => {
+    const [first, second] = await Promise.all([
+      fetchApi(`${fake.url}/legendarymusic/`),
+      fetchApi(`${fake.url}/legendarymusic/`)
+    ]);
+    const third = await fetchApi(`${fake.url}/legendarymusic/`);
+
+    assert.equal(first.data.username, 'legendarymusic');
+    assert.equal(second, first);
+    assert.equal(third, first);
+    assert.equal(fake.requests.length, 1);
+  });
+
+  it('requests again after resetRequests()', async () => {
+    await fetchApi(`${fake.url}/legendarymusic/`);
+    resetRequests();
+    await fetchApi(`${fake.url}/legendarymusic/`);
+
+    assert.equal(fake.requests.length, 2);
+  });
+
+  it('shares a failure with every caller', async () => {
+    const url = `${fake.url}/nobody/`;
+
+    await assert.rejects(fetchApi(url), /HTTP 404/);
+    await assert.rejects(fetchApi(url), /HTTP 404/);
+    assert.equal(fake.requests.length, 1);
+  });
+});
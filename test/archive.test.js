@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildArchive, UNDATED } from '../src/_lib/archive.js';
+
+const goOn = {
+  key: '/legendarymusic/go-on/',
+  slug: 'go-on',
+  url: 'https://www.mixcloud.com/legendarymusic/go-on/',
+  name: 'Go On',
+  created_time: '2023-05-01T12:00:00Z'
+};
+const islandHopping = {
+  key: '/legendarymusic/island-hopping/',
+  slug: 'island-hopping',
+  url: 'https://www.mixcloud.com/legendarymusic/island-hopping/',
+  name: 'Island Hopping',
+  created_time: '2024-02-10T12:00:00Z'
+};
+const testUpload = {
+  key: '/legendarymusic/sunday-session-test-upload/',
+  slug: 'sunday-session-test-upload',
+  url: 'https://www.mixcloud.com/legendarymusic/sunday-session-test-upload/',
+  name: 'Sunday Session (test upload)',
+  created_time: '2024-06-01T10:00:00Z'
+};
+const undated = {
+  key: '/legendarymusic/undated/',
+  slug: 'undated',
+  url: 'https://www.mixcloud.com/legendarymusic/undated/',
+  name: 'Undated'
+};
+
+const libraries = {
+  groove: { slug: 'groove', title: 'The Groove Library', url: '/', theme: 'home', cloudcasts: [goOn] },
+  afro: { slug: 'afro', title: 'The Afro Groove Library', url: '/the-libraries/afro/', theme: 'afro', cloudcasts: [goOn] },
+  islands: { slug: 'islands', title: 'The Islands Groove Library', url: '/the-libraries/islands/', theme: 'islands', cloudcasts: [islandHopping] }
+};
+
+describe('buildArchive', () => {
+  const archive = buildArchive([goOn, testUpload, undated, islandHopping], libraries);
+
+  it('groups uploads by year, newest first, with undated uploads last', () => {
+    assert.deepEqual(archive.years.map(group => group.year), ['2024', '2023', UNDATED]);
+    assert.deepEqual(archive.years[0].mixes.map(mix => mix.slug), ['sunday-session-test-upload', 'island-hopping']);
+    assert.equal(archive.years[0].count, 2);
+    assert.equal(archive.count, 4);
+  });
+
+  it('links filed uploads to their mix page with every library they are in', () => {
+    const [mix] = archive.years[1].mixes;
+    assert.equal(mix.url, '/mixes/go-on/');
+    assert.equal(mix.unsorted, false);
+    assert.deepEqual(mix.libraries.map(library => library.slug), ['groove', 'afro']);
+  });
+
+  it('flags uploads in no library as unsorted, linking to Mixcloud', () => {
+    const [mix] = archive.years[0].mixes;
+    assert.equal(mix.unsorted, true);
+    assert.equal(mix.url, testUpload.url);
+    assert.deepEqual(mix.libraries, []);
+    assert.equal(archive.unsortedCount, 2);
+  });
+
+  it('copes with no uploads', () => {
+    assert.deepEqual(buildArchive(undefined, libraries), { count: 0, unsortedCount: 0, years: [] });
+  });
+});
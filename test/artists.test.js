@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normaliseArtistName,
+  splitArtistCredit,
+  getArtistUrl,
+  collectArtists,
+  groupArtistsByInitial
+} from '../src/_lib/artists.js';
+
+/**
+ * Build a tracklist section like mergeTracklists() does
+ */
+function track(position, artist, name) {
+  return { section_type: 'track', position, track: { artist, name }, start_time: null };
+}
+
+const older = {
+  key: '/legendarymusic/go-on/',
+  slug: 'go-on',
+  name: 'Go On',
+  created_time: '2023-05-01T12:00:00Z',
+  sections: [
+    track(1, 'Ebo Taylor & Pat Thomas', 'Mumunde'),
+    track(2, 'Kokolo feat. Jojo Kuo', 'Mighty Mighty'),
+    track(3, 'Y-Bayani', 'Olufeme')
+  ]
+};
+const newer = {
+  key: '/legendarymusic/tokyo-202021/',
+  slug: 'tokyo-202021',
+  name: 'Tokyo 2020/21',
+  created_time: '2024-01-10T12:00:00Z',
+  sections: [
+    track(1, 'Jojo  Kuo', 'Ashewo'),
+    track(2, 'Y Bayani', 'Ire'),
+    track(3, 'Y Bayani', 'Omo'),
+    track(4, 'QUALITONS, The', 'Panoráma'),
+    track(5, '', 'Untitled')
+  ]
+};
+
+describe('normaliseArtistName', () => {
+  it('collapses whitespace', () => {
+    assert.equal(normaliseArtistName('  Jojo   Kuo '), 'Jojo Kuo');
+  });
+
+  it('moves a trailing ", The" to the front', () => {
+    assert.equal(normaliseArtistName('Ethiopian Brothers, The'), 'The Ethiopian Brothers');
+  });
+});
+
+describe('splitArtistCredit', () => {
+  it('separates featured artists', () => {
+    assert.deepEqual(splitArtistCredit('Kokolo feat. Jojo Kuo'), { artist: 'Kokolo', featuring: ['Jojo Kuo'] });
+    assert.deepEqual(splitArtistCredit('Kijo ft. Mo'), { artist: 'Kijo', featuring: ['Mo'] });
+  });
+
+  it('handles bracketed features with several guests', () => {
+    assert.deepEqual(splitArtistCredit('Stogie T (feat. Nasty C & Sho Madjozi)'), {
+      artist: 'Stogie T',
+      featuring: ['Nasty C', 'Sho Madjozi']
+    });
+  });
+
+  it('leaves band names with "&" in one piece', () => {
+    assert.deepEqual(splitArtistCredit('Sir Shina Peters & His International Stars'), {
+      artist: 'Sir Shina Peters & His International Stars',
+      featuring: []
+    });
+  });
+});
+
+describe('getArtistUrl', () => {
+  it('links a credit to its main artist', () => {
+    assert.equal(getArtistUrl('Dennis Mpale Feat. Kippie Moketsi'), '/artists/dennis-mpale/');
+  });
+});
+
+describe('collectArtists', () => {
+  const artists = collectArtists([older, newer]);
+  const find = slug => artists.find(artist => artist.slug === slug);
+
+  it('indexes main and featured artists, skipping blank credits', () => {
+    assert.deepEqual(artists.map(artist => artist.slug), [
+      'ebo-taylor-and-pat-thomas',
+      'jojo-kuo',
+      'kokolo',
+      'the-qualitons',
+      'y-bayani'
+    ]);
+  });
+
+  it('merges spellings that share a slug, keeping the most common', () => {
+    const bayani = find('y-bayani');
+
+    assert.equal(bayani.name, 'Y Bayani');
+    assert.equal(bayani.trackCount, 3);
+  });
+
+  it('groups appearances by mix, newest mix first', () => {
+    const jojo = find('jojo-kuo');
+
+    assert.deepEqual(jojo.appearances.map(appearance => appearance.mix.slug), ['tokyo-202021', 'go-on']);
+    assert.deepEqual(jojo.appearances[1].tracks[0], {
+      position: 2,
+      name: 'Mighty Mighty',
+      credit: 'Kokolo feat. Jojo Kuo',
+      start_time: null,
+      featured: true
+    });
+  });
+
+  it('sorts A-Z ignoring a leading "The"', () => {
+    assert.ok(artists.indexOf(find('the-qualitons')) < artists.indexOf(find('y-bayani')));
+    assert.ok(artists.indexOf(find('kokolo')) < artists.indexOf(find('the-qualitons')));
+  });
+});
+
+describe('groupArtistsByInitial', () => {
+  it('groups by letter, with non-letters first under "#"', () => {
+    const groups = groupArtistsByInitial([
+      { name: 'Ebo Taylor', sortKey: 'ebo-taylor' },
+      { name: '808 State', sortKey: '808-state' },
+      { name: 'The Qualitons', sortKey: 'qualitons' },
+      { name: 'Ekiti Sound', sortKey: 'ekiti-sound' }
+    ]);
+
+    assert.deepEqual(groups.map(group => [group.letter, group.artists.length]), [['#', 1], ['E', 2], ['Q', 1]]);
+  });
+});
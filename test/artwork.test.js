@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+import { silenceConsole } from './setup.js';
+import {
+  parseTokens,
+  loadBrandTokens,
+  getArtworkTheme,
+  wrapTitle,
+  renderArtwork,
+  attachArtwork,
+  copyArtwork,
+  getMixImageUrl,
+  resetArtwork,
+  OG_SIZE
+} from '../src/_lib/artwork.js';
+
+silenceConsole();
+
+describe('parseTokens', () => {
+  it('reads custom properties and resolves var() references', () => {
+    const tokens = parseTokens(`:root {
+      --color-neutral-900: #2b241e;
+      --color-surface-inverse: var(--color-neutral-900);
+      --color-text: var(--color-surface-inverse);
+    }`);
+
+    assert.equal(tokens['color-neutral-900'], '#2b241e');
+    assert.equal(tokens['color-text'], '#2b241e');
+  });
+});
+
+describe('loadBrandTokens', () => {
+  it('reads the theme colours from 00-config.css', () => {
+    const tokens = loadBrandTokens();
+
+    assert.equal(tokens['color-primary-500'], '#f27916');
+    assert.equal(tokens['color-hero-afro-start'], '#0f5f63');
+  });
+});
+
+describe('getArtworkTheme', () => {
+  it('prefers a library with its own theme over the home library', () => {
+    assert.equal(getArtworkTheme(['home', 'afro', 'japan']), 'afro');
+    assert.equal(getArtworkTheme(['home']), 'home');
+  });
+
+  it('falls back to the home theme for unknown themes', () => {
+    assert.equal(getArtworkTheme(['disco']), 'home');
+    assert.equal(getArtworkTheme([]), 'home');
+  });
+});
+
+describe('wrapTitle', () => {
+  it('breaks between words', () => {
+    assert.deepEqual(wrapTitle('The Afro Groove Library Vol. 1', 16, 3), ['The Afro Groove', 'Library Vol. 1']);
+  });
+
+  it('ends with an ellipsis when the title does not fit', () => {
+    assert.deepEqual(wrapTitle('One Two Three Four', 5, 2), ['One', 'Two…']);
+    assert.deepEqual(wrapTitle('Supercalifragilistic', 8, 2), ['Superca…']);
+  });
+});
+
+describe('renderArtwork', () => {
+  const tokens = loadBrandTokens();
+
+  it('draws the title in the library theme', () => {
+    const svg = renderArtwork('Tokyo <2020/21>', 'japan');
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="640" height="640"/);
+    assert.ok(svg.includes(`stop-color="${tokens['color-hero-japan-start']}"`));
+    assert.ok(svg.includes('Tokyo &lt;2020/21&gt;'), 'escapes the title');
+  });
+
+  it('is the same for the same title and different for another', () => {
+    assert.equal(renderArtwork('Go On', 'home'), renderArtwork('Go On', 'home'));
+    assert.notEqual(renderArtwork('Go On', 'home'), renderArtwork('Island Hopping', 'home'));
+  });
+
+  it('renders to an image', async () => {
+    const png = await sharp(Buffer.from(renderArtwork('Go On', 'afro', OG_SIZE))).png().toBuffer();
+    const { width, height } = await sharp(png).metadata();
+
+    assert.equal(width, 1200);
+    assert.equal(height, 630);
+  });
+});
+
+describe('attachArtwork', () => {
+  let dir;
+
+  const goOn = { key: '/legendarymusic/go-on/', name: 'Go On', cover: { large: '/covers/abc/1024.jpg' } };
+  const tokyo = { key: '/legendarymusic/tokyo-202021/', name: 'Tokyo <2020/21>' };
+  const libraries = {
+    groove: { slug: 'groove', theme: 'home', cloudcasts: [goOn, tokyo] },
+    japan: { slug: 'japan', theme: 'japan', cloudcasts: [tokyo] }
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'groove-library-artwork-'));
+    resetArtwork();
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('draws a mix in the same theme in every library', async () => {
+    const result = await attachArtwork(libraries, { dir });
+
+    assert.equal(result.groove.cloudcasts[1].artwork.theme, 'japan');
+    assert.deepEqual(result.groove.cloudcasts[1].artwork, result.japan.cloudcasts[0].artwork);
+    assert.equal(result.groove.cloudcasts[0].artwork.theme, 'home');
+  });
+
+  it('writes the card SVG, and an OG image only for mixes with no art', async () => {
+    const result = await attachArtwork(libraries, { dir });
+    const [withCover, withoutCover] = result.groove.cloudcasts;
+
+    assert.match(withCover.artwork.src, /^\/covers\/art\/[0-9a-f]{16}\.svg$/);
+    assert.equal(withCover.artwork.og, undefined);
+    assert.match(withoutCover.artwork.og, /^\/covers\/art\/[0-9a-f]{16}\.jpg$/);
+
+    const svg = readFileSync(join(dir, 'art', withoutCover.artwork.src.split('/').pop()), 'utf-8');
+    assert.ok(svg.includes('Tokyo &lt;2020/21&gt;'));
+
+    const { width, format } = await sharp(join(dir, 'art', withoutCover.artwork.og.split('/').pop())).metadata();
+    assert.equal(width, 1200);
+    assert.equal(format, 'jpeg');
+  });
+
+  it('leaves mixes with a Mixcloud picture to use that', async () => {
+    const pictured = { key: '/legendarymusic/island-hopping/', name: 'Island Hopping', pictures: { large: 'https://example.com/300.jpg' } };
+    const result = await attachArtwork({ groove: { slug: 'groove', theme: 'home', cloudcasts: [pictured] } }, { dir });
+
+    assert.match(result.groove.cloudcasts[0].artwork.src, /\.svg$/);
+    assert.equal(result.groove.cloudcasts[0].artwork.og, undefined);
+  });
+
+  it('publishes this build\'s artwork', async () => {
+    const output = join(dir, '_site');
+    await attachArtwork(libraries, { dir });
+
+    assert.equal(copyArtwork(output, { dir }), 3);
+    assert.equal(readdirSync(join(output, 'covers', 'art')).length, 3);
+
+    resetArtwork();
+    assert.equal(copyArtwork(join(dir, 'empty'), { dir }), 0);
+    assert.equal(existsSync(join(dir, 'empty')), false);
+  });
+});
+
+describe('getMixImageUrl', () => {
+  const siteUrl = 'https://thegroovelibrary.net';
+  const cover = { large: '/covers/abc/1024.jpg' };
+  const pictures = { large: 'https://example.com/300.jpg', '1024wx1024h': 'https://example.com/1024.jpg' };
+  const artwork = { src: '/covers/art/abc.svg', og: '/covers/art/def.jpg' };
+
+  it('prefers the cover, then the Mixcloud picture, then the generated artwork', () => {
+    assert.equal(getMixImageUrl({ cover, pictures, artwork }, siteUrl), 'https://thegroovelibrary.net/covers/abc/1024.jpg');
+    assert.equal(getMixImageUrl({ pictures, artwork }, siteUrl), 'https://example.com/1024.jpg');
+    assert.equal(getMixImageUrl({ artwork }, siteUrl), 'https://thegroovelibrary.net/covers/art/def.jpg');
+  });
+
+  it('is undefined for a mix with no image', () => {
+    assert.equal(getMixImageUrl({ artwork: { src: '/covers/art/abc.svg' } }, siteUrl), undefined);
+  });
+});
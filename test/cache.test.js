@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { cachedFetch, getCacheOptions, readCache } from '../src/_lib/cache.js';
+import { saveSnapshot, loadLatestSnapshot, getSnapshotOptions } from '../src/_lib/snapshots.js';
+
+describe('getCacheOptions', () => {
+  it('reads the TTL in seconds and the offline and refresh switches', () => {
+    const options = getCacheOptions({ MIXCLOUD_CACHE_TTL: '60', MIXCLOUD_OFFLINE: '1', npm_config_refresh: 'true' });
+
+    assert.equal(options.ttl, 60000);
+    assert.equal(options.offline, true);
+    assert.equal(options.refresh, true);
+  });
+
+  it('falls back to the default TTL for invalid values', () => {
+    assert.equal(getCacheOptions({ MIXCLOUD_CACHE_TTL: 'soon' }).ttl, 3600000);
+  });
+});
+
+describe('cachedFetch', () => {
+  let dir;
+  let calls;
+  const fetchJson = async url => ({ url, call: ++calls });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'groove-library-cache-'));
+    calls = 0;
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('serves fresh responses from the cache', async () => {
+    await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 60000 });
+    const second = await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 60000 });
+
+    assert.deepEqual(second, { data: { url: 'https://api.test/a/', call: 1 }, fromCache: true });
+    assert.equal(readCache('https://api.test/a/', dir).data.call, 1);
+  });
+
+  it('fetches again once the TTL has passed', async () => {
+    await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 0 });
+    const second = await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 0 });
+
+    assert.equal(second.data.call, 2);
+    assert.equal(second.fromCache, false);
+  });
+
+  it('ignores the cache when refreshing', async () => {
+    await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 60000 });
+    const second = await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 60000, refresh: true });
+
+    assert.equal(second.data.call, 2);
+  });
+
+  it('serves stale responses offline and never fetches', async () => {
+    await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 0 });
+    const offline = await cachedFetch('https://api.test/a/', fetchJson, { dir, ttl: 0, offline: true });
+
+    assert.equal(offline.data.call, 1);
+    await assert.rejects(
+      cachedFetch('https://api.test/b/', fetchJson, { dir, offline: true }),
+      /Offline mode: no cached response/
+    );
+    assert.equal(calls, 1);
+  });
+});
+
+describe('snapshots', () => {
+  it('loads the newest snapshot and prunes old ones', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'groove-library-snapshots-'));
+
+    for (const version of [1, 2, 3]) {
+      saveSnapshot('playlist-test', { version }, { dir, keep: 2 });
+      // Snapshot file names have millisecond resolution
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    assert.equal(loadLatestSnapshot('playlist-test', { dir }).data.version, 3);
+    assert.equal(loadLatestSnapshot('playlist-missing', { dir }), null);
+    assert.equal(readdirSync(join(dir, 'playlist-test')).length, 2);
+
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads strict mode from the environment', () => {
+    assert.equal(getSnapshotOptions({ MIXCLOUD_STRICT: '1' }).strict, true);
+    assert.equal(getSnapshotOptions({ npm_config_strict: 'true' }).strict, true);
+    assert.equal(getSnapshotOptions({}).strict, false);
+  });
+});
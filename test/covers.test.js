@@ -0,0 +1,178 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+import { silenceConsole } from './setup.js';
+import {
+  getCoverOptions,
+  getCoverSource,
+  getCoverId,
+  getCoverWidths,
+  describeCover,
+  processCover,
+  attachCovers,
+  copyCovers,
+  getCoverUrl,
+  resetCovers
+} from '../src/_lib/covers.js';
+
+silenceConsole();
+
+const SOURCE = 'https://thumbnailer.mixcloud.com/unsafe/1024x1024/extaudio/go-on.jpg';
+
+describe('getCoverOptions', () => {
+  it('is enabled unless MIXCLOUD_COVERS=0', () => {
+    assert.equal(getCoverOptions({}).enabled, true);
+    assert.equal(getCoverOptions({ MIXCLOUD_COVERS: '0' }).enabled, false);
+  });
+
+  it('reads the directory override and offline mode', () => {
+    const options = getCoverOptions({ MIXCLOUD_COVERS_DIR: '/tmp/covers', MIXCLOUD_OFFLINE: '1' });
+
+    assert.equal(options.dir, '/tmp/covers');
+    assert.equal(options.offline, true);
+  });
+});
+
+describe('getCoverSource', () => {
+  it('picks the largest picture Mixcloud offers', () => {
+    assert.equal(getCoverSource({ large: 'large.jpg', '640wx640h': '640.jpg' }), '640.jpg');
+    assert.equal(getCoverSource({ large: 'large.jpg' }), 'large.jpg');
+    assert.equal(getCoverSource(undefined), undefined);
+  });
+});
+
+describe('getCoverWidths', () => {
+  it('never upscales the original', () => {
+    assert.deepEqual(getCoverWidths(1024), [160, 320, 640, 1024]);
+    assert.deepEqual(getCoverWidths(600), [160, 320]);
+    assert.deepEqual(getCoverWidths(100), [100]);
+  });
+});
+
+describe('describeCover', () => {
+  const cover = describeCover('abc', { width: 1024, height: 1024, widths: [160, 320, 640, 1024], placeholder: 'data:image/jpeg;base64,AA==' });
+
+  it('defaults the <img> to a card-sized JPEG with a srcset', () => {
+    assert.equal(cover.src, '/covers/abc/640.jpg');
+    assert.equal(cover.srcset, '/covers/abc/160.jpg 160w, /covers/abc/320.jpg 320w, /covers/abc/640.jpg 640w, /covers/abc/1024.jpg 1024w');
+    assert.equal(cover.width, 640);
+    assert.equal(cover.height, 640);
+  });
+
+  it('offers AVIF then WebP sources', () => {
+    assert.deepEqual(cover.sources.map(source => source.type), ['image/avif', 'image/webp']);
+    assert.match(cover.sources[0].srcset, /^\/covers\/abc\/160\.avif 160w, /);
+  });
+
+  it('points at the smallest and largest copies', () => {
+    assert.equal(cover.thumbnail, '/covers/abc/160.jpg');
+    assert.equal(cover.large, '/covers/abc/1024.jpg');
+  });
+});
+
+describe('getCoverUrl', () => {
+  it('makes the largest self-hosted cover absolute', () => {
+    const mix = { cover: { large: '/covers/abc/1024.jpg' } };
+    assert.equal(getCoverUrl(mix, 'https://thegroovelibrary.net'), 'https://thegroovelibrary.net/covers/abc/1024.jpg');
+    assert.equal(getCoverUrl({}, 'https://thegroovelibrary.net'), undefined);
+  });
+});
+
+describe('processing covers', () => {
+  let dir;
+  let image;
+
+  before(async () => {
+    image = await sharp({
+      create: { width: 700, height: 700, channels: 3, background: { r: 242, g: 121, b: 22 } }
+    }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'groove-library-covers-'));
+    process.env.MIXCLOUD_COVERS_DIR = dir;
+    resetCovers();
+    mock.method(globalThis, 'fetch', async () => new Response(image));
+  });
+
+  afterEach(() => {
+    delete process.env.MIXCLOUD_COVERS_DIR;
+    globalThis.fetch.mock.restore();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('generates every format at each width, plus a placeholder', async () => {
+    const cover = await processCover(SOURCE);
+    const files = readdirSync(join(dir, getCoverId(SOURCE))).sort();
+
+    assert.deepEqual(files, [
+      '160.avif', '160.jpg', '160.webp',
+      '320.avif', '320.jpg', '320.webp',
+      '640.avif', '640.jpg', '640.webp',
+      'cover.json', 'original'
+    ]);
+    assert.equal(cover.src, `/covers/${getCoverId(SOURCE)}/640.jpg`);
+    assert.match(cover.placeholder, /^data:image\/jpeg;base64,/);
+
+    const { width, format } = await sharp(join(dir, getCoverId(SOURCE), '320.webp')).metadata();
+    assert.equal(width, 320);
+    assert.equal(format, 'webp');
+  });
+
+  it('downloads and resizes each cover once', async () => {
+    const first = await processCover(SOURCE);
+    const second = await processCover(SOURCE);
+
+    assert.deepEqual(second, first);
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+  });
+
+  it('returns null when the cover cannot be downloaded', async () => {
+    globalThis.fetch.mock.mockImplementation(async () => new Response('Not found', { status: 404 }));
+
+    assert.equal(await processCover(SOURCE), null);
+    assert.equal(existsSync(join(dir, getCoverId(SOURCE), 'cover.json')), false);
+  });
+
+  it('only uses downloaded covers offline', async () => {
+    assert.equal(await processCover(SOURCE, { offline: true }), null);
+    assert.equal(globalThis.fetch.mock.callCount(), 0);
+  });
+
+  it('attaches covers to cloudcasts, sharing one per source', async () => {
+    const goOn = { key: '/legendarymusic/go-on/', pictures: { '1024wx1024h': SOURCE } };
+    const untitled = { key: '/legendarymusic/untitled/' };
+
+    const [first, second, third] = await attachCovers([goOn, untitled, goOn]);
+
+    assert.equal(first.cover.id, getCoverId(SOURCE));
+    assert.equal(second.cover, undefined);
+    assert.equal(third.cover, first.cover);
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+  });
+
+  it('leaves cloudcasts alone when covers are disabled', async () => {
+    process.env.MIXCLOUD_COVERS = '0';
+    try {
+      const cloudcasts = [{ pictures: { large: SOURCE } }];
+      assert.equal(await attachCovers(cloudcasts), cloudcasts);
+    } finally {
+      delete process.env.MIXCLOUD_COVERS;
+    }
+  });
+
+  it('publishes only the generated copies', async () => {
+    const output = join(dir, '_site');
+    await attachCovers([{ pictures: { large: SOURCE } }]);
+
+    assert.equal(await copyCovers(output), 1);
+    assert.deepEqual(readdirSync(join(output, 'covers', getCoverId(SOURCE))).sort(), [
+      '160.avif', '160.jpg', '160.webp',
+      '320.avif', '320.jpg', '320.webp',
+      '640.avif', '640.jpg', '640.webp'
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCrateManifest } from '../src/_lib/crate.js';
+
+const goOn = {
+  key: '/legendarymusic/go-on/',
+  slug: 'go-on',
+  name: 'Go On',
+  created_time: '2023-05-01T12:00:00Z',
+  audio_length: 3725,
+  pictures: { medium: 'https://thumbnailer.mixcloud.com/go-on-medium.jpg', small: 'https://thumbnailer.mixcloud.com/go-on-small.jpg' }
+};
+const untitled = { key: '/legendarymusic/untitled/', slug: 'untitled', name: 'Untitled' };
+
+const libraries = {
+  groove: { slug: 'groove', title: 'The Groove Library', url: '/', cloudcasts: [goOn] },
+  afro: { slug: 'afro', title: 'The Afro Groove Library', url: '/the-libraries/afro/', cloudcasts: [goOn, untitled] }
+};
+
+describe('buildCrateManifest', () => {
+  const { generatedAt, mixes } = buildCrateManifest(libraries);
+
+  it('lists every mix once, keyed by the slug of its page', () => {
+    assert.deepEqual(mixes.map(mix => mix.slug), ['go-on', 'untitled']);
+    assert.ok(!Number.isNaN(Date.parse(generatedAt)));
+  });
+
+  it('carries what the crate page shows', () => {
+    assert.deepEqual(mixes[0], {
+      slug: 'go-on',
+      url: '/mixes/go-on/',
+      title: 'Go On',
+      date: '2023-05-01',
+      duration: 3725,
+      image: 'https://thumbnailer.mixcloud.com/go-on-medium.jpg',
+      libraries: ['The Groove Library', 'The Afro Groove Library']
+    });
+  });
+
+  it('uses the self-hosted thumbnail when the cover was processed', () => {
+    const covered = { ...goOn, cover: { thumbnail: '/covers/abc/160.jpg' } };
+    const [mix] = buildCrateManifest({ groove: { ...libraries.groove, cloudcasts: [covered] } }).mixes;
+
+    assert.equal(mix.image, '/covers/abc/160.jpg');
+  });
+
+  it('uses the page slug when two users share a Mixcloud slug', () => {
+    const [mix] = buildCrateManifest({ groove: { ...libraries.groove, cloudcasts: [{ ...goOn, pageSlug: 'otheruser-go-on' }] } }).mixes;
+
+    assert.equal(mix.slug, 'otheruser-go-on');
+    assert.equal(mix.url, '/mixes/otheruser-go-on/');
+  });
+
+  it('leaves out fields a mix does not have', () => {
+    assert.deepEqual(mixes[1], {
+      slug: 'untitled',
+      url: '/mixes/untitled/',
+      title: 'Untitled',
+      libraries: ['The Afro Groove Library']
+    });
+  });
+});
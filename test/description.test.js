@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, linkify, formatDescription, summariseDescription } from '../src/_lib/description.js';
+
+describe('escapeHtml', () => {
+  it('escapes markup characters', () => {
+    assert.equal(escapeHtml(`<b>"Tom" & 'Jerry'</b>`), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  });
+});
+
+describe('linkify', () => {
+  it('links http(s) addresses', () => {
+    assert.equal(
+      linkify('See https://thegroovelibrary.net/mixes/go-on/ now'),
+      'See <a href="https://thegroovelibrary.net/mixes/go-on/" rel="nofollow noopener noreferrer">https://thegroovelibrary.net/mixes/go-on/</a> now'
+    );
+  });
+
+  it('links bare www. addresses over https', () => {
+    assert.equal(
+      linkify('www.example.com'),
+      '<a href="https://www.example.com" rel="nofollow noopener noreferrer">www.example.com</a>'
+    );
+  });
+
+  it('leaves trailing punctuation and unmatched brackets out of the link', () => {
+    assert.equal(
+      linkify('(more at https://example.com/a).'),
+      '(more at <a href="https://example.com/a" rel="nofollow noopener noreferrer">https://example.com/a</a>).'
+    );
+    assert.match(linkify('https://en.wikipedia.org/wiki/Highlife_(music)'), /href="https:\/\/en\.wikipedia\.org\/wiki\/Highlife_\(music\)"/);
+  });
+
+  it('escapes URLs and the text around them', () => {
+    assert.equal(
+      linkify('<b>https://example.com/?a=1&b=2</b>'),
+      '&lt;b&gt;<a href="https://example.com/?a=1&amp;b=2" rel="nofollow noopener noreferrer">https://example.com/?a=1&amp;b=2</a>&lt;/b&gt;'
+    );
+  });
+
+  it('does not link other schemes', () => {
+    assert.equal(linkify('javascript:alert(1)'), 'javascript:alert(1)');
+  });
+});
+
+describe('formatDescription', () => {
+  it('turns blank lines into paragraphs and keeps single line breaks', () => {
+    assert.equal(
+      formatDescription('Side A\nSide B\n\n\nRecorded live.'),
+      '<p>Side A<br>Side B</p>\n<p>Recorded live.</p>'
+    );
+  });
+
+  it('never renders markup from the text', () => {
+    assert.equal(
+      formatDescription('<script>alert(1)</script><img src=x onerror=alert(1)>'),
+      '<p>&lt;script&gt;alert(1)&lt;/script&gt;&lt;img src=x onerror=alert(1)&gt;</p>'
+    );
+  });
+
+  it('normalises Windows line endings and drops control characters', () => {
+    assert.equal(formatDescription('One\r\n\r\nTwo\u0007'), '<p>One</p>\n<p>Two</p>');
+  });
+
+  it('returns an empty string without a description', () => {
+    assert.equal(formatDescription(''), '');
+    assert.equal(formatDescription(undefined), '');
+    assert.equal(formatDescription(' \n\n '), '');
+  });
+});
+
+describe('summariseDescription', () => {
+  const text = 'A journey from Lagos to Detroit and back.\n\nRecorded live at home.';
+
+  it('collapses the description onto one line', () => {
+    assert.equal(summariseDescription(text), 'A journey from Lagos to Detroit and back. Recorded live at home.');
+  });
+
+  it('cuts at a word boundary with an ellipsis', () => {
+    const summary = summariseDescription(text, 30);
+    assert.equal(summary, 'A journey from Lagos to…');
+    assert.ok(summary.length <= 30);
+  });
+
+  it('returns an empty string without a description', () => {
+    assert.equal(summariseDescription(null, 160), '');
+  });
+});
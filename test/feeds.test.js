@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFeed, buildFeedFiles, getFeedUrls, renderRss, renderAtom, renderJsonFeed } from '../src/_lib/feeds.js';
+
+const older = {
+  key: '/legendarymusic/go-on/',
+  slug: 'go-on',
+  name: 'Go On',
+  url: 'https://www.mixcloud.com/legendarymusic/go-on/',
+  created_time: '2023-05-01T12:00:00Z',
+  audio_length: 3725,
+  pictures: { large: 'https://thumbnailer.mixcloud.com/go-on-large.jpg' },
+  tags: [{ name: 'Afrobeat' }],
+  sections: [
+    { section_type: 'track', position: 1, track: { artist: 'Rocket Juice & The Moon', name: 'Lolo' }, start_time: 0 },
+    { section_type: 'track', position: 2, track: { artist: 'Ebo Taylor', name: 'Ohiani Sua Efir' }, start_time: 245 }
+  ]
+};
+const newer = {
+  key: '/legendarymusic/tokyo-202021/',
+  slug: 'tokyo-202021',
+  name: 'Tokyo <2020/21>',
+  url: 'https://www.mixcloud.com/legendarymusic/tokyo-202021/',
+  created_time: '2024-01-10T12:00:00Z'
+};
+
+const libraries = {
+  groove: { slug: 'groove', title: 'The Groove Library', url: '/', summary: 'Global grooves.', cloudcasts: [older, newer] },
+  afro: { slug: 'afro', title: 'The Afro Groove Library', url: '/the-libraries/afro/', summary: 'Afro grooves.', cloudcasts: [older] }
+};
+
+describe('getFeedUrls', () => {
+  it('gives one URL per format', () => {
+    assert.deepEqual(getFeedUrls('afro'), {
+      rss: '/feeds/afro.xml',
+      atom: '/feeds/afro.atom',
+      json: '/feeds/afro.json'
+    });
+  });
+});
+
+describe('buildFeed', () => {
+  it('lists a library\'s mixes, linking to our mix pages', () => {
+    const feed = buildFeed(libraries, 'afro');
+
+    assert.equal(feed.homeUrl, 'https://thegroovelibrary.net/the-libraries/afro/');
+    assert.deepEqual(feed.items.map(item => item.url), ['https://thegroovelibrary.net/mixes/go-on/']);
+  });
+
+  it('lists every mix once, newest first, in the combined feed', () => {
+    const feed = buildFeed(libraries, 'all');
+    assert.deepEqual(feed.items.map(item => item.title), ['Tokyo <2020/21>', 'Go On']);
+  });
+
+  it('carries cover art, duration, tags, libraries and tracklist', () => {
+    const [item] = buildFeed(libraries, 'afro').items;
+
+    assert.equal(item.image, 'https://thumbnailer.mixcloud.com/go-on-large.jpg');
+    assert.equal(item.duration, 3725);
+    assert.deepEqual(item.tags, ['Afrobeat']);
+    assert.deepEqual(item.libraries, ['The Groove Library', 'The Afro Groove Library']);
+    assert.equal(item.tracklist.length, 2);
+    assert.match(item.contentHtml, /<li>Ebo Taylor - Ohiani Sua Efir \(4:05\)<\/li>/);
+    assert.match(item.contentHtml, /Duration: 1:02:05/);
+  });
+
+  it('summarises the description, and includes it in the content', () => {
+    const described = { ...older, description: 'A journey from Lagos\n\nto Detroit. <b>Live</b> at www.example.com' };
+    const [item] = buildFeed({ afro: { ...libraries.afro, cloudcasts: [described] } }, 'afro').items;
+
+    assert.equal(item.summary, 'A journey from Lagos to Detroit. <b>Live</b> at www.example.com');
+    assert.match(item.contentHtml, /<p>A journey from Lagos<\/p>\n<p>to Detroit\. &lt;b&gt;Live&lt;\/b&gt; at <a href="https:\/\/www\.example\.com"/);
+  });
+
+  it('describes a mix without a description by its length and libraries', () => {
+    const [item] = buildFeed(libraries, 'afro').items;
+    assert.equal(item.summary, 'Go On (1:02:05) from The Groove Library and The Afro Groove Library.');
+  });
+
+  it('prefers the self-hosted cover', () => {
+    const covered = { ...older, cover: { large: '/covers/abc/1024.jpg' } };
+    const [item] = buildFeed({ afro: { ...libraries.afro, cloudcasts: [covered] } }, 'afro').items;
+
+    assert.equal(item.image, 'https://thegroovelibrary.net/covers/abc/1024.jpg');
+  });
+
+  it('rejects unknown libraries', () => {
+    assert.throws(() => buildFeed(libraries, 'nope'), /Unknown library for feed: nope/);
+  });
+});
+
+describe('feed rendering', () => {
+  const feed = buildFeed(libraries, 'all');
+
+  it('escapes text in RSS', () => {
+    const rss = renderRss(feed);
+
+    assert.match(rss, /<title>Tokyo &lt;2020\/21&gt;<\/title>/);
+    assert.match(rss, /Rocket Juice &amp;amp; The Moon/);
+    assert.match(rss, /<atom:link href="https:\/\/thegroovelibrary.net\/feeds\/all.xml" rel="self"/);
+  });
+
+  it('puts the description in every format', () => {
+    const described = { ...older, description: 'Highlife & Afro-funk.' };
+    const describedFeed = buildFeed({ afro: { ...libraries.afro, cloudcasts: [described] } }, 'afro');
+
+    assert.match(renderRss(describedFeed), /<description>Highlife &amp; Afro-funk\.<\/description>/);
+    assert.match(renderAtom(describedFeed), /<summary>Highlife &amp; Afro-funk\.<\/summary>/);
+    assert.equal(JSON.parse(renderJsonFeed(describedFeed)).items[0].summary, 'Highlife & Afro-funk.');
+  });
+
+  it('keeps a tracklist timestamp of 0:00', () => {
+    assert.match(renderRss(feed), /Lolo \(0:00\)/);
+  });
+
+  it('dates mixes without dates by when the library was fetched', () => {
+    const undated = { ...newer, created_time: undefined };
+    const undatedFeed = buildFeed({ groove: { ...libraries.groove, fetchedAt: '2024-02-01T00:00:00Z', cloudcasts: [undated] } }, 'groove');
+
+    assert.match(renderRss(undatedFeed), /<pubDate>Thu, 01 Feb 2024 00:00:00 GMT<\/pubDate>/);
+    assert.match(renderAtom(undatedFeed), /<published>2024-02-01T00:00:00.000Z<\/published>/);
+    assert.equal(JSON.parse(renderJsonFeed(undatedFeed)).items[0].date_modified, '2024-02-01T00:00:00.000Z');
+  });
+
+  it('renders Atom entries with ids and categories', () => {
+    const atom = renderAtom(feed);
+
+    assert.match(atom, /<id>https:\/\/thegroovelibrary.net\/mixes\/go-on\/<\/id>/);
+    assert.match(atom, /<category term="Afrobeat"\/>/);
+  });
+
+  it('renders JSON Feed 1.1 with the tracklist in an extension', () => {
+    const json = JSON.parse(renderJsonFeed(feed));
+
+    assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(json.items[1].external_url, 'https://www.mixcloud.com/legendarymusic/go-on/');
+    assert.equal(json.items[1]._groove_library.tracklist[1].start_time, 245);
+  });
+});
+
+describe('buildFeedFiles', () => {
+  it('writes three formats for each library and for all mixes', () => {
+    assert.deepEqual(buildFeedFiles(libraries).map(file => file.url), [
+      '/feeds/groove.xml', '/feeds/groove.atom', '/feeds/groove.json',
+      '/feeds/afro.xml', '/feeds/afro.atom', '/feeds/afro.json',
+      '/feeds/all.xml', '/feeds/all.atom', '/feeds/all.json'
+    ]);
+  });
+});
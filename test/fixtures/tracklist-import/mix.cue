@@ -0,0 +1,16 @@
+REM GENRE "Afro"
+PERFORMER "The Groove Library"
+TITLE "Afro Set"
+FILE "afro-set.mp3" MP3
+  TRACK 01 AUDIO
+    TITLE "Ohiani Sua Efir"
+    PERFORMER "Ebo Taylor"
+    INDEX 01 00:00:00
+  TRACK 02 AUDIO
+    TITLE "Yesu San Bra"
+    PERFORMER "Pat Thomas"
+    INDEX 00 06:30:00
+    INDEX 01 06:35:37
+  TRACK 03 AUDIO
+    TITLE "Interlude"
+    INDEX 01 62:10:74
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeAtomic, createLimiter } from '../src/_lib/io.js';
+
+describe('writeAtomic', () => {
+  it('writes the file without leaving the temporary one behind', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'groove-library-io-'));
+
+    try {
+      writeAtomic(join(dir, 'entry.json'), '{"ok":true}');
+
+      assert.equal(readFileSync(join(dir, 'entry.json'), 'utf-8'), '{"ok":true}');
+      assert.deepEqual(readdirSync(dir), ['entry.json']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createLimiter', () => {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('never runs more tasks at once than the limit', async () => {
+    const withSlot = createLimiter(() => 2);
+    let active = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => withSlot(async () => {
+      peak = Math.max(peak, ++active);
+      await sleep(5);
+      active--;
+      return value * 2;
+    })));
+
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+    assert.equal(peak, 2);
+  });
+
+  it('frees the slot when a task fails', async () => {
+    const withSlot = createLimiter(() => 1);
+
+    await assert.rejects(withSlot(async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await withSlot(async () => 'next'), 'next');
+  });
+});
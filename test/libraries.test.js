@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLibraryRegistry, validateLibraryRegistry } from '../src/_lib/libraries.js';
+
+const entry = slug => ({ slug, username: 'legendarymusic', playlist: `${slug}-playlist` });
+
+describe('validateLibraryRegistry', () => {
+  it('accepts the registry on disk', () => {
+    assert.ok(loadLibraryRegistry().length > 0);
+  });
+
+  it('rejects entries missing a field', () => {
+    assert.throws(() => validateLibraryRegistry([{ slug: 'afro', username: 'legendarymusic' }]), /missing slug, username or playlist/);
+  });
+
+  it('rejects duplicate slugs', () => {
+    assert.throws(() => validateLibraryRegistry([entry('afro'), entry('afro')]), /Duplicate library slug in registry: afro/);
+  });
+
+  it('reserves the slug of the feed of all mixes', () => {
+    assert.throws(() => validateLibraryRegistry([entry('all')]), /"all" is reserved/);
+  });
+});
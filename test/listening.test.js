@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FINISHED_MARGIN,
+  MAX_CONTINUE,
+  MIN_POSITION,
+  continueListening,
+  linkTimeParam,
+  mixPageSlug,
+  pickNext,
+  progressAction,
+  recordPosition,
+  toggleQueued
+} from '../src/js/listening.js';
+import { parseLinkTime } from '../src/_lib/timestamps.js';
+
+describe('progressAction', () => {
+  it('saves nothing before the resume threshold', () => {
+    assert.equal(progressAction(MIN_POSITION - 1, 3600, null), null);
+    assert.equal(progressAction(MIN_POSITION, 3600, null), 'save');
+  });
+
+  it('saves every few seconds of playback, and after a seek back', () => {
+    assert.equal(progressAction(62, 3600, 60), null);
+    assert.equal(progressAction(65, 3600, 60), 'save');
+    assert.equal(progressAction(40, 3600, 600), 'save');
+  });
+
+  it('marks a mix finished once, near its end', () => {
+    assert.equal(progressAction(3600 - FINISHED_MARGIN, 3600, 3000), 'finished');
+    assert.equal(progressAction(3590, 3600, 'finished'), null);
+    // Without a known length, only the end event finishes it
+    assert.equal(progressAction(3590, 0, 3580), 'save');
+  });
+
+  it('starts saving again after a finished mix is replayed', () => {
+    assert.equal(progressAction(120, 3600, 'finished'), 'save');
+  });
+});
+
+describe('recordPosition', () => {
+  const mix = { title: 'Go On', url: '/mixes/go-on/', image: 'https://thumbnailer.mixcloud.com/go-on.jpg' };
+
+  it('saves whole seconds with the card\'s details', () => {
+    assert.deepEqual(recordPosition(undefined, { position: 125.7, duration: 3600.4, finished: false, now: 1000 }, mix), {
+      position: 125,
+      duration: 3600,
+      listened: false,
+      updated: 1000,
+      ...mix
+    });
+  });
+
+  it('clears the position of a finished mix and keeps it listened', () => {
+    const finished = recordPosition({ position: 3500, duration: 3600 }, { position: 0, duration: 0, finished: true, now: 2000 }, mix);
+    assert.equal(finished.position, 0);
+    assert.equal(finished.duration, 3600);
+    assert.equal(finished.listened, true);
+
+    const replayed = recordPosition(finished, { position: 60, duration: 3600, finished: false, now: 3000 }, mix);
+    assert.equal(replayed.position, 60);
+    assert.equal(replayed.listened, true);
+  });
+});
+
+describe('continueListening', () => {
+  it('lists unfinished mixes, most recently played first', () => {
+    const entry = (title, position, updated) => ({ title, url: `/mixes/${title}/`, position, updated });
+    const entries = {
+      a: entry('a', 300, 1),
+      b: entry('b', 0, 5),
+      c: entry('c', 120, 3),
+      d: { position: 90, updated: 4 }
+    };
+    assert.deepEqual(continueListening(entries).map(item => item.title), ['c', 'a']);
+  });
+
+  it('keeps the strip short', () => {
+    const entries = Object.fromEntries(Array.from({ length: 10 }, (_, index) => [index, { title: `${index}`, url: '/', position: 60, updated: index }]));
+    assert.equal(continueListening(entries).length, MAX_CONTINUE);
+  });
+});
+
+describe('pickNext', () => {
+  const cards = ['a', 'b', 'c', 'd'];
+  const hidden = new Set(['c']);
+  const options = {
+    cards,
+    queue: [],
+    played: new Set(),
+    isVisible: card => !hidden.has(card)
+  };
+
+  it('plays the next visible card on the page', () => {
+    assert.equal(pickNext({ ...options, order: 'next', current: 'b' }), 'd');
+    assert.equal(pickNext({ ...options, order: 'next', current: 'd' }), null);
+  });
+
+  it('carries on after a card that was hidden while it played', () => {
+    assert.equal(pickNext({ ...options, order: 'next', current: 'c' }), 'd');
+  });
+
+  it('shuffles through visible cards not yet played', () => {
+    const played = new Set(['a', 'b']);
+    assert.equal(pickNext({ ...options, order: 'shuffle', current: 'b', played, random: () => 0.99 }), 'd');
+    assert.equal(pickNext({ ...options, order: 'shuffle', current: 'd', played: new Set(cards) }), null);
+  });
+
+  it('follows the queue, skipping hidden cards', () => {
+    assert.equal(pickNext({ ...options, order: 'queue', current: 'a', queue: ['c', 'b'] }), 'b');
+    assert.equal(pickNext({ ...options, order: 'queue', current: 'a', queue: [] }), null);
+  });
+});
+
+describe('toggleQueued', () => {
+  it('adds to the end, or takes off', () => {
+    assert.deepEqual(toggleQueued(['a'], 'b'), ['a', 'b']);
+    assert.deepEqual(toggleQueued(['a', 'b', 'c'], 'b'), ['a', 'c']);
+  });
+});
+
+describe('links into a mix', () => {
+  it('reads the time from the hash before the query string', () => {
+    assert.equal(linkTimeParam({ hash: '#t=90', search: '?t=1h02m' }), '90');
+    assert.equal(parseLinkTime(linkTimeParam({ hash: '', search: '?t=1h02m' })), 3720);
+    assert.equal(parseLinkTime(linkTimeParam({ hash: '#t=1:02:00', search: '' })), 3720);
+    assert.equal(parseLinkTime(linkTimeParam({ hash: '', search: '' })), null);
+  });
+
+  it('finds the mix page\'s slug', () => {
+    assert.equal(mixPageSlug('/mixes/go-on/'), 'go-on');
+    assert.equal(mixPageSlug('/mixes/caf%C3%A9'), 'café');
+    assert.equal(mixPageSlug('/mixes/'), null);
+    assert.equal(mixPageSlug('/the-libraries/afro/'), null);
+  });
+});
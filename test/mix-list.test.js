@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeMix, formatDuration } from '../src/js/mix-list.js';
+
+describe('formatDuration', () => {
+  it('formats minutes, with hours from an hour', () => {
+    assert.equal(formatDuration(45 * 60), '45m');
+    assert.equal(formatDuration(3725), '1h 2m');
+    assert.equal(formatDuration(0), '0m');
+  });
+});
+
+describe('describeMix', () => {
+  it('lists the date, length and libraries that are known', () => {
+    assert.equal(
+      describeMix({ date: '2023-05-01', duration: 3725, libraries: ['The Groove Library', 'The Afro Groove Library'] }),
+      'May 1, 2023 · 1h 2m · The Groove Library, The Afro Groove Library'
+    );
+    assert.equal(describeMix({ date: '', duration: 0 }), '');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachPageSlugs, collectMixes, getMixUrl } from '../src/_lib/mixes.js';
+
+const goOn = { key: '/legendarymusic/go-on/', slug: 'go-on', name: 'Go On' };
+const tokyo = { key: '/legendarymusic/tokyo-202021/', slug: 'tokyo-202021', name: 'Tokyo 2020/21' };
+
+const libraries = {
+  groove: { slug: 'groove', title: 'The Groove Library', url: '/', theme: 'home', cloudcasts: [goOn, tokyo] },
+  afro: { slug: 'afro', title: 'The Afro Groove Library', url: '/the-libraries/afro/', theme: 'afro', cloudcasts: [goOn] },
+  japan: { slug: 'japan', title: 'The Japan Groove Library', url: '/the-libraries/japan/', theme: 'japan', cloudcasts: [], error: 'HTTP 500' }
+};
+
+describe('getMixUrl', () => {
+  it('uses the cloudcast slug', () => {
+    assert.equal(getMixUrl(goOn), '/mixes/go-on/');
+  });
+
+  it('uses the page slug when one was attached', () => {
+    assert.equal(getMixUrl({ ...goOn, pageSlug: 'otheruser-go-on' }), '/mixes/otheruser-go-on/');
+  });
+});
+
+describe('attachPageSlugs', () => {
+  const otherGoOn = { key: '/otheruser/go-on/', slug: 'go-on', name: 'Go On (Other User)' };
+  const pageSlugs = result => Object.fromEntries(Object.entries(result).map(([slug, library]) => [slug, library.cloudcasts.map(mix => mix.pageSlug)]));
+
+  it('keeps the Mixcloud slug for the site\'s own mixes', () => {
+    assert.deepEqual(pageSlugs(attachPageSlugs(libraries, 'legendarymusic')), {
+      groove: ['go-on', 'tokyo-202021'],
+      afro: ['go-on'],
+      japan: []
+    });
+  });
+
+  it('always puts the username in front of another user\'s mix', () => {
+    const result = attachPageSlugs({ other: { slug: 'other', cloudcasts: [otherGoOn] } }, 'legendarymusic');
+    assert.deepEqual(pageSlugs(result), { other: ['otheruser-go-on'] });
+  });
+
+  it('gives the same slugs whatever order the libraries and mixes come in', () => {
+    const groove = { slug: 'groove', cloudcasts: [goOn, tokyo] };
+    const other = { slug: 'other', cloudcasts: [otherGoOn] };
+
+    const before = attachPageSlugs({ groove, other }, 'legendarymusic');
+    const after = attachPageSlugs({ other, groove: { ...groove, cloudcasts: [tokyo, goOn] } }, 'legendarymusic');
+    const urls = result => Object.fromEntries(collectMixes(result).map(mix => [mix.key, getMixUrl(mix)]));
+
+    assert.deepEqual(urls(after), urls(before));
+    assert.equal(urls(after)['/legendarymusic/go-on/'], '/mixes/go-on/');
+    assert.equal(urls(after)['/otheruser/go-on/'], '/mixes/otheruser-go-on/');
+  });
+});
+
+describe('collectMixes', () => {
+  it('lists each mix once, in library order', () => {
+    assert.deepEqual(collectMixes(libraries).map(mix => mix.slug), ['go-on', 'tokyo-202021']);
+  });
+
+  it('records every library a mix belongs to', () => {
+    const [mix] = collectMixes(libraries);
+
+    assert.deepEqual(mix.libraries, [
+      { slug: 'groove', title: 'The Groove Library', url: '/', theme: 'home' },
+      { slug: 'afro', title: 'The Afro Groove Library', url: '/the-libraries/afro/', theme: 'afro' }
+    ]);
+  });
+
+  it('accepts an array of libraries', () => {
+    assert.equal(collectMixes(Object.values(libraries)).length, 2);
+  });
+
+  it('does not modify the library cloudcasts', () => {
+    collectMixes(libraries);
+    assert.equal(goOn.libraries, undefined);
+  });
+});
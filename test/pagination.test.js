@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPager,
+  getPageUrl,
+  libraryPageData,
+  getLibraryManifestUrl,
+  buildLibraryManifest,
+  DEFAULT_PAGE_SIZE
+} from '../src/_lib/pagination.js';
+
+describe('getPageUrl', () => {
+  it('keeps the library URL for the first page', () => {
+    assert.equal(getPageUrl('/the-libraries/afro/', 1), '/the-libraries/afro/');
+    assert.equal(getPageUrl('/', 1), '/');
+  });
+
+  it('puts later pages under page/<n>/', () => {
+    assert.equal(getPageUrl('/the-libraries/afro/', 2), '/the-libraries/afro/page/2/');
+    assert.equal(getPageUrl('/', 3), '/page/3/');
+    assert.equal(getPageUrl('/easton-chop-up', 2), '/easton-chop-up/page/2/');
+  });
+});
+
+describe('buildPager', () => {
+  const numbers = pager => pager.pages.map(page => (page.gap ? '…' : page.number));
+
+  it('links to the previous and next pages', () => {
+    const pager = buildPager('/', 2, 3, { pageSize: 10, itemCount: 25 });
+    assert.equal(pager.previous, '/');
+    assert.equal(pager.next, '/page/3/');
+    assert.deepEqual(numbers(pager), [1, 2, 3]);
+    assert.deepEqual(pager.pages[1], { number: 2, url: '/page/2/', current: true });
+  });
+
+  it('has no previous link on the first page or next link on the last', () => {
+    assert.equal(buildPager('/', 1, 3).previous, null);
+    assert.equal(buildPager('/', 3, 3).next, null);
+  });
+
+  it('elides pages far from the current one', () => {
+    assert.deepEqual(numbers(buildPager('/', 1, 10)), [1, 2, '…', 10]);
+    assert.deepEqual(numbers(buildPager('/', 5, 10)), [1, '…', 4, 5, 6, '…', 10]);
+    assert.deepEqual(numbers(buildPager('/', 10, 10)), [1, '…', 9, 10]);
+  });
+
+  it('shows a lone skipped page instead of a gap', () => {
+    assert.deepEqual(numbers(buildPager('/', 3, 5)), [1, 2, 3, 4, 5]);
+  });
+
+  it('describes the range of mixes on the page', () => {
+    const pager = buildPager('/', 3, 3, { pageSize: 10, itemCount: 25 });
+    assert.equal(pager.first, 21);
+    assert.equal(pager.last, 25);
+    assert.equal(pager.itemCount, 25);
+  });
+
+  it('treats an empty library as one page', () => {
+    const pager = buildPager('/', 1, 0);
+    assert.equal(pager.total, 1);
+    assert.equal(pager.first, 0);
+    assert.equal(pager.last, 0);
+  });
+});
+
+describe('libraryPageData', () => {
+  it('paginates the library into pageMixes at its URL', () => {
+    const data = libraryPageData('afro');
+    assert.equal(data.pagination.data, 'libraries.afro.cloudcasts');
+    assert.equal(data.librarySlug, 'afro');
+    assert.equal(data.pagination.size, DEFAULT_PAGE_SIZE);
+    assert.deepEqual(data.eleventyComputed.pageMixes({ pagination: { items: [] } }), []);
+    assert.equal(data.permalink({ pagination: { pageNumber: 0 } }), '/the-libraries/afro/');
+    assert.equal(data.permalink({ pagination: { pageNumber: 1 } }), '/the-libraries/afro/page/2/');
+  });
+
+  it('computes the pager from the whole library', () => {
+    const { eleventyComputed } = libraryPageData('afro');
+    const pager = eleventyComputed.pager({
+      pagination: { pageNumber: 1, pages: [[], []] },
+      libraries: { afro: { cloudcasts: new Array(30).fill({}) } }
+    });
+    assert.equal(pager.current, 2);
+    assert.equal(pager.first, 25);
+    assert.equal(pager.last, 30);
+  });
+
+  it('rejects a slug missing from the registry', () => {
+    assert.throws(() => libraryPageData('nowhere'), /No library "nowhere"/);
+  });
+});
+
+describe('buildLibraryManifest', () => {
+  const goOn = {
+    key: '/legendarymusic/go-on/',
+    slug: 'go-on',
+    name: 'Go On',
+    created_time: '2023-05-01T12:00:00Z',
+    audio_length: 3725,
+    play_count: 42,
+    tags: [{ name: 'Afro Funk' }, { name: 'Highlife' }],
+    sections: [{ start_time: 0 }],
+    pictures: { medium: 'https://thumbnailer.mixcloud.com/go-on-medium.jpg' }
+  };
+  const untitled = { key: '/legendarymusic/untitled/', slug: 'untitled', name: 'Untitled' };
+
+  it('lists every mix in library order with what the toolbar filters on', () => {
+    const manifest = buildLibraryManifest({ slug: 'afro', cloudcasts: [goOn, untitled] });
+
+    assert.equal(manifest.slug, 'afro');
+    assert.equal(manifest.count, 2);
+    assert.deepEqual(manifest.mixes[0], {
+      slug: 'go-on',
+      url: '/mixes/go-on/',
+      title: 'Go On',
+      date: '2023-05-01T12:00:00Z',
+      duration: 3725,
+      plays: 42,
+      tags: ['afro-funk', 'highlife'],
+      tracklist: true,
+      image: 'https://thumbnailer.mixcloud.com/go-on-medium.jpg'
+    });
+    assert.deepEqual(manifest.mixes[1], {
+      slug: 'untitled',
+      url: '/mixes/untitled/',
+      title: 'Untitled',
+      date: '',
+      duration: 0,
+      plays: 0,
+      tags: [],
+      tracklist: false,
+      image: undefined
+    });
+  });
+
+  it('is published per library', () => {
+    assert.equal(getLibraryManifestUrl('afro'), '/libraries/afro.json');
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeApi, silenceConsole } from './setup.js';
+
+const fake = await startFakeApi({ pageSize: 1 });
+silenceConsole();
+
+const {
+  fetchPlaylistCloudcasts,
+  fetchCloudcastDetails,
+  mergeDetails,
+  getDetailOptions,
+  mergeTracklists,
+  getCloudcastSlug,
+  fetchLibrary
+} = await import('../src/_lib/playlists.js');
+const { saveSnapshot } = await import('../src/_lib/snapshots.js');
+const { resetRequests } = await import('../src/_lib/api.js');
+
+const groove = {
+  slug: 'groove',
+  title: 'The Groove Library',
+  username: 'legendarymusic',
+  playlist: 'the-groove-library'
+};
+
+beforeEach(() => {
+  fake.reset();
+  resetRequests();
+  delete process.env.MIXCLOUD_STRICT;
+  delete process.env.MIXCLOUD_DETAILS;
+});
+
+describe('fetchPlaylistCloudcasts', () => {
+  it('follows paging.next through every page', async () => {
+    const cloudcasts = await fetchPlaylistCloudcasts('legendarymusic', 'the-groove-library');
+
+    assert.deepEqual(cloudcasts.map(getCloudcastSlug), [
+      'legendarymusic/the-afro-groove-library-the-groove-library-vol-1',
+      'legendarymusic/go-on',
+      'legendarymusic/tokyo-202021'
+    ]);
+    assert.equal(fake.requests.length, 3);
+  });
+
+  it('stops at the page limit', async () => {
+    const cloudcasts = await fetchPlaylistCloudcasts('legendarymusic', 'the-groove-library', 2);
+
+    assert.equal(cloudcasts.length, 2);
+    assert.equal(fake.requests.length, 2);
+  });
+
+  it('returns summary objects without descriptions', async () => {
+    const [cloudcast] = await fetchPlaylistCloudcasts('legendarymusic', 'the-japan-groove-library');
+
+    assert.equal(cloudcast.name, 'Tokyo 2020/21');
+    assert.equal(cloudcast.description, undefined);
+  });
+
+  it('throws for an unknown playlist', async () => {
+    await assert.rejects(
+      fetchPlaylistCloudcasts('legendarymusic', 'no-such-playlist'),
+      /HTTP 404/
+    );
+  });
+});
+
+describe('getDetailOptions', () => {
+  it('fetches details only with MIXCLOUD_DETAILS=1', () => {
+    assert.equal(getDetailOptions({}).enabled, false);
+    assert.equal(getDetailOptions({ MIXCLOUD_DETAILS: '0' }).enabled, false);
+    assert.equal(getDetailOptions({ MIXCLOUD_DETAILS: '1' }).enabled, true);
+  });
+});
+
+describe('mergeDetails', () => {
+  it('adds detail fields but not Mixcloud\'s own tracklist', () => {
+    const summary = { key: '/legendarymusic/go-on/', name: 'Go On', tags: [{ name: 'Funk' }] };
+    const merged = mergeDetails(summary, {
+      key: '/legendarymusic/go-on/',
+      name: 'Go On',
+      description: 'A journey.',
+      tags: [{ name: 'Funk' }, { name: 'Soul' }],
+      sections: [{ track: { artist: { name: 'Fela Kuti' }, name: 'Zombie' } }]
+    });
+
+    assert.equal(merged.description, 'A journey.');
+    assert.equal(merged.tags.length, 2);
+    assert.equal(merged.sections, undefined);
+  });
+});
+
+describe('fetchCloudcastDetails', () => {
+  it('fetches each cloudcast\'s full details', async () => {
+    const cloudcasts = await fetchPlaylistCloudcasts('legendarymusic', 'the-afro-groove-library');
+    fake.reset();
+
+    const detailed = await fetchCloudcastDetails(cloudcasts);
+
+    assert.equal(detailed.find(mix => mix.slug === 'go-on').description.startsWith('A journey from Lagos'), true);
+    assert.deepEqual(fake.requests.sort(), [
+      '/legendarymusic/go-on/',
+      '/legendarymusic/the-afro-groove-library-the-groove-library-vol-1/'
+    ]);
+  });
+
+  it('keeps the summary when the details can\'t be fetched', async () => {
+    const summary = { key: '/legendarymusic/deleted-mix/', name: 'Deleted Mix' };
+    const [cloudcast] = await fetchCloudcastDetails([summary]);
+
+    assert.equal(cloudcast, summary);
+  });
+});
+
+describe('mergeTracklists', () => {
+  const cloudcasts = [
+    { key: '/legendarymusic/go-on/', name: 'Go On' },
+    { key: '/legendarymusic/island-hopping/', name: 'Island Hopping' }
+  ];
+
+  it('converts manual tracklists to API sections', () => {
+    const [goOn] = mergeTracklists(cloudcasts, {
+      'legendarymusic/go-on': [
+        { position: 1, artist: 'Fela Kuti', track: 'Zombie', start_time: 0 },
+        { position: 2, artist: 'Tony Allen', track: 'Asiko', start_time: 245 }
+      ]
+    });
+
+    // A track at 0:00 keeps its start time, so it can still be jumped to
+    assert.deepEqual(goOn.sections, [
+      { section_type: 'track', position: 1, track: { artist: 'Fela Kuti', name: 'Zombie' }, start_time: 0 },
+      { section_type: 'track', position: 2, track: { artist: 'Tony Allen', name: 'Asiko' }, start_time: 245 }
+    ]);
+  });
+
+  it('leaves cloudcasts without a tracklist untouched', () => {
+    const [, islandHopping] = mergeTracklists(cloudcasts, {});
+    assert.equal(islandHopping, cloudcasts[1]);
+  });
+
+  it('does not modify the original cloudcasts', () => {
+    mergeTracklists(cloudcasts, { 'legendarymusic/go-on': [] });
+    assert.equal(cloudcasts[0].sections, undefined);
+  });
+});
+
+describe('fetchLibrary', () => {
+  const tracklists = {
+    'legendarymusic/go-on': [{ position: 1, artist: 'Fela Kuti', track: 'Zombie' }]
+  };
+
+  it('returns registry fields with merged cloudcasts', async () => {
+    const library = await fetchLibrary(groove, tracklists);
+
+    assert.equal(library.slug, 'groove');
+    assert.equal(library.playlistSlug, 'the-groove-library');
+    assert.equal(library.count, 3);
+    assert.equal(library.error, undefined);
+    assert.equal(library.stale, undefined);
+    assert.ok(library.fetchedAt);
+    assert.equal(library.cloudcasts.find(mix => mix.slug === 'go-on').sections.length, 1);
+  });
+
+  it('merges in each cloudcast\'s details with MIXCLOUD_DETAILS=1', async () => {
+    process.env.MIXCLOUD_DETAILS = '1';
+
+    const library = await fetchLibrary(groove, tracklists);
+    assert.match(library.cloudcasts.find(mix => mix.slug === 'go-on').description, /Lagos to Detroit/);
+  });
+
+  it('skips the details by default', async () => {
+    const library = await fetchLibrary(groove, tracklists);
+
+    assert.equal(library.cloudcasts.find(mix => mix.slug === 'go-on').description, undefined);
+    assert.ok(fake.requests.every(path => path.includes('/playlists/')));
+  });
+
+  it('returns an empty, error-shaped result when the fetch fails', async () => {
+    const library = await fetchLibrary({ ...groove, playlist: 'missing-playlist' }, tracklists);
+
+    assert.deepEqual(library.cloudcasts, []);
+    assert.equal(library.count, 0);
+    assert.match(library.error, /HTTP 404/);
+    assert.equal(library.stale, undefined);
+  });
+
+  it('falls back to the newest snapshot and marks it stale', async () => {
+    saveSnapshot('playlist-legendarymusic-old-playlist', {
+      cloudcasts: [{ key: '/legendarymusic/go-on/', name: 'Go On' }],
+      fetchedAt: '2025-01-01T00:00:00.000Z'
+    });
+
+    const library = await fetchLibrary({ ...groove, playlist: 'old-playlist' }, tracklists);
+
+    assert.equal(library.stale, true);
+    assert.equal(library.count, 1);
+    assert.equal(library.fetchedAt, '2025-01-01T00:00:00.000Z');
+    assert.match(library.error, /HTTP 404/);
+    assert.equal(library.cloudcasts[0].sections.length, 1, 'merges current tracklists');
+  });
+
+  it('throws in strict mode when there is no snapshot', async () => {
+    process.env.MIXCLOUD_STRICT = '1';
+
+    await assert.rejects(
+      fetchLibrary({ ...groove, playlist: 'never-fetched' }, tracklists),
+      /Strict mode/
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CRATE_KEY,
+  LISTENING_KEY,
+  allowsPreferences,
+  applyConsent,
+  parseCrate,
+  parseListening,
+  readCrate,
+  readListening,
+  trimListening,
+  writeCrate,
+  writeListening
+} from '../src/js/preferences.js';
+
+/**
+ * A localStorage stand-in
+ */
+function fakeStorage(items = {}) {
+  const store = new Map(Object.entries(items));
+  return {
+    store,
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  };
+}
+
+/**
+ * Stand in for the consent manager in base.njk
+ */
+function giveConsent(consent) {
+  globalThis.window = { __cookieConsent: { getConsent: () => consent } };
+}
+
+describe('allowsPreferences', () => {
+  it('needs a choice that includes preferences', () => {
+    assert.equal(allowsPreferences({ necessary: true, preferences: true }), true);
+    assert.equal(allowsPreferences({ necessary: true, preferences: false }), false);
+    assert.equal(allowsPreferences(null), false);
+  });
+});
+
+describe('stored shapes', () => {
+  it('keeps only slugs in the crate', () => {
+    assert.deepEqual(parseCrate(['go-on', '../admin', 42, 'highlife_heat']), ['go-on', 'highlife_heat']);
+    assert.deepEqual(parseCrate({ slug: 'go-on' }), []);
+    assert.deepEqual(parseCrate(null), []);
+  });
+
+  it('keeps only listening entries with a position', () => {
+    const entry = { position: 125, duration: 3600, listened: false, updated: 1, title: 'Go On', url: '/mixes/go-on/' };
+    assert.deepEqual(parseListening({ '/legendarymusic/go-on/': entry, '/legendarymusic/broken/': { position: 'soon' }, '/legendarymusic/null/': null }), {
+      '/legendarymusic/go-on/': entry
+    });
+    assert.deepEqual(parseListening(['go-on']), {});
+    assert.deepEqual(parseListening(null), {});
+  });
+
+  it('keeps the most recently played mixes', () => {
+    const entries = { a: { position: 1, updated: 1 }, b: { position: 1, updated: 3 }, c: { position: 1, updated: 2 } };
+    assert.deepEqual(Object.keys(trimListening(entries, 2)), ['b', 'c']);
+  });
+});
+
+describe('reading and writing', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = fakeStorage({
+      [CRATE_KEY]: JSON.stringify(['go-on']),
+      [LISTENING_KEY]: JSON.stringify({ '/legendarymusic/go-on/': { position: 125, updated: 1 } })
+    });
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  it('reads what was saved, with consent', () => {
+    giveConsent({ preferences: true });
+    assert.deepEqual(readCrate(storage), ['go-on']);
+    assert.equal(readListening(storage)['/legendarymusic/go-on/'].position, 125);
+  });
+
+  it('reads nothing without consent, and leaves storage alone', () => {
+    giveConsent({ preferences: false });
+    assert.deepEqual(readCrate(storage), []);
+    assert.deepEqual(readListening(storage), {});
+
+    delete globalThis.window;
+    assert.deepEqual(readCrate(storage), []);
+    assert.equal(storage.store.size, 2);
+  });
+
+  it('reads nothing from invalid JSON', () => {
+    giveConsent({ preferences: true });
+    storage.setItem(CRATE_KEY, '{');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(readCrate(storage), []);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('writes JSON, trimming the listening history', () => {
+    writeCrate(['go-on', 'highlife-heat'], storage);
+    assert.equal(storage.getItem(CRATE_KEY), '["go-on","highlife-heat"]');
+
+    const entries = Object.fromEntries(Array.from({ length: 60 }, (_, index) => [`/user/mix-${index}/`, { position: 60, updated: index }]));
+    writeListening(entries, storage);
+    const saved = JSON.parse(storage.getItem(LISTENING_KEY));
+    assert.equal(Object.keys(saved).length, 50);
+    assert.ok(saved['/user/mix-59/']);
+    assert.ok(!saved['/user/mix-0/']);
+  });
+});
+
+describe('applyConsent', () => {
+  it('deletes the crate and positions when preferences are declined or reset', () => {
+    for (const consent of [{ preferences: false }, null]) {
+      const storage = fakeStorage({ [CRATE_KEY]: '[]', [LISTENING_KEY]: '{}', groovelibrary_consent: '{}' });
+      assert.equal(applyConsent(consent, storage), true);
+      assert.deepEqual([...storage.store.keys()], ['groovelibrary_consent']);
+    }
+  });
+
+  it('keeps them when preferences are allowed', () => {
+    const storage = fakeStorage({ [CRATE_KEY]: '[]', [LISTENING_KEY]: '{}' });
+    assert.equal(applyConsent({ preferences: true }, storage), false);
+    assert.equal(storage.store.size, 2);
+  });
+});
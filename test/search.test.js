@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex } from '../src/_lib/search.js';
+
+const goOn = {
+  key: '/legendarymusic/go-on/',
+  slug: 'go-on',
+  name: 'Go On',
+  created_time: '2023-05-01T12:00:00Z',
+  description: '<p>A trip through <b>Afro-funk</b>.</p>',
+  pictures: { medium: 'https://thumbnailer.mixcloud.com/go-on-medium.jpg' },
+  tags: [{ name: 'Afrobeat' }],
+  sections: [
+    { section_type: 'track', position: 1, track: { artist: 'Kokolo feat. Jojo Kuo', name: 'Mighty Mighty' } }
+  ]
+};
+const untitled = { key: '/legendarymusic/untitled/', slug: 'untitled', name: 'Untitled' };
+
+const libraries = {
+  groove: { slug: 'groove', title: 'The Groove Library', url: '/', theme: 'home', summary: 'Global grooves.', cloudcasts: [goOn] },
+  afro: { slug: 'afro', title: 'The Afro Groove Library', url: '/the-libraries/afro/', theme: 'afro', cloudcasts: [goOn, untitled] }
+};
+
+describe('buildSearchIndex', () => {
+  const { docs } = buildSearchIndex(libraries);
+  const byUrl = url => docs.find(doc => doc.url === url);
+
+  it('indexes every mix once, with its searchable fields', () => {
+    assert.deepEqual(byUrl('/mixes/go-on/'), {
+      type: 'mix',
+      url: '/mixes/go-on/',
+      title: 'Go On',
+      date: '2023-05-01',
+      image: 'https://thumbnailer.mixcloud.com/go-on-medium.jpg',
+      description: 'A trip through Afro-funk.',
+      tags: ['Afrobeat'],
+      libraries: ['The Groove Library', 'The Afro Groove Library'],
+      artists: ['Kokolo', 'Jojo Kuo'],
+      tracks: ['Kokolo feat. Jojo Kuo - Mighty Mighty']
+    });
+    assert.equal(docs.filter(doc => doc.url === '/mixes/go-on/').length, 1);
+  });
+
+  it('leaves out empty fields', () => {
+    assert.deepEqual(byUrl('/mixes/untitled/'), {
+      type: 'mix',
+      url: '/mixes/untitled/',
+      title: 'Untitled',
+      libraries: ['The Afro Groove Library']
+    });
+  });
+
+  it('indexes libraries, tags and artists as their own results', () => {
+    assert.deepEqual(byUrl('/'), { type: 'library', url: '/', title: 'The Groove Library', description: 'Global grooves.' });
+    assert.deepEqual(byUrl('/tags/afrobeat/'), { type: 'tag', url: '/tags/afrobeat/', title: 'Afrobeat', count: 1 });
+    assert.deepEqual(byUrl('/artists/jojo-kuo/'), { type: 'artist', url: '/artists/jojo-kuo/', title: 'Jojo Kuo', count: 1 });
+  });
+});
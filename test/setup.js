@@ -0,0 +1,46 @@
+/**
+ * Shared test setup
+ *
+ * Starts the fake Mixcloud API and points the data layer at it, with the
+ * response cache and snapshots in a throwaway directory. Call before
+ * importing anything from src/_lib/ - the API base URL is read on import.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, mock } from 'node:test';
+import { createFakeMixcloudServer } from '../scripts/fake-mixcloud-server.js';
+
+/**
+ * Start the fake API for the current test file
+ * @param {object} options - createFakeMixcloudServer() options
+ * @returns {Promise<object>} Fake server controls, plus `tmpDir`
+ */
+export async function startFakeApi(options = {}) {
+  const fake = createFakeMixcloudServer(options);
+  const tmpDir = mkdtempSync(join(tmpdir(), 'groove-library-test-'));
+
+  process.env.MIXCLOUD_API_BASE = await fake.listen();
+  process.env.MIXCLOUD_CACHE_DIR = join(tmpDir, 'cache');
+  process.env.MIXCLOUD_SNAPSHOT_DIR = join(tmpDir, 'snapshots');
+  // Every request goes to the fake server unless a test opts back in
+  process.env.MIXCLOUD_REFRESH = '1';
+
+  after(async () => {
+    await fake.close();
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  fake.tmpDir = tmpDir;
+  return fake;
+}
+
+/**
+ * Silence build logging for the current test file
+ */
+export function silenceConsole() {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
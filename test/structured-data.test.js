@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import structuredData from '../src/_data/structuredData.js';
+
+const fixture = name => JSON.parse(
+  readFileSync(new URL(`./fixtures/mixcloud/cloudcasts/${name}.json`, import.meta.url), 'utf-8')
+);
+
+const goOn = fixture('go-on');
+const islandHopping = fixture('island-hopping');
+
+describe('generateWebSiteSchema', () => {
+  it('advertises the site search action', () => {
+    const schema = structuredData.generateWebSiteSchema();
+
+    assert.equal(schema['@type'], 'WebSite');
+    assert.equal(schema.potentialAction.target.urlTemplate, 'https://thegroovelibrary.net/?s={search_term_string}');
+  });
+});
+
+describe('generateBreadcrumbSchema', () => {
+  it('numbers crumbs from 1 with absolute URLs', () => {
+    const schema = structuredData.generateBreadcrumbSchema([
+      { name: 'Home', url: '/' },
+      { name: 'The Libraries', url: '/the-libraries/' }
+    ]);
+
+    assert.deepEqual(schema.itemListElement[1], {
+      '@type': 'ListItem',
+      position: 2,
+      name: 'The Libraries',
+      item: 'https://thegroovelibrary.net/the-libraries/'
+    });
+  });
+});
+
+describe('generateMusicRecordingSchema', () => {
+  it('points at the mix page and links back to Mixcloud', () => {
+    const mix = { ...goOn, libraries: [{ title: 'The Afro Groove Library', url: '/the-libraries/afro/' }] };
+    const schema = structuredData.generateMusicRecordingSchema(mix, 'https://thegroovelibrary.net/mixes/go-on/');
+
+    assert.equal(schema['@id'], 'https://thegroovelibrary.net/mixes/go-on/');
+    assert.equal(schema.url, 'https://thegroovelibrary.net/mixes/go-on/');
+    assert.equal(schema.sameAs, goOn.url);
+    assert.deepEqual(schema.inPlaylist, [{
+      '@type': 'MusicPlaylist',
+      name: 'The Afro Groove Library',
+      url: 'https://thegroovelibrary.net/the-libraries/afro/'
+    }]);
+  });
+
+  it('defaults to the Mixcloud URL', () => {
+    const schema = structuredData.generateMusicRecordingSchema(islandHopping);
+
+    assert.equal(schema.url, islandHopping.url);
+    assert.equal(schema['@id'], undefined);
+  });
+
+  it('describes the mix on its own page', () => {
+    const mix = { ...goOn, libraries: [], description: 'A journey from Lagos\n\nto Detroit.' };
+
+    assert.equal(
+      structuredData.generateMusicRecordingSchema(mix, 'https://thegroovelibrary.net/mixes/go-on/').description,
+      'A journey from Lagos to Detroit.'
+    );
+    assert.equal(structuredData.generateMusicRecordingSchema(mix).description, undefined);
+  });
+});
+
+describe('generateMusicPlaylistSchema', () => {
+  it('describes each cloudcast as a MusicRecording on its own page', () => {
+    const schema = structuredData.generateMusicPlaylistSchema(
+      { name: 'The Afro Groove Library', description: 'Africa-rooted', cloudcasts: [goOn, islandHopping] },
+      'https://thegroovelibrary.net/the-libraries/afro/'
+    );
+
+    assert.equal(schema.numTracks, 2);
+    assert.deepEqual(schema.track[0], {
+      '@type': 'MusicRecording',
+      name: 'Go On',
+      url: `https://thegroovelibrary.net/mixes/${goOn.slug}/`,
+      sameAs: goOn.url,
+      datePublished: goOn.created_time,
+      duration: 'PT3725S',
+      image: goOn.pictures['1024wx1024h'],
+      genre: ['Afrobeat', 'Funk', 'Soul', 'Disco', 'Highlife', 'Boogie']
+    });
+    assert.equal(schema.track[1].image, undefined, 'cloudcast without pictures');
+  });
+
+  it('lists at most 20 tracks', () => {
+    const cloudcasts = Array.from({ length: 25 }, () => goOn);
+    const schema = structuredData.generateMusicPlaylistSchema({ name: 'Big', cloudcasts }, '/');
+
+    assert.equal(schema.numTracks, 25);
+    assert.equal(schema.track.length, 20);
+  });
+
+  it('handles an empty playlist', () => {
+    const schema = structuredData.generateMusicPlaylistSchema({ name: 'Empty', cloudcasts: [] }, '/');
+
+    assert.equal(schema.numTracks, 0);
+    assert.equal(schema.track, undefined);
+  });
+});
+
+describe('generateCollectionPageSchema', () => {
+  it('lists the first 10 cloudcasts', () => {
+    const cloudcasts = Array.from({ length: 12 }, () => goOn);
+    const schema = structuredData.generateCollectionPageSchema({ cloudcasts }, 'https://thegroovelibrary.net/');
+
+    assert.equal(schema.mainEntity.numberOfItems, 12);
+    assert.equal(schema.mainEntity.itemListElement.length, 10);
+    assert.equal(schema.mainEntity.itemListElement[9].position, 10);
+    assert.equal(schema.mainEntity.itemListElement[0].url, `https://thegroovelibrary.net/mixes/${goOn.slug}/`);
+  });
+
+  it('continues positions from earlier pages', () => {
+    const schema = structuredData.generateCollectionPageSchema(
+      { cloudcasts: [goOn], name: 'The Groove Library - Page 2', offset: 24 },
+      'https://thegroovelibrary.net/page/2/'
+    );
+
+    assert.equal(schema.name, 'The Groove Library - Page 2');
+    assert.equal(schema.mainEntity.itemListElement[0].position, 25);
+  });
+});
+
+describe('getSchemasForPage', () => {
+  it('always includes WebSite and Organization', () => {
+    const types = structuredData.getSchemasForPage({}).map(schema => schema['@type']);
+    assert.deepEqual(types, ['WebSite', 'Organization']);
+  });
+
+  it('adds breadcrumbs and the page-type schema', () => {
+    const types = structuredData.getSchemasForPage({
+      pageType: 'playlist',
+      breadcrumbs: [{ name: 'Home', url: '/' }],
+      playlistData: { name: 'Easton Chop Up', cloudcasts: [] }
+    }).map(schema => schema['@type']);
+
+    assert.deepEqual(types, ['WebSite', 'Organization', 'BreadcrumbList', 'MusicPlaylist']);
+  });
+});
+
+describe('toJSONLD', () => {
+  it('wraps each schema in a script tag', () => {
+    const html = structuredData.toJSONLD({ '@type': 'Thing' });
+    assert.equal(html, '<script type="application/ld+json">{"@type":"Thing"}</script>');
+  });
+});
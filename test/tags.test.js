@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { slugify } from '../src/_lib/slugify.js';
+import { collectTags, getTagUrl } from '../src/_lib/tags.js';
+
+const goOn = {
+  slug: 'go-on',
+  created_time: '2023-05-01T12:00:00Z',
+  tags: [{ name: 'Afrobeat' }, { name: 'Funk' }]
+};
+const tokyo = {
+  slug: 'tokyo-202021',
+  created_time: '2024-01-10T12:00:00Z',
+  tags: [{ name: 'City Pop' }, { name: 'funk' }]
+};
+const untagged = { slug: 'sunday-session', created_time: '2024-02-01T12:00:00Z' };
+
+describe('slugify', () => {
+  it('lowercases and hyphenates', () => {
+    assert.equal(slugify('City Pop'), 'city-pop');
+  });
+
+  it('strips accents and spells out ampersands', () => {
+    assert.equal(slugify('Rhythm & Blues'), 'rhythm-and-blues');
+    assert.equal(slugify('Música Popular Brasileira'), 'musica-popular-brasileira');
+  });
+
+  it('trims leading and trailing separators', () => {
+    assert.equal(slugify('  --Nu Disco!-- '), 'nu-disco');
+  });
+
+  it('keeps non-Latin letters', () => {
+    assert.equal(slugify('ゆらゆら帝国'), 'ゆらゆら帝国');
+  });
+});
+
+describe('getTagUrl', () => {
+  it('builds the tag page URL from the tag name', () => {
+    assert.equal(getTagUrl({ name: 'City Pop', key: '/discover/city-pop/' }), '/tags/city-pop/');
+  });
+});
+
+describe('collectTags', () => {
+  it('groups mixes by tag, sorted by name', () => {
+    const tags = collectTags([goOn, tokyo, untagged]);
+
+    assert.deepEqual(tags.map(tag => [tag.slug, tag.count]), [
+      ['afrobeat', 1],
+      ['city-pop', 1],
+      ['funk', 2]
+    ]);
+  });
+
+  it('merges tags that differ only in spelling, keeping the first name', () => {
+    const funk = collectTags([goOn, tokyo]).find(tag => tag.slug === 'funk');
+    assert.equal(funk.name, 'Funk');
+  });
+
+  it('lists mixes newest first', () => {
+    const funk = collectTags([goOn, tokyo]).find(tag => tag.slug === 'funk');
+    assert.deepEqual(funk.mixes.map(mix => mix.slug), ['tokyo-202021', 'go-on']);
+  });
+
+  it('counts a mix once when it repeats a tag', () => {
+    const repeated = { slug: 'repeat', tags: [{ name: 'Dub' }, { name: 'dub' }] };
+    assert.equal(collectTags([repeated])[0].count, 1);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { formatLinkTime, formatTimestamp, parseLinkTime, parseTimestamp } from '../src/_lib/timestamps.js';
+
+describe('formatTimestamp', () => {
+  it('formats m:ss under an hour and h:mm:ss from an hour', () => {
+    assert.equal(formatTimestamp(0), '0:00');
+    assert.equal(formatTimestamp(245), '4:05');
+    assert.equal(formatTimestamp(3723), '1:02:03');
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('parses m:ss, mm:ss and h:mm:ss', () => {
+    assert.equal(parseTimestamp('4:05'), 245);
+    assert.equal(parseTimestamp('62:03'), 3723);
+    assert.equal(parseTimestamp(' 1:02:03 '), 3723);
+  });
+
+  it('rejects anything else', () => {
+    assert.equal(parseTimestamp('4:5'), null);
+    assert.equal(parseTimestamp('1:60:00'), null);
+    assert.equal(parseTimestamp('4:75'), null);
+    assert.equal(parseTimestamp('245'), null);
+    assert.equal(parseTimestamp(undefined), null);
+  });
+});
+
+describe('formatLinkTime', () => {
+  it('formats seconds with units, padding after the first', () => {
+    assert.equal(formatLinkTime(45), '45s');
+    assert.equal(formatLinkTime(245), '4m05s');
+    assert.equal(formatLinkTime(3723), '1h02m03s');
+    assert.equal(formatLinkTime(3600), '1h00m00s');
+  });
+});
+
+describe('parseLinkTime', () => {
+  it('parses seconds, units and timestamps', () => {
+    assert.equal(parseLinkTime('3720'), 3720);
+    assert.equal(parseLinkTime('1h02m'), 3720);
+    assert.equal(parseLinkTime('1H2M3S'), 3723);
+    assert.equal(parseLinkTime('62m'), 3720);
+    assert.equal(parseLinkTime('90s'), 90);
+    assert.equal(parseLinkTime('1:02:00'), 3720);
+  });
+
+  it('reads what formatLinkTime writes', () => {
+    for (const seconds of [0, 45, 245, 3723]) {
+      assert.equal(parseLinkTime(formatLinkTime(seconds)), seconds);
+    }
+  });
+
+  it('rejects anything else', () => {
+    assert.equal(parseLinkTime(''), null);
+    assert.equal(parseLinkTime('soon'), null);
+    assert.equal(parseLinkTime('1h-2m'), null);
+    assert.equal(parseLinkTime(null), null);
+  });
+});
+
+describe('in the browser', () => {
+  it('has no imports, as lazy-player.js loads it as /js/timestamps.js', () => {
+    const source = readFileSync(new URL('../src/_lib/timestamps.js', import.meta.url), 'utf-8');
+    assert.doesNotMatch(source, /^import /m);
+  });
+});
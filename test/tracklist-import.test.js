@@ -0,0 +1,182 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  detectFormat,
+  importTracklist,
+  mergeTracklist,
+  parseCue,
+  parseSerato
+} from '../src/_lib/tracklist-import.js';
+
+const FIXTURES = new URL('./fixtures/tracklist-import/', import.meta.url);
+
+function fixture(name) {
+  return readFileSync(new URL(name, FIXTURES), 'utf-8');
+}
+
+/**
+ * Entries as "position. [start] Artist - Track" strings
+ */
+function summarise(tracklist) {
+  return tracklist.map(entry => `${entry.position}. ${entry.start_time !== undefined ? `[${entry.start_time}] ` : ''}${entry.artist} - ${entry.track}`);
+}
+
+describe('detectFormat', () => {
+  it('recognises each export by name and contents', () => {
+    assert.equal(detectFormat('collection.xml', fixture('rekordbox.xml')), 'rekordbox');
+    assert.equal(detectFormat('history.nml', fixture('traktor.nml')), 'traktor');
+    assert.equal(detectFormat('history.csv', fixture('serato.csv')), 'serato');
+    assert.equal(detectFormat('mix.cue', fixture('mix.cue')), 'cue');
+    assert.equal(detectFormat('playlist.txt', fixture('playlist.m3u8')), 'm3u');
+    assert.equal(detectFormat('notes.txt', 'Ebo Taylor - Ohiani Sua Efir'), 'text');
+    assert.equal(detectFormat('', 'Ebo Taylor - Ohiani Sua Efir'), 'text');
+    assert.equal(detectFormat('notes.pdf', '%PDF-1.7'), null);
+  });
+});
+
+describe('importTracklist', () => {
+  it('reads a Rekordbox playlist by track ID, in playlist order', () => {
+    const { tracklist, warnings } = importTracklist(fixture('rekordbox.xml'), 'rekordbox', { playlist: 'Afro Set' });
+
+    assert.deepEqual(summarise(tracklist), [
+      '1. Awa Khiwe - Gounass',
+      '2. Ebo Taylor - Ohiani Sua Efir',
+      '3. Pat Thomas & Kwashibu Area Band - Yesu San Bra'
+    ]);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('reads a Rekordbox playlist by location and drops tracks without an artist', () => {
+    const { tracklist, warnings } = importTracklist(fixture('rekordbox.xml'), 'rekordbox', { playlist: 'warm up' });
+
+    assert.deepEqual(summarise(tracklist), ['1. Pat Thomas & Kwashibu Area Band - Yesu San Bra']);
+    assert.deepEqual(warnings, ['Skipped 1 track without an artist or title']);
+  });
+
+  it('asks for a playlist when a Rekordbox export has several', () => {
+    assert.throws(() => importTracklist(fixture('rekordbox.xml'), 'rekordbox'), /choose one with --playlist: "Afro Set", "Warm Up"/);
+    assert.throws(() => importTracklist(fixture('rekordbox.xml'), 'rekordbox', { playlist: 'Peak Time' }), /No playlist called "Peak Time"/);
+  });
+
+  it('takes start times from a Traktor history, across midnight, skipping previews', () => {
+    const { tracklist, warnings } = importTracklist(fixture('traktor.nml'), 'traktor');
+
+    assert.deepEqual(summarise(tracklist), [
+      '1. [0] Ebo Taylor - Ohiani Sua Efir',
+      '2. [395] Pat Thomas - Yesu San Bra',
+      '3. [755] Awa Khiwe - Gounass'
+    ]);
+    assert.deepEqual(warnings, ['Skipped 1 track that was only previewed']);
+  });
+
+  it('takes start times from a Serato history and skips the session row', () => {
+    const { tracklist } = importTracklist(fixture('serato.csv'), 'serato');
+
+    assert.deepEqual(summarise(tracklist), [
+      '1. [0] Ebo Taylor - Ohiani Sua Efir',
+      '2. [395] Pat Thomas, Kwashibu Area Band - Yesu San Bra',
+      '3. [755] Awa Khiwe - Gounass'
+    ]);
+  });
+
+  it('takes start times from cue sheet INDEX 01, falling back to the sheet performer', () => {
+    const { tracklist } = importTracklist(fixture('mix.cue'), 'cue');
+
+    assert.deepEqual(summarise(tracklist), [
+      '1. [0] Ebo Taylor - Ohiani Sua Efir',
+      '2. [395] Pat Thomas - Yesu San Bra',
+      '3. [3730] The Groove Library - Interlude'
+    ]);
+  });
+
+  it('reads M3U titles from #EXTINF or the file name', () => {
+    const { tracklist, warnings } = importTracklist(fixture('playlist.m3u8'), 'm3u');
+
+    assert.deepEqual(summarise(tracklist), [
+      '1. Ebo Taylor - Ohiani Sua Efir',
+      '2. Pat Thomas - Yesu San Bra'
+    ]);
+    assert.deepEqual(warnings, ['Skipped 1 track without an artist or title']);
+  });
+
+  it('keeps the numbering of pasted text, leaving gaps for lines it skipped', () => {
+    const { tracklist, warnings } = importTracklist('01. Fela Kuti - Zombie\n02. Unknown\n03. Tony Allen - Asiko\n', 'text');
+
+    assert.deepEqual(summarise(tracklist), ['1. Fela Kuti - Zombie', '3. Tony Allen - Asiko']);
+    assert.deepEqual(warnings, ['Line 2: no "Artist - Title" in "02. Unknown"']);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => importTracklist('', 'virtualdj'), /Unknown format "virtualdj"/);
+  });
+});
+
+describe('parsers', () => {
+  it('parse 24-hour Serato times without a session row', () => {
+    const { tracks } = parseSerato('name,artist,start time\nOne,A,21:00:00\nTwo,B,21:04:30\n');
+
+    assert.deepEqual(tracks, [
+      { artist: 'A', track: 'One', start_time: 0 },
+      { artist: 'B', track: 'Two', start_time: 270 }
+    ]);
+  });
+
+  it('ignore cue times when the sheet spans several files', () => {
+    const { tracks, warnings } = parseCue([
+      'FILE "side-a.wav" WAVE',
+      '  TRACK 01 AUDIO',
+      '    TITLE "One"',
+      '    PERFORMER "A"',
+      '    INDEX 01 00:00:00',
+      'FILE "side-b.wav" WAVE',
+      '  TRACK 02 AUDIO',
+      '    TITLE "Two"',
+      '    PERFORMER "B"',
+      '    INDEX 01 00:00:00'
+    ].join('\n'));
+
+    assert.deepEqual(tracks, [{ artist: 'A', track: 'One' }, { artist: 'B', track: 'Two' }]);
+    assert.match(warnings[0], /spans 2 files/);
+  });
+});
+
+describe('mergeTracklist', () => {
+  const existing = [
+    { position: 1, artist: 'Ebo Taylor', track: 'Ohiani Sua Efir' },
+    { position: 2, artist: 'Pat Thomas', track: 'Yesu San Bra', start_time: 400 }
+  ];
+
+  it('adds new positions and fills in missing start times', () => {
+    const merged = mergeTracklist(existing, [
+      { position: 1, artist: 'ebo taylor', track: 'Ohiani  Sua Efir', start_time: 0 },
+      { position: 3, artist: 'Awa Khiwe', track: 'Gounass', start_time: 755 }
+    ]);
+
+    assert.deepEqual(summarise(merged.tracklist), [
+      '1. [0] Ebo Taylor - Ohiani Sua Efir',
+      '2. [400] Pat Thomas - Yesu San Bra',
+      '3. [755] Awa Khiwe - Gounass'
+    ]);
+    assert.equal(merged.added, 1);
+    assert.equal(merged.updated, 1);
+    assert.deepEqual(merged.conflicts, []);
+    assert.equal(existing[0].start_time, undefined, 'existing tracklist is not modified');
+  });
+
+  it('reports different tracks and start times as conflicts, keeping what was there', () => {
+    const merged = mergeTracklist(existing, [
+      { position: 1, artist: 'Awa Khiwe', track: 'Gounass' },
+      { position: 2, artist: 'Pat Thomas', track: 'Yesu San Bra', start_time: 395 }
+    ]);
+
+    assert.deepEqual(merged.conflicts.map(conflict => conflict.position), [1, 2]);
+    assert.deepEqual(merged.tracklist, existing);
+  });
+
+  it('replaces the tracklist when asked', () => {
+    const imported = [{ position: 1, artist: 'Awa Khiwe', track: 'Gounass' }];
+
+    assert.deepEqual(mergeTracklist(existing, imported, { replace: true }).tracklist, imported);
+  });
+});
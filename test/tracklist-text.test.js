@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTracklistLine, parseTracklistText, splitArtistTitle } from '../src/_lib/tracklist-text.js';
+
+describe('parseTracklistLine', () => {
+  it('handles numbering styles', () => {
+    for (const line of ['01. Fela Kuti - Zombie', '1) Fela Kuti - Zombie', '[01] Fela Kuti - Zombie', '#1 Fela Kuti - Zombie', '01 - Fela Kuti - Zombie', '01: Fela Kuti - Zombie', '01 Fela Kuti - Zombie']) {
+      assert.deepEqual(parseTracklistLine(line), { position: 1, artist: 'Fela Kuti', track: 'Zombie' }, line);
+    }
+  });
+
+  it('only takes a bare number as the position when it comes next in sequence', () => {
+    assert.deepEqual(parseTracklistLine('808 State - Pacific State'), { artist: '808 State', track: 'Pacific State' });
+    assert.deepEqual(parseTracklistLine('12 Fela Kuti - Zombie', { from: 12, to: 12 }), { position: 12, artist: 'Fela Kuti', track: 'Zombie' });
+  });
+
+  it('handles dash styles', () => {
+    for (const line of ['Fela Kuti - Zombie', 'Fela Kuti – Zombie', 'Fela Kuti — Zombie']) {
+      assert.deepEqual(parseTracklistLine(line), { artist: 'Fela Kuti', track: 'Zombie' }, line);
+    }
+  });
+
+  it('takes timestamps from the start or end of the line', () => {
+    const cases = {
+      '01. Fela Kuti – Zombie [12:34]': 754,
+      '0:00 Fela Kuti - Zombie': 0,
+      '[1:02:03] 01. Fela Kuti - Zombie': 3723,
+      '01. (62:03) Fela Kuti - Zombie': 3723,
+      '00:12:34 - Fela Kuti - Zombie': 754,
+      'Fela Kuti - Zombie 12:34': 754,
+      'Fela Kuti - Zombie @ 12:34': 754
+    };
+
+    for (const [line, seconds] of Object.entries(cases)) {
+      assert.equal(parseTracklistLine(line).start_time, seconds, line);
+      assert.equal(parseTracklistLine(line).track, 'Zombie', line);
+    }
+  });
+
+  it('drops a trailing label but keeps mix names', () => {
+    assert.equal(parseTracklistLine('0:00 Fela Kuti - Zombie (Celluloid)').track, 'Zombie');
+    assert.equal(parseTracklistLine('Fela Kuti - Zombie [Celluloid] [12:34]').track, 'Zombie');
+    assert.equal(parseTracklistLine('Fela Kuti - Zombie (Dub Mix)').track, 'Zombie (Dub Mix)');
+    assert.equal(parseTracklistLine('Fela Kuti - Zombie (Part 2)').track, 'Zombie (Part 2)');
+  });
+
+  it('strips bullets and quotes', () => {
+    assert.deepEqual(parseTracklistLine('• Pat Thomas — “Yesu San Bra”'), { artist: 'Pat Thomas', track: 'Yesu San Bra' });
+  });
+
+  it('returns null without an artist and title', () => {
+    assert.equal(parseTracklistLine('Tracklist:'), null);
+    assert.equal(parseTracklistLine('01. Zombie [12:34]'), null);
+  });
+});
+
+describe('parseTracklistText', () => {
+  it('parses every line and flags the ones it cannot', () => {
+    const { tracks, unparsed, warnings } = parseTracklistText([
+      'Tracklist:',
+      '',
+      '01 Fela Kuti - Zombie [0:00]',
+      '02 Something unreadable',
+      '03 Tony Allen - Asiko [9:00]'
+    ].join('\r\n'));
+
+    assert.deepEqual(tracks, [
+      { position: 1, artist: 'Fela Kuti', track: 'Zombie', start_time: 0 },
+      { position: 3, artist: 'Tony Allen', track: 'Asiko', start_time: 540 }
+    ]);
+    assert.deepEqual(unparsed, [
+      { line: 1, text: 'Tracklist:' },
+      { line: 4, text: '02 Something unreadable' }
+    ]);
+    assert.equal(warnings.length, 2);
+  });
+});
+
+describe('splitArtistTitle', () => {
+  it('splits on the first spaced dash', () => {
+    assert.deepEqual(splitArtistTitle('Fela Kuti – Water No Get Enemy - Edit'), { artist: 'Fela Kuti', track: 'Water No Get Enemy - Edit' });
+    assert.deepEqual(splitArtistTitle('Afro-Funk Band - Jana'), { artist: 'Afro-Funk Band', track: 'Jana' });
+    assert.deepEqual(splitArtistTitle('Jana'), { artist: '', track: 'Jana' });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateTracklists,
+  checkTracklistSlugs,
+  findClosestSlug,
+  canonicaliseTracklists,
+  formatTracklists
+} from '../src/_lib/tracklists.js';
+
+/**
+ * Issues as "level: message" strings, for compact assertions
+ */
+function summarise(issues) {
+  return issues.map(({ level, position, message }) => `${level}: ${position !== null ? `#${position} ` : ''}${message}`);
+}
+
+describe('validateTracklists', () => {
+  it('accepts a well-formed file', () => {
+    assert.deepEqual(validateTracklists({
+      'legendarymusic/go-on': [
+        { position: 1, artist: 'Ebo Taylor', track: 'Ohiani Sua Efir', start_time: 0 },
+        { position: 2, artist: 'Pat Thomas', track: 'Yesu San Bra' }
+      ]
+    }), []);
+  });
+
+  it('rejects a file that is not an object', () => {
+    assert.equal(validateTracklists([])[0].level, 'error');
+  });
+
+  it('reports duplicate positions and missing fields', () => {
+    const issues = validateTracklists({
+      'legendarymusic/go-on': [
+        { position: 1, artist: 'Ebo Taylor', track: 'Ohiani Sua Efir' },
+        { position: 1, artist: '', track: 'Yesu San Bra' },
+        { position: 2, artist: 'Pat Thomas' }
+      ]
+    });
+
+    assert.deepEqual(summarise(issues), [
+      'error: #1 missing artist',
+      'error: #2 missing track',
+      'error: #1 duplicate position 1'
+    ]);
+  });
+
+  it('reports invalid positions and non-numeric start times', () => {
+    const issues = validateTracklists({
+      'legendarymusic/go-on': [
+        { position: '1', artist: 'Ebo Taylor', track: 'Ohiani Sua Efir' },
+        { position: 2, artist: 'Pat Thomas', track: 'Yesu San Bra', start_time: '4:05' }
+      ]
+    });
+
+    assert.deepEqual(summarise(issues), [
+      'error: entry 1 has an invalid position: "1" (expected a whole number from 1)',
+      'error: #2 start_time must be a number of seconds, got "4:05"',
+      'warning: positions skip 1'
+    ]);
+  });
+
+  it('reports out-of-order timings by position, and unsorted entries', () => {
+    const issues = validateTracklists({
+      'legendarymusic/go-on': [
+        { position: 2, artist: 'B', track: 'Two', start_time: 100 },
+        { position: 1, artist: 'A', track: 'One', start_time: 200 },
+        { position: 3, artist: 'C', track: 'Three', start_time: 200 }
+      ]
+    });
+
+    assert.deepEqual(summarise(issues), [
+      'warning: entries are not in position order (--write sorts them)',
+      'error: #2 start_time 100 is before track 1 (200)'
+    ]);
+  });
+
+  it('warns about tracks that start together', () => {
+    const issues = validateTracklists({
+      'legendarymusic/go-on': [
+        { position: 1, artist: 'A', track: 'One', start_time: 0 },
+        { position: 2, artist: 'B', track: 'Two', start_time: 0 }
+      ]
+    });
+
+    assert.deepEqual(summarise(issues), ['warning: #2 starts at the same time as track 1 (0)']);
+  });
+
+  it('reports malformed keys and unknown fields', () => {
+    const issues = validateTracklists({
+      'go-on': [{ position: 1, artist: 'A', track: 'One', bpm: 120 }]
+    });
+
+    assert.deepEqual(summarise(issues), [
+      'error: key should look like "username/cloudcast-slug"',
+      'warning: #1 unknown field "bpm"'
+    ]);
+  });
+});
+
+describe('checkTracklistSlugs', () => {
+  const libraries = [
+    {
+      title: 'Easton Chop Up!',
+      cloudcasts: [
+        { key: '/legendarymusic/easton-chop-up-volume-1/', name: 'Volume 1', audio_length: 3600 },
+        { key: '/legendarymusic/easton-chop-up-volume-2/', name: 'Volume 2' }
+      ]
+    }
+  ];
+  const entry = { position: 1, artist: 'A', track: 'One' };
+
+  it('reports orphans as errors, suggesting unclaimed near misses', () => {
+    const { issues, orphans } = checkTracklistSlugs({
+      'legendarymusic/easton-chop-up-volume-1': [entry],
+      'legendarymusic/easton-chop-up-volum-2': [entry]
+    }, libraries);
+
+    assert.deepEqual(orphans, ['legendarymusic/easton-chop-up-volum-2']);
+    assert.deepEqual(summarise(issues), [
+      'error: matches no cloudcast in the fetched playlists - did you mean "legendarymusic/easton-chop-up-volume-2"?'
+    ]);
+  });
+
+  it('downgrades orphans to warnings when a library failed to fetch', () => {
+    const { issues } = checkTracklistSlugs({ 'legendarymusic/unknown-mix': [entry] }, [
+      ...libraries,
+      { title: 'The Japan Groove Library', cloudcasts: [], error: 'HTTP 503' }
+    ]);
+
+    assert.equal(issues[0].level, 'warning');
+  });
+
+  it('lists mixes without a tracklist', () => {
+    const { missing } = checkTracklistSlugs({ 'legendarymusic/easton-chop-up-volume-1': [entry] }, libraries);
+
+    assert.deepEqual(missing, [
+      { slug: 'legendarymusic/easton-chop-up-volume-2', name: 'Volume 2', libraries: ['Easton Chop Up!'] }
+    ]);
+  });
+
+  it('warns about start times past the end of the mix', () => {
+    const { issues } = checkTracklistSlugs({
+      'legendarymusic/easton-chop-up-volume-1': [{ ...entry, start_time: 4000 }]
+    }, libraries);
+
+    assert.deepEqual(summarise(issues), ['warning: #1 start_time 4000 is after the end of the mix (3600s)']);
+  });
+});
+
+describe('findClosestSlug', () => {
+  it('ignores distant slugs', () => {
+    assert.equal(findClosestSlug('legendarymusic/go-on', ['legendarymusic/tokyo-202021']), null);
+  });
+});
+
+describe('canonicaliseTracklists', () => {
+  it('sorts slugs and positions, orders fields and trims text', () => {
+    const canonical = canonicaliseTracklists({
+      'legendarymusic/tokyo-202021': [
+        { track: 'Two ', artist: ' B', position: 2, start_time: null },
+        { start_time: 0, position: 1, track: 'One', artist: 'A' }
+      ],
+      'legendarymusic/go-on': [{ position: 1, artist: 'C', track: 'Three' }]
+    });
+
+    assert.equal(formatTracklists(canonical), `{
+  "legendarymusic/go-on": [
+    {
+      "position": 1,
+      "artist": "C",
+      "track": "Three"
+    }
+  ],
+  "legendarymusic/tokyo-202021": [
+    {
+      "position": 1,
+      "artist": "A",
+      "track": "One",
+      "start_time": 0
+    },
+    {
+      "position": 2,
+      "artist": "B",
+      "track": "Two"
+    }
+  ]
+}
+`);
+  });
+});